@@ -0,0 +1,14 @@
+-- История изменений уровня доступа аккаунтов, выполненных через API.
+-- Уровень доступа хранится в базе логинов, поэтому история общая для всех игровых миров с этой базой
+CREATE TABLE IF NOT EXISTS `access_level_changes` (
+    `id` INT UNSIGNED NOT NULL AUTO_INCREMENT,
+    `login_realm` VARCHAR(32) NOT NULL,
+    `login` VARCHAR(45) NOT NULL,
+    `old_level` INT NOT NULL,
+    `new_level` INT NOT NULL,
+    `reason` VARCHAR(255) NOT NULL,
+    `changed_by` VARCHAR(64) NOT NULL,
+    `created_at` INT UNSIGNED NOT NULL,
+    PRIMARY KEY (`id`),
+    KEY `account` (`login_realm`, `login`, `created_at`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
@@ -0,0 +1,16 @@
+-- История банов аккаунтов: причина, кто выдал, срок и снятие бана.
+-- Баны относятся к базе логинов, поэтому общие для всех игровых миров с этой базой
+CREATE TABLE IF NOT EXISTS `account_bans` (
+    `id` INT UNSIGNED NOT NULL AUTO_INCREMENT,
+    `login_realm` VARCHAR(32) NOT NULL,
+    `login` VARCHAR(45) NOT NULL,
+    `reason` VARCHAR(255) DEFAULT NULL,
+    `issued_by` VARCHAR(64) NOT NULL,
+    `banned_at` INT UNSIGNED NOT NULL,
+    `expires_at` INT UNSIGNED NOT NULL,
+    `unbanned_at` INT UNSIGNED DEFAULT NULL,
+    `unbanned_by` VARCHAR(64) DEFAULT NULL,
+    `unban_reason` VARCHAR(255) DEFAULT NULL,
+    PRIMARY KEY (`id`),
+    KEY `account` (`login_realm`, `login`, `banned_at`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
@@ -0,0 +1,17 @@
+-- API-ключи клиентов (сайт, Discord-бот, GM-панель) с областями доступа
+CREATE TABLE IF NOT EXISTS `api_keys` (
+    `id` INT UNSIGNED NOT NULL AUTO_INCREMENT,
+    `name` VARCHAR(64) NOT NULL,
+    `key_prefix` VARCHAR(16) NOT NULL,
+    `key_hash` CHAR(64) NOT NULL,
+    `scopes` TEXT NOT NULL,
+    `expires_at` INT UNSIGNED DEFAULT NULL,
+    `revoked` TINYINT(1) NOT NULL DEFAULT 0,
+    `created_at` INT UNSIGNED NOT NULL,
+    `rotated_at` INT UNSIGNED DEFAULT NULL,
+    `revoked_at` INT UNSIGNED DEFAULT NULL,
+    `last_used_at` INT UNSIGNED DEFAULT NULL,
+    PRIMARY KEY (`id`),
+    UNIQUE KEY `key_hash` (`key_hash`),
+    KEY `name` (`name`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
@@ -0,0 +1,15 @@
+-- Сессии игроков личного кабинета (refresh-токены)
+CREATE TABLE IF NOT EXISTS `api_sessions` (
+    `id` INT UNSIGNED NOT NULL AUTO_INCREMENT,
+    `login` VARCHAR(32) NOT NULL,
+    `realm` VARCHAR(32) NOT NULL DEFAULT 'main',
+    `refresh_token_hash` CHAR(64) NOT NULL,
+    `ip` VARCHAR(45) DEFAULT NULL,
+    `user_agent` VARCHAR(255) DEFAULT NULL,
+    `created_at` INT UNSIGNED NOT NULL,
+    `expires_at` INT UNSIGNED NOT NULL,
+    `revoked_at` INT UNSIGNED DEFAULT NULL,
+    PRIMARY KEY (`id`),
+    UNIQUE KEY `refresh_token_hash` (`refresh_token_hash`),
+    KEY `login` (`login`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
@@ -0,0 +1,14 @@
+-- Журнал действий, выполненных через API (выдача предметов, изменения персонажей и аккаунтов)
+CREATE TABLE IF NOT EXISTS `audit_log` (
+    `id` INT UNSIGNED NOT NULL AUTO_INCREMENT,
+    `action` VARCHAR(64) NOT NULL,
+    `realm` VARCHAR(32) DEFAULT NULL,
+    `target_type` VARCHAR(32) NOT NULL,
+    `target_id` VARCHAR(64) NOT NULL,
+    `actor` VARCHAR(64) NOT NULL,
+    `details` TEXT DEFAULT NULL,
+    `created_at` INT UNSIGNED NOT NULL,
+    PRIMARY KEY (`id`),
+    KEY `target` (`target_type`, `target_id`),
+    KEY `action` (`action`, `created_at`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
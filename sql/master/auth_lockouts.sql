@@ -0,0 +1,11 @@
+-- Счетчики неудачных попыток входа и временные блокировки по логину и IP
+CREATE TABLE IF NOT EXISTS `auth_lockouts` (
+    `subject_type` ENUM('login', 'ip') NOT NULL,
+    `subject` VARCHAR(64) NOT NULL,
+    `failures` INT UNSIGNED NOT NULL DEFAULT 0,
+    `first_failure_at` INT UNSIGNED NOT NULL,
+    `last_failure_at` INT UNSIGNED NOT NULL,
+    `locked_until` INT UNSIGNED NOT NULL DEFAULT 0,
+    PRIMARY KEY (`subject_type`, `subject`),
+    KEY `locked_until` (`locked_until`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
@@ -0,0 +1,14 @@
+-- История переименований персонажей, выполненных через API
+CREATE TABLE IF NOT EXISTS `character_renames` (
+    `id` INT UNSIGNED NOT NULL AUTO_INCREMENT,
+    `realm` VARCHAR(32) NOT NULL,
+    `char_obj_id` INT NOT NULL,
+    `old_name` VARCHAR(35) NOT NULL,
+    `new_name` VARCHAR(35) NOT NULL,
+    `actor` VARCHAR(64) NOT NULL,
+    `reason` VARCHAR(255) DEFAULT NULL,
+    `created_at` INT UNSIGNED NOT NULL,
+    PRIMARY KEY (`id`),
+    KEY `character` (`realm`, `char_obj_id`, `created_at`),
+    KEY `old_name` (`realm`, `old_name`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
@@ -0,0 +1,7 @@
+-- Время последнего перемещения персонажа в безопасное место (ограничение частоты unstuck)
+CREATE TABLE IF NOT EXISTS `character_unstucks` (
+    `realm` VARCHAR(32) NOT NULL,
+    `char_obj_id` INT NOT NULL,
+    `last_unstuck_at` INT UNSIGNED NOT NULL,
+    PRIMARY KEY (`realm`, `char_obj_id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
@@ -0,0 +1,18 @@
+-- Баны клиентов по HWID и IP-адресу (отдельный адрес или диапазон CIDR).
+-- Действуют на регистрацию и вход во все аккаунты базы логинов
+CREATE TABLE IF NOT EXISTS `client_bans` (
+    `id` INT UNSIGNED NOT NULL AUTO_INCREMENT,
+    `login_realm` VARCHAR(32) NOT NULL,
+    `type` ENUM('hwid', 'ip') NOT NULL,
+    `value` VARCHAR(64) NOT NULL,
+    `reason` VARCHAR(255) NOT NULL,
+    `issued_by` VARCHAR(64) NOT NULL,
+    `created_at` INT UNSIGNED NOT NULL,
+    `expires_at` INT UNSIGNED DEFAULT NULL,
+    `hits` INT UNSIGNED NOT NULL DEFAULT 0,
+    `last_hit_at` INT UNSIGNED DEFAULT NULL,
+    `lifted_at` INT UNSIGNED DEFAULT NULL,
+    `lifted_by` VARCHAR(64) DEFAULT NULL,
+    PRIMARY KEY (`id`),
+    KEY `active` (`login_realm`, `type`, `lifted_at`, `expires_at`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
@@ -0,0 +1,10 @@
+-- Ключи идемпотентности выдачи предметов: повторный запрос клиента с тем же ключом не создает вторую выдачу
+CREATE TABLE IF NOT EXISTS `delivery_requests` (
+    `realm` VARCHAR(32) NOT NULL,
+    `actor` VARCHAR(64) NOT NULL,
+    `idempotency_key` VARCHAR(128) NOT NULL,
+    `char_obj_id` INT NOT NULL,
+    `payment_id` INT NULL,
+    `created_at` INT UNSIGNED NOT NULL,
+    PRIMARY KEY (`realm`, `actor`, `idempotency_key`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
@@ -0,0 +1,18 @@
+-- Реестр игровых миров и баз логинов, подключаемых без перезапуска API
+CREATE TABLE IF NOT EXISTS `realms` (
+    `id` INT UNSIGNED NOT NULL AUTO_INCREMENT,
+    `name` VARCHAR(32) NOT NULL,
+    `type` ENUM('login', 'game') NOT NULL,
+    `title` VARCHAR(64) DEFAULT NULL,
+    `host` VARCHAR(255) NOT NULL,
+    `port` SMALLINT UNSIGNED NOT NULL DEFAULT 3306,
+    `db_user` VARCHAR(64) NOT NULL,
+    `db_password` VARCHAR(255) NOT NULL DEFAULT '',
+    `db_name` VARCHAR(64) NOT NULL,
+    `login_realm` VARCHAR(32) DEFAULT NULL,
+    `enabled` TINYINT(1) NOT NULL DEFAULT 1,
+    `created_at` INT UNSIGNED NOT NULL,
+    `updated_at` INT UNSIGNED DEFAULT NULL,
+    PRIMARY KEY (`id`),
+    UNIQUE KEY `type_name` (`type`, `name`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
@@ -0,0 +1,374 @@
+const express = require("express");
+const logger = require("../../utils/logger");
+const apiKeysDb = require("../../config/db/apiKeys");
+const { hasScope, requireScope } = require("../../middlewares/scopeMiddleware");
+
+const router = express.Router();
+
+// Управление ключами доступно только ключам с этой областью доступа
+router.use(requireScope("keys:manage"));
+
+// Формат области доступа: "*", "ресурс:*" или "ресурс:действие"
+const SCOPE_PATTERN = /^(\*|[a-z-]+:(\*|[a-z-]+))$/;
+
+/**
+ * Проверяет корректность ID ключа из параметров маршрута
+ * @param {string} value - Значение параметра
+ * @returns {number|null} ID ключа или null
+ */
+const parseKeyId = (value) => {
+    const keyId = parseInt(value, 10);
+    return isNaN(keyId) ? null : keyId;
+};
+
+/**
+ * Находит области доступа, которые не покрывает API-ключ клиента.
+ * Шаблоны "*" и "ресурс:*" покрываются только таким же или более широким шаблоном
+ * @param {Object} req - Запрос с req.apiKey
+ * @param {string[]} scopes - Проверяемые области доступа
+ * @returns {string[]} Непокрытые области доступа
+ */
+const findUncoveredScopes = (req, scopes) => scopes.filter((scope) => !hasScope(req.apiKey.scopes, scope));
+
+/**
+ * Отклоняет управление ключом с правами шире, чем у API-ключа клиента
+ * @param {Object} req - Запрос
+ * @param {Object} res - Ответ
+ * @param {string[]} scopes - Непокрытые области доступа
+ * @returns {Object} Ответ 403
+ */
+const denyUncoveredScopes = (req, res, scopes) => {
+    logger.warn(`Отказ в управлении API-ключом для ${req.apiKey.name}: не покрыты области доступа ${scopes.join(", ")} (${req.method} ${req.originalUrl})`);
+    return res.status(403).json({
+        error: "Доступ запрещен",
+        message: `API-ключ не может управлять ключами с областями доступа, которых нет у него самого: ${scopes.join(", ")}`
+    });
+};
+
+/**
+ * @swagger
+ * /api/admin/api-keys:
+ *   get:
+ *     summary: Получение списка API-ключей
+ *     description: Возвращает зарегистрированные API-ключи без их значений. Требуется область доступа keys:manage
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: includeRevoked
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Включать ли отозванные ключи
+ *     responses:
+ *       200:
+ *         description: Список API-ключей
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 keys:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                       name:
+ *                         type: string
+ *                       keyPrefix:
+ *                         type: string
+ *                       scopes:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                       expiresDate:
+ *                         type: string
+ *                         format: date-time
+ *                         nullable: true
+ *                       isExpired:
+ *                         type: boolean
+ *                       revoked:
+ *                         type: boolean
+ *                       createdDate:
+ *                         type: string
+ *                         format: date-time
+ *                       lastUsedDate:
+ *                         type: string
+ *                         format: date-time
+ *                         nullable: true
+ *       403:
+ *         description: Недостаточно прав API-ключа
+ *       500:
+ *         description: Внутренняя ошибка сервера
+ */
+router.get("/", async (req, res) => {
+    try {
+        const keys = await apiKeysDb.list({
+            includeRevoked: req.query.includeRevoked === 'true'
+        });
+
+        res.json({ keys });
+    } catch (error) {
+        logger.error("Ошибка при получении списка API-ключей:", error);
+        res.status(500).json({
+            error: "Ошибка при получении списка API-ключей",
+            details: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/admin/api-keys:
+ *   post:
+ *     summary: Создание API-ключа
+ *     description: Создает новый API-ключ. Значение ключа возвращается только один раз. Требуется область доступа keys:manage
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - ApiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - scopes
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 description: Название клиента
+ *                 example: discord-bot
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Области доступа
+ *                 example: [accounts:read, characters:read]
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Дата истечения ключа (опционально)
+ *     responses:
+ *       201:
+ *         description: Ключ создан
+ *       400:
+ *         description: Ошибка валидации данных
+ *       403:
+ *         description: Недостаточно прав API-ключа или области доступа ключа шире, чем у клиента
+ *       500:
+ *         description: Внутренняя ошибка сервера
+ */
+router.post("/", async (req, res) => {
+    try {
+        const { name, scopes, expiresAt } = req.body;
+
+        // Валидация входных данных
+        if (!name || name.length > 64) {
+            return res.status(400).json({
+                error: "Неверный формат данных",
+                details: "Название ключа обязательно и должно быть не длиннее 64 символов"
+            });
+        }
+
+        if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every((scope) => SCOPE_PATTERN.test(scope))) {
+            return res.status(400).json({
+                error: "Неверный формат данных",
+                details: "Области доступа должны быть непустым списком вида \"ресурс:действие\""
+            });
+        }
+
+        const uncoveredScopes = findUncoveredScopes(req, scopes);
+
+        if (uncoveredScopes.length > 0) {
+            return denyUncoveredScopes(req, res, uncoveredScopes);
+        }
+
+        let expiresTimestamp = null;
+        if (expiresAt) {
+            expiresTimestamp = Math.floor(new Date(expiresAt).getTime() / 1000);
+
+            if (isNaN(expiresTimestamp) || expiresTimestamp <= Math.floor(Date.now() / 1000)) {
+                return res.status(400).json({
+                    error: "Неверный формат данных",
+                    details: "Дата истечения ключа должна быть в будущем"
+                });
+            }
+        }
+
+        const apiKey = await apiKeysDb.create({
+            name,
+            scopes,
+            expiresAt: expiresTimestamp
+        });
+
+        logger.info(`API-ключ ${apiKey.id} (${name}) создан клиентом ${req.apiKey.name}`);
+
+        res.status(201).json(apiKey);
+    } catch (error) {
+        logger.error("Ошибка при создании API-ключа:", error);
+        res.status(500).json({
+            error: "Ошибка при создании API-ключа",
+            details: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/admin/api-keys/{keyId}/rotate:
+ *   post:
+ *     summary: Ротация API-ключа
+ *     description: Выпускает новое значение ключа с теми же названием и областями доступа. Старое значение перестает действовать. Требуется область доступа keys:manage
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: keyId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID ключа
+ *     responses:
+ *       200:
+ *         description: Новое значение ключа
+ *       400:
+ *         description: Некорректный ID ключа
+ *       403:
+ *         description: Недостаточно прав API-ключа или области доступа ключа шире, чем у клиента
+ *       404:
+ *         description: Ключ не найден или отозван
+ *       500:
+ *         description: Внутренняя ошибка сервера
+ */
+router.post("/:keyId/rotate", async (req, res) => {
+    try {
+        const keyId = parseKeyId(req.params.keyId);
+
+        if (keyId === null) {
+            return res.status(400).json({
+                error: "Неверный формат ID ключа",
+                details: "ID ключа должен быть числом"
+            });
+        }
+
+        const target = await apiKeysDb.getById(keyId);
+
+        if (!target || target.revoked) {
+            return res.status(404).json({
+                error: "Ключ не найден или отозван"
+            });
+        }
+
+        const uncoveredScopes = findUncoveredScopes(req, target.scopes);
+
+        if (uncoveredScopes.length > 0) {
+            return denyUncoveredScopes(req, res, uncoveredScopes);
+        }
+
+        const apiKey = await apiKeysDb.rotate(keyId);
+
+        if (!apiKey) {
+            return res.status(404).json({
+                error: "Ключ не найден или отозван"
+            });
+        }
+
+        logger.info(`API-ключ ${keyId} ротирован клиентом ${req.apiKey.name}`);
+
+        res.json(apiKey);
+    } catch (error) {
+        logger.error("Ошибка при ротации API-ключа:", error);
+        res.status(500).json({
+            error: "Ошибка при ротации API-ключа",
+            details: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/admin/api-keys/{keyId}/revoke:
+ *   post:
+ *     summary: Отзыв API-ключа
+ *     description: Отзывает ключ. Отозванный ключ нельзя восстановить. Требуется область доступа keys:manage
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: keyId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID ключа
+ *     responses:
+ *       200:
+ *         description: Ключ отозван
+ *       400:
+ *         description: Некорректный ID ключа
+ *       403:
+ *         description: Недостаточно прав API-ключа или области доступа ключа шире, чем у клиента
+ *       404:
+ *         description: Ключ не найден или уже отозван
+ *       500:
+ *         description: Внутренняя ошибка сервера
+ */
+router.post("/:keyId/revoke", async (req, res) => {
+    try {
+        const keyId = parseKeyId(req.params.keyId);
+
+        if (keyId === null) {
+            return res.status(400).json({
+                error: "Неверный формат ID ключа",
+                details: "ID ключа должен быть числом"
+            });
+        }
+
+        const target = await apiKeysDb.getById(keyId);
+
+        if (!target || target.revoked) {
+            return res.status(404).json({
+                error: "Ключ не найден или уже отозван"
+            });
+        }
+
+        const uncoveredScopes = findUncoveredScopes(req, target.scopes);
+
+        if (uncoveredScopes.length > 0) {
+            return denyUncoveredScopes(req, res, uncoveredScopes);
+        }
+
+        const revoked = await apiKeysDb.revoke(keyId);
+
+        if (!revoked) {
+            return res.status(404).json({
+                error: "Ключ не найден или уже отозван"
+            });
+        }
+
+        logger.info(`API-ключ ${keyId} отозван клиентом ${req.apiKey.name}`);
+
+        res.json({
+            success: true,
+            message: "Ключ успешно отозван"
+        });
+    } catch (error) {
+        logger.error("Ошибка при отзыве API-ключа:", error);
+        res.status(500).json({
+            error: "Ошибка при отзыве API-ключа",
+            details: error.message
+        });
+    }
+});
+
+module.exports = router;
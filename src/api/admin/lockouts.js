@@ -0,0 +1,188 @@
+const express = require("express");
+const logger = require("../../utils/logger");
+const authLockoutsDb = require("../../config/db/authLockouts");
+const { requireScope } = require("../../middlewares/scopeMiddleware");
+
+const router = express.Router();
+
+// Просмотр и сброс блокировок доступен только ключам с этой областью доступа
+router.use(requireScope("lockouts:manage"));
+
+const SUBJECT_TYPES = ["login", "ip"];
+
+/**
+ * @swagger
+ * /api/admin/lockouts:
+ *   get:
+ *     summary: Получение списка блокировок входа
+ *     description: Возвращает счетчики неудачных попыток входа по логинам и IP-адресам. Требуется область доступа lockouts:manage
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Номер страницы
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Количество записей на странице
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [login, ip]
+ *         description: Фильтр по типу блокировки
+ *       - in: query
+ *         name: activeOnly
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Только действующие блокировки
+ *     responses:
+ *       200:
+ *         description: Список блокировок
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 lockouts:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       type:
+ *                         type: string
+ *                         enum: [login, ip]
+ *                       subject:
+ *                         type: string
+ *                       failures:
+ *                         type: integer
+ *                       firstFailureDate:
+ *                         type: string
+ *                         format: date-time
+ *                       lastFailureDate:
+ *                         type: string
+ *                         format: date-time
+ *                       isLocked:
+ *                         type: boolean
+ *                       lockedUntilDate:
+ *                         type: string
+ *                         format: date-time
+ *                         nullable: true
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     total:
+ *                       type: integer
+ *                     page:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     totalPages:
+ *                       type: integer
+ *       403:
+ *         description: Недостаточно прав API-ключа
+ *       500:
+ *         description: Внутренняя ошибка сервера
+ */
+router.get("/", async (req, res) => {
+    try {
+        const { page, limit, type, activeOnly } = req.query;
+
+        const result = await authLockoutsDb.list({
+            page: parseInt(page || 1, 10),
+            limit: parseInt(limit || 10, 10),
+            type: SUBJECT_TYPES.includes(type) ? type : null,
+            activeOnly: activeOnly === 'true'
+        });
+
+        res.json(result);
+    } catch (error) {
+        logger.error("Ошибка при получении списка блокировок входа:", error);
+        res.status(500).json({
+            error: "Ошибка при получении списка блокировок входа",
+            details: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/admin/lockouts/{type}/{subject}:
+ *   delete:
+ *     summary: Снятие блокировки входа
+ *     description: Сбрасывает счетчик неудачных попыток и снимает блокировку для логина или IP-адреса. Требуется область доступа lockouts:manage
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [login, ip]
+ *         description: Тип блокировки
+ *       - in: path
+ *         name: subject
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Логин или IP-адрес
+ *     responses:
+ *       200:
+ *         description: Блокировка снята
+ *       400:
+ *         description: Неизвестный тип блокировки
+ *       403:
+ *         description: Недостаточно прав API-ключа
+ *       404:
+ *         description: Блокировка не найдена
+ *       500:
+ *         description: Внутренняя ошибка сервера
+ */
+router.delete("/:type/:subject", async (req, res) => {
+    try {
+        const { type, subject } = req.params;
+
+        if (!SUBJECT_TYPES.includes(type)) {
+            return res.status(400).json({
+                error: "Неверный формат данных",
+                details: "Тип блокировки должен быть login или ip"
+            });
+        }
+
+        // Логины учитываются без учета регистра
+        const cleared = await authLockoutsDb.reset(type, type === "login" ? subject.toLowerCase() : subject);
+
+        if (!cleared) {
+            return res.status(404).json({
+                error: "Блокировка не найдена"
+            });
+        }
+
+        logger.info(`Блокировка входа ${type}:${subject} снята клиентом ${req.apiKey.name}`);
+
+        res.json({
+            success: true,
+            message: "Блокировка успешно снята"
+        });
+    } catch (error) {
+        logger.error("Ошибка при снятии блокировки входа:", error);
+        res.status(500).json({
+            error: "Ошибка при снятии блокировки входа",
+            details: error.message
+        });
+    }
+});
+
+module.exports = router;
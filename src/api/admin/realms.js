@@ -0,0 +1,549 @@
+const express = require("express");
+const logger = require("../../utils/logger");
+const databases = require("../../config/databases");
+const realms = require("../../config/realms");
+const realmsDb = require("../../config/db/realms");
+const { requireScope } = require("../../middlewares/scopeMiddleware");
+
+const router = express.Router();
+
+// Управление игровыми мирами доступно только ключам с этой областью доступа
+router.use(requireScope("realms:manage"));
+
+const REALM_TYPES = ["login", "game"];
+const REALM_NAME_PATTERN = /^[a-z0-9_-]{1,32}$/;
+const PASSWORD_MASK = "********";
+
+/**
+ * Скрывает пароль подключения в данных мира
+ * @param {Object} realm - Данные мира из realmsDb
+ * @returns {Object} Данные мира для ответа
+ */
+const maskRealm = ({ hasPassword, ...realm }) => ({
+    ...realm,
+    password: hasPassword ? PASSWORD_MASK : null,
+    source: "database",
+    active: realm.enabled && realms.getConnection(realm.type, realm.name) !== null
+});
+
+/**
+ * Проверяет подключение и измеряет время ответа базы данных
+ * @param {Function} check - Функция проверки подключения
+ * @returns {Promise<Object>} { success, latencyMs, error }
+ */
+const measureConnection = async (check) => {
+    const startedAt = Date.now();
+
+    try {
+        await check();
+        return { success: true, latencyMs: Date.now() - startedAt, error: null };
+    } catch (error) {
+        return { success: false, latencyMs: Date.now() - startedAt, error: error.message };
+    }
+};
+
+/**
+ * @swagger
+ * /api/admin/realms:
+ *   get:
+ *     summary: Получение списка игровых миров
+ *     description: Возвращает игровые миры и базы логинов из переменных окружения и из реестра в мастер базе данных. Пароли подключений скрыты. Требуется область доступа realms:manage
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - ApiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: Список игровых миров
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 realms:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       name:
+ *                         type: string
+ *                       type:
+ *                         type: string
+ *                         enum: [login, game]
+ *                       title:
+ *                         type: string
+ *                       source:
+ *                         type: string
+ *                         enum: [env, database]
+ *                       host:
+ *                         type: string
+ *                       port:
+ *                         type: integer
+ *                       user:
+ *                         type: string
+ *                       database:
+ *                         type: string
+ *                       password:
+ *                         type: string
+ *                         nullable: true
+ *                         example: "********"
+ *                       loginRealm:
+ *                         type: string
+ *                         nullable: true
+ *                       enabled:
+ *                         type: boolean
+ *                       active:
+ *                         type: boolean
+ *                         description: Подключение зарегистрировано в API
+ *       403:
+ *         description: Недостаточно прав API-ключа
+ *       500:
+ *         description: Внутренняя ошибка сервера
+ */
+router.get("/", async (req, res) => {
+    try {
+        // Миры из переменных окружения не хранятся в таблице realms
+        const envRealms = realms.listActive()
+            .filter((realm) => realm.source === "env")
+            .map((realm) => ({ ...realm, enabled: true, active: true }));
+
+        const storedRealms = (await realmsDb.list()).map(maskRealm);
+
+        res.json({
+            realms: [...envRealms, ...storedRealms]
+        });
+    } catch (error) {
+        logger.error("Ошибка при получении списка игровых миров:", error);
+        res.status(500).json({
+            error: "Ошибка при получении списка игровых миров",
+            details: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/admin/realms:
+ *   post:
+ *     summary: Добавление игрового мира
+ *     description: Сохраняет мир в реестре мастер базы данных и сразу подключает его без перезапуска API. Перед сохранением проверяется подключение к базе данных. Требуется область доступа realms:manage
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - ApiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - type
+ *               - host
+ *               - user
+ *               - database
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 description: Идентификатор мира (латиница, цифры, "-" и "_")
+ *                 example: x5
+ *               type:
+ *                 type: string
+ *                 enum: [login, game]
+ *                 description: Тип мира - база логинов или игровая база данных
+ *               title:
+ *                 type: string
+ *                 example: Сервер x5
+ *               host:
+ *                 type: string
+ *               port:
+ *                 type: integer
+ *                 default: 3306
+ *               user:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *               database:
+ *                 type: string
+ *               loginRealm:
+ *                 type: string
+ *                 description: База логинов игрового мира (обязательно для type = game)
+ *               skipConnectionTest:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Сохранить мир без проверки подключения
+ *     responses:
+ *       201:
+ *         description: Мир добавлен и подключен
+ *       400:
+ *         description: Ошибка валидации данных, база данных недоступна или мир не удалось подключить
+ *       403:
+ *         description: Недостаточно прав API-ключа
+ *       409:
+ *         description: Мир с таким именем уже существует
+ *       500:
+ *         description: Внутренняя ошибка сервера
+ */
+router.post("/", async (req, res) => {
+    try {
+        const { name, type, title, host, port, user, password, database, loginRealm, skipConnectionTest } = req.body;
+
+        if (!name || !REALM_NAME_PATTERN.test(name)) {
+            return res.status(400).json({
+                error: "Неверный формат данных",
+                details: "Имя мира должно содержать от 1 до 32 символов: строчные латинские буквы, цифры, \"-\" и \"_\""
+            });
+        }
+
+        if (!REALM_TYPES.includes(type)) {
+            return res.status(400).json({
+                error: "Неверный формат данных",
+                details: "Тип мира должен быть login или game"
+            });
+        }
+
+        if (!host || !user || !database) {
+            return res.status(400).json({
+                error: "Неверный формат данных",
+                details: "Хост, пользователь и имя базы данных обязательны для заполнения"
+            });
+        }
+
+        const parsedPort = port === undefined ? 3306 : parseInt(port, 10);
+
+        if (isNaN(parsedPort) || parsedPort < 1 || parsedPort > 65535) {
+            return res.status(400).json({
+                error: "Неверный формат данных",
+                details: "Порт должен быть числом от 1 до 65535"
+            });
+        }
+
+        if (type === "game" && !realms.getLogin(loginRealm)) {
+            return res.status(400).json({
+                error: "Неверный формат данных",
+                details: "Для игрового мира необходимо указать подключенную базу логинов (loginRealm)"
+            });
+        }
+
+        if (realms.getConnection(type, name) || await realmsDb.get(type, name)) {
+            return res.status(409).json({
+                error: "Мир с таким именем уже существует"
+            });
+        }
+
+        const connection = { host, port: parsedPort, user, password: password || "", name: database };
+
+        if (skipConnectionTest !== true) {
+            const test = await measureConnection(() => databases.testConnection(connection));
+
+            if (!test.success) {
+                return res.status(400).json({
+                    error: "Не удалось подключиться к базе данных мира",
+                    details: test.error
+                });
+            }
+        }
+
+        const realm = await realmsDb.create({ name, type, title, connection, loginRealm });
+
+        // Мир, который не удалось подключить, не сохраняется: иначе он не подключался бы при каждом запуске
+        try {
+            realms.activate({ ...realm, connection });
+        } catch (error) {
+            await realmsDb.remove(type, name);
+            logger.warn(`Игровой мир ${type}:${name} не добавлен: ${error.message}`);
+            return res.status(400).json({
+                error: "Не удалось подключить мир",
+                details: error.message
+            });
+        }
+
+        logger.info(`Игровой мир ${type}:${name} добавлен клиентом ${req.apiKey.name}`);
+
+        res.status(201).json({
+            success: true,
+            message: "Мир успешно добавлен",
+            realm: maskRealm(realm)
+        });
+    } catch (error) {
+        logger.error("Ошибка при добавлении игрового мира:", error);
+        res.status(500).json({
+            error: "Ошибка при добавлении игрового мира",
+            details: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/admin/realms/{type}/{name}/disable:
+ *   post:
+ *     summary: Отключение игрового мира
+ *     description: Отключает мир из реестра и закрывает его подключение. Миры из переменных окружения отключить нельзя. Требуется область доступа realms:manage
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [login, game]
+ *         description: Тип мира
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Имя мира
+ *     responses:
+ *       200:
+ *         description: Мир отключен
+ *       400:
+ *         description: Неизвестный тип мира или мир задан в переменных окружения
+ *       403:
+ *         description: Недостаточно прав API-ключа
+ *       404:
+ *         description: Мир не найден
+ *       409:
+ *         description: База логинов используется включенными игровыми мирами
+ *       500:
+ *         description: Внутренняя ошибка сервера
+ */
+router.post("/:type/:name/disable", async (req, res) => {
+    try {
+        const { type, name } = req.params;
+
+        if (!REALM_TYPES.includes(type)) {
+            return res.status(400).json({
+                error: "Неверный формат данных",
+                details: "Тип мира должен быть login или game"
+            });
+        }
+
+        const realm = await realmsDb.get(type, name);
+
+        if (!realm) {
+            const isEnvRealm = realms.getConnection(type, name) !== null;
+            return res.status(isEnvRealm ? 400 : 404).json(isEnvRealm
+                ? { error: "Неверный формат данных", details: "Мир задан в переменных окружения и не может быть отключен через API" }
+                : { error: "Мир не найден" });
+        }
+
+        if (type === "login") {
+            const dependentRealms = await realmsDb.getGameRealmsByLogin(name);
+
+            if (dependentRealms.length > 0) {
+                return res.status(409).json({
+                    error: "База логинов используется включенными игровыми мирами",
+                    realms: dependentRealms
+                });
+            }
+        }
+
+        await realmsDb.setEnabled(type, name, false);
+        await realms.deactivate(type, name);
+
+        logger.info(`Игровой мир ${type}:${name} отключен клиентом ${req.apiKey.name}`);
+
+        res.json({
+            success: true,
+            message: "Мир успешно отключен"
+        });
+    } catch (error) {
+        logger.error("Ошибка при отключении игрового мира:", error);
+        res.status(500).json({
+            error: "Ошибка при отключении игрового мира",
+            details: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/admin/realms/{type}/{name}/enable:
+ *   post:
+ *     summary: Включение игрового мира
+ *     description: Включает ранее отключенный мир из реестра и подключает его без перезапуска API. Требуется область доступа realms:manage
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [login, game]
+ *         description: Тип мира
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Имя мира
+ *     responses:
+ *       200:
+ *         description: Мир включен
+ *       400:
+ *         description: Неизвестный тип мира, база логинов мира не подключена или мир не удалось подключить
+ *       403:
+ *         description: Недостаточно прав API-ключа
+ *       404:
+ *         description: Мир не найден
+ *       500:
+ *         description: Внутренняя ошибка сервера
+ */
+router.post("/:type/:name/enable", async (req, res) => {
+    try {
+        const { type, name } = req.params;
+
+        if (!REALM_TYPES.includes(type)) {
+            return res.status(400).json({
+                error: "Неверный формат данных",
+                details: "Тип мира должен быть login или game"
+            });
+        }
+
+        const realm = await realmsDb.get(type, name);
+
+        if (!realm) {
+            return res.status(404).json({
+                error: "Мир не найден"
+            });
+        }
+
+        if (type === "game" && !realms.getLogin(realm.loginRealm)) {
+            return res.status(400).json({
+                error: "Неверный формат данных",
+                details: `База логинов ${realm.loginRealm} не подключена`
+            });
+        }
+
+        // Включенный мир мог остаться неподключенным (например, база логинов не была подключена при запуске)
+        if (!realm.enabled || !realms.getConnection(type, name)) {
+            try {
+                realms.activate({ ...realm, connection: await realmsDb.getConnection(type, name) });
+            } catch (error) {
+                logger.warn(`Игровой мир ${type}:${name} не включен: ${error.message}`);
+                return res.status(400).json({
+                    error: "Не удалось подключить мир",
+                    details: error.message
+                });
+            }
+
+            if (!realm.enabled) {
+                await realmsDb.setEnabled(type, name, true);
+            }
+        }
+
+        logger.info(`Игровой мир ${type}:${name} включен клиентом ${req.apiKey.name}`);
+
+        res.json({
+            success: true,
+            message: "Мир успешно включен"
+        });
+    } catch (error) {
+        logger.error("Ошибка при включении игрового мира:", error);
+        res.status(500).json({
+            error: "Ошибка при включении игрового мира",
+            details: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/admin/realms/{type}/{name}/test:
+ *   post:
+ *     summary: Проверка подключения к игровому миру
+ *     description: Проверяет подключение к базе данных мира. Для подключенных миров используется действующее подключение, для отключенных - временное. Требуется область доступа realms:manage
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [login, game]
+ *         description: Тип мира
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Имя мира
+ *     responses:
+ *       200:
+ *         description: Результат проверки подключения
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 latencyMs:
+ *                   type: integer
+ *                 error:
+ *                   type: string
+ *                   nullable: true
+ *       400:
+ *         description: Неизвестный тип мира
+ *       403:
+ *         description: Недостаточно прав API-ключа
+ *       404:
+ *         description: Мир не найден
+ *       500:
+ *         description: Внутренняя ошибка сервера
+ */
+router.post("/:type/:name/test", async (req, res) => {
+    try {
+        const { type, name } = req.params;
+
+        if (!REALM_TYPES.includes(type)) {
+            return res.status(400).json({
+                error: "Неверный формат данных",
+                details: "Тип мира должен быть login или game"
+            });
+        }
+
+        const activeConnection = realms.getConnection(type, name);
+        let result;
+
+        if (activeConnection) {
+            result = await measureConnection(() => activeConnection.authenticate());
+        } else {
+            const connection = await realmsDb.getConnection(type, name);
+
+            if (!connection) {
+                return res.status(404).json({
+                    error: "Мир не найден"
+                });
+            }
+
+            result = await measureConnection(() => databases.testConnection(connection));
+        }
+
+        if (!result.success) {
+            logger.warn(`Проверка подключения к миру ${type}:${name} не пройдена: ${result.error}`);
+        }
+
+        res.json(result);
+    } catch (error) {
+        logger.error("Ошибка при проверке подключения к игровому миру:", error);
+        res.status(500).json({
+            error: "Ошибка при проверке подключения к игровому миру",
+            details: error.message
+        });
+    }
+});
+
+module.exports = router;
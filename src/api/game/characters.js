@@ -1,21 +1,82 @@
 const express = require("express");
 const logger = require("../../utils/logger");
 const charactersDb = require("../../config/db/characters");
+const itemsDb = require("../../config/db/items");
+const deliveriesDb = require("../../config/db/deliveries");
+const auditLogDb = require("../../config/db/auditLog");
 const accountsDb = require("../../config/db/accounts");
+const characterRenamesDb = require("../../config/db/characterRenames");
+const characterUnstucksDb = require("../../config/db/characterUnstucks");
+const deliveryRequestsDb = require("../../config/db/deliveryRequests");
+const { validateCharacterName } = require("../../utils/characterNameUtils");
+const { findNearestSafeSpawn } = require("../../config/data/safeSpawns");
+const { requireScope } = require("../../middlewares/scopeMiddleware");
+const sessionMiddleware = require("../../middlewares/sessionMiddleware");
 
 const router = express.Router();
 
+// Максимальное количество персонажей на аккаунте (ограничение игрового сервера)
+const MAX_CHARACTERS_PER_ACCOUNT = parseInt(process.env.MAX_CHARACTERS_PER_ACCOUNT || "7", 10);
+
+// Сколько секунд должно пройти между перемещениями персонажа в безопасное место
+const UNSTUCK_COOLDOWN_SECONDS = parseInt(process.env.UNSTUCK_COOLDOWN_SECONDS || "3600", 10);
+
+// Ответы на отказ в переносе персонажа по причине из charactersDb.transfer
+const TRANSFER_REFUSALS = {
+    not_found: {
+        status: 404,
+        body: { error: "Персонаж не найден" }
+    },
+    online: {
+        status: 409,
+        body: { error: "Персонаж в игре", details: "Перенос возможен только когда персонаж не в игре" }
+    },
+    clan_leader: {
+        status: 409,
+        body: { error: "Персонаж является лидером клана", details: "Перед переносом лидерство в клане нужно передать другому персонажу" }
+    },
+    no_slot: {
+        status: 409,
+        body: { error: "На аккаунте нет свободного слота", details: `На целевом аккаунте уже ${MAX_CHARACTERS_PER_ACCOUNT} персонажей` }
+    }
+};
+
+/**
+ * Проверяет, что значение - целое число в заданном диапазоне
+ * @param {*} value - Значение из запроса
+ * @param {number} min - Минимальное значение
+ * @param {number} max - Максимальное значение
+ * @returns {boolean} true, если значение допустимо
+ */
+const isIntegerInRange = (value, min, max) => {
+    if (typeof value !== "number" && typeof value !== "string") return false;
+
+    const number = Number(value);
+    return value !== "" && Number.isSafeInteger(number) && number >= min && number <= max;
+};
+
+/**
+ * Создает middleware, пропускающий API-ключи с указанной областью доступа
+ * или игроков с действительным токеном сессии (личный кабинет).
+ * Принадлежность персонажа игроку проверяет обработчик маршрута
+ * @param {string} requiredScope - Требуемая область доступа API-ключа
+ * @returns {Function} Express middleware
+ */
+const requireScopeOrSession = (requiredScope) => (req, res, next) =>
+    req.apiKey ? requireScope(requiredScope)(req, res, next) : sessionMiddleware(req, res, next);
+
 /**
  * @swagger
  * /api/game/characters/account/{accountName}:
  *   get:
  *     summary: Получение списка персонажей аккаунта
- *     description: Возвращает список персонажей, принадлежащих указанному аккаунту
+ *     description: Возвращает список персонажей, принадлежащих указанному аккаунту. Требуется область доступа characters:read
  *     tags:
  *       - Characters
  *     security:
  *       - ApiKeyAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/Realm'
  *       - in: path
  *         name: accountName
  *         required: true
@@ -75,6 +136,15 @@ const router = express.Router();
  *                         type: boolean
  *                       onlineTimeHours:
  *                         type: integer
+ *                       class_id:
+ *                         type: integer
+ *                         nullable: true
+ *                       className:
+ *                         type: string
+ *                       level:
+ *                         type: integer
+ *                         nullable: true
+ *                         description: Уровень активного сабкласса
  *                 pagination:
  *                   type: object
  *                   properties:
@@ -91,13 +161,13 @@ const router = express.Router();
  *       500:
  *         description: Внутренняя ошибка сервера
  */
-router.get("/account/:accountName", async (req, res) => {
+router.get("/account/:accountName", requireScope("characters:read"), async (req, res) => {
     try {
         const { accountName } = req.params;
         const { page, limit, includDeleted } = req.query;
 
         // Проверяем существование аккаунта
-        const accountExists = await accountsDb.exists(accountName);
+        const accountExists = await accountsDb.forRealm(req.realm).exists(accountName);
         if (!accountExists) {
             return res.status(404).json({
                 error: "Аккаунт не найден"
@@ -105,7 +175,7 @@ router.get("/account/:accountName", async (req, res) => {
         }
 
         // Получаем список персонажей
-        const result = await charactersDb.getAccountCharacters(accountName, {
+        const result = await charactersDb.forRealm(req.realm).getAccountCharacters(accountName, {
             page: parseInt(page || 1, 10),
             limit: parseInt(limit || 10, 10),
             includDeleted: includDeleted === 'true'
@@ -126,12 +196,13 @@ router.get("/account/:accountName", async (req, res) => {
 * /api/game/characters/list:
 *   get:
     *     summary: Получение списка персонажей
-*     description: Возвращает список персонажей с пагинацией и возможностью фильтрации
+*     description: Возвращает список персонажей с пагинацией и возможностью фильтрации. Требуется область доступа characters:read
 *     tags:
 *       - Characters
 *     security:
 *       - ApiKeyAuth: []
 *     parameters:
+*       - $ref: '#/components/parameters/Realm'
 *       - in: query
 *         name: page
 *         schema:
@@ -168,12 +239,37 @@ router.get("/account/:accountName", async (req, res) => {
 *         name: minLevel
 *         schema:
 *           type: integer
-*         description: Минимальный уровень персонажа
+*         description: Минимальный уровень персонажа (активного сабкласса)
 *       - in: query
 *         name: maxLevel
 *         schema:
 *           type: integer
-*         description: Максимальный уровень персонажа
+*         description: Максимальный уровень персонажа (активного сабкласса)
+*       - in: query
+*         name: class_id
+*         schema:
+*           type: integer
+*         description: Фильтр по ID класса активного сабкласса
+*       - in: query
+*         name: minExp
+*         schema:
+*           type: integer
+*         description: Минимальный опыт активного сабкласса
+*       - in: query
+*         name: maxExp
+*         schema:
+*           type: integer
+*         description: Максимальный опыт активного сабкласса
+*       - in: query
+*         name: minSp
+*         schema:
+*           type: integer
+*         description: Минимальное количество SP активного сабкласса
+*       - in: query
+*         name: maxSp
+*         schema:
+*           type: integer
+*         description: Максимальное количество SP активного сабкласса
 *       - in: query
 *         name: createdAfter
 *         schema:
@@ -213,7 +309,7 @@ router.get("/account/:accountName", async (req, res) => {
 *         name: sortBy
 *         schema:
 *           type: string
-*           enum: [char_name, account_name, createtime, lastAccess, online, clanid, pvpkills, pkkills, karma, onlinetime]
+*           enum: [char_name, account_name, createtime, lastAccess, online, clanid, pvpkills, pkkills, karma, onlinetime, level, class_id, exp, sp]
 *           default: char_name
 *         description: Поле для сортировки
 *       - in: query
@@ -267,6 +363,10 @@ router.get("/account/:accountName", async (req, res) => {
 *                         type: integer
 *                       clanid:
 *                         type: integer
+*                       clanUrl:
+*                         type: string
+*                         nullable: true
+*                         description: Ссылка на клан персонажа (/api/game/clans/{clanId})
 *                       title:
 *                         type: string
 *                       pvpkills:
@@ -275,6 +375,22 @@ router.get("/account/:accountName", async (req, res) => {
 *                         type: integer
 *                       karma:
 *                         type: integer
+*                       class_id:
+*                         type: integer
+*                         nullable: true
+*                         description: ID класса активного сабкласса
+*                       className:
+*                         type: string
+*                       level:
+*                         type: integer
+*                         nullable: true
+*                         description: Уровень активного сабкласса
+*                       exp:
+*                         type: integer
+*                         nullable: true
+*                       sp:
+*                         type: integer
+*                         nullable: true
 *                       x:
 *                         type: integer
 *                       y:
@@ -299,7 +415,7 @@ router.get("/account/:accountName", async (req, res) => {
 *       500:
 *         description: Внутренняя ошибка сервера
 */
-router.get("/list", async (req, res) => {
+router.get("/list", requireScope("characters:read"), async (req, res) => {
     try {
         // Получаем параметры запроса
         const {
@@ -311,6 +427,11 @@ router.get("/list", async (req, res) => {
             online,
             minLevel,
             maxLevel,
+            class_id,
+            minExp,
+            maxExp,
+            minSp,
+            maxSp,
             createdAfter,
             createdBefore,
             lastAccessAfter,
@@ -329,6 +450,11 @@ router.get("/list", async (req, res) => {
         if (online !== undefined) filters.online = online;
         if (minLevel) filters.minLevel = minLevel;
         if (maxLevel) filters.maxLevel = maxLevel;
+        if (class_id !== undefined) filters.class_id = class_id;
+        if (minExp) filters.minExp = minExp;
+        if (maxExp) filters.maxExp = maxExp;
+        if (minSp) filters.minSp = minSp;
+        if (maxSp) filters.maxSp = maxSp;
         if (createdAfter) filters.createdAfter = createdAfter;
         if (createdBefore) filters.createdBefore = createdBefore;
         if (lastAccessAfter) filters.lastAccessAfter = lastAccessAfter;
@@ -337,7 +463,7 @@ router.get("/list", async (req, res) => {
         if (deletedOnly === 'true') filters.deletedOnly = 'true';
 
         // Получаем данные
-        const result = await charactersDb.getCharacters({
+        const result = await charactersDb.forRealm(req.realm).getCharacters({
             page: parseInt(page || 1, 10),
             limit: parseInt(limit || 10, 10),
             filters,
@@ -355,17 +481,147 @@ router.get("/list", async (req, res) => {
     }
 });
 
+/**
+ * @swagger
+ * /api/game/characters/stats:
+ *   get:
+ *     summary: Получение статистики персонажей
+ *     description: |
+ *       Возвращает агрегированную статистику по персонажам. Форма ответа зависит от типа:
+ *       - total: total, active, deleted, online, accounts, activeLast7Days
+ *       - online: online, total, onlinePercent, accounts
+ *       - by_class: total, byClass (по активному сабклассу)
+ *       - by_clan: total, withClan, withoutClan, byClan (до 100 крупнейших кланов)
+ *       - by_level: total, byLevel (по активному сабклассу)
+ *
+ *       Требуется область доступа characters:read
+ *     tags:
+ *       - Characters
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Realm'
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [total, online, by_class, by_clan, by_level]
+ *           default: total
+ *         description: Тип статистики
+ *     responses:
+ *       200:
+ *         description: Статистика персонажей
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 total:
+ *                   type: integer
+ *                   description: Количество персонажей, по которым посчитана статистика (для type=total - включая удаленных)
+ *                 active:
+ *                   type: integer
+ *                   description: Количество неудаленных персонажей (type=total)
+ *                 deleted:
+ *                   type: integer
+ *                   description: Количество удаленных персонажей (type=total)
+ *                 online:
+ *                   type: integer
+ *                   description: Количество онлайн персонажей (type=total, online)
+ *                 accounts:
+ *                   type: integer
+ *                   description: Количество аккаунтов с персонажами, для type=online - с персонажами в игре
+ *                 activeLast7Days:
+ *                   type: integer
+ *                   description: Персонажи, заходившие в игру за последние 7 дней (type=total)
+ *                 onlinePercent:
+ *                   type: number
+ *                   description: Доля онлайн персонажей в процентах (type=online)
+ *                 byClass:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       classId:
+ *                         type: integer
+ *                       className:
+ *                         type: string
+ *                       count:
+ *                         type: integer
+ *                 withClan:
+ *                   type: integer
+ *                   description: Персонажи в клане (type=by_clan)
+ *                 withoutClan:
+ *                   type: integer
+ *                   description: Персонажи без клана (type=by_clan)
+ *                 byClan:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       clanId:
+ *                         type: integer
+ *                       clanName:
+ *                         type: string
+ *                         nullable: true
+ *                       count:
+ *                         type: integer
+ *                 byLevel:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       levelRange:
+ *                         type: string
+ *                         example: 20-39
+ *                       minLevel:
+ *                         type: integer
+ *                       maxLevel:
+ *                         type: integer
+ *                         nullable: true
+ *                       count:
+ *                         type: integer
+ *       400:
+ *         description: Неизвестный тип статистики
+ *       500:
+ *         description: Внутренняя ошибка сервера
+ */
+router.get("/stats", requireScope("characters:read"), async (req, res) => {
+    try {
+        const { type } = req.query;
+
+        // Получаем статистику в зависимости от запрошенного типа (по умолчанию - общая)
+        const stats = await charactersDb.forRealm(req.realm).getStatsByType(type || 'total');
+
+        if (!stats) {
+            return res.status(400).json({
+                error: "Неизвестный тип статистики",
+                details: "Допустимые значения: total, online, by_class, by_clan, by_level"
+            });
+        }
+
+        res.json(stats);
+    } catch (error) {
+        logger.error(`Ошибка при получении статистики персонажей:`, error);
+        res.status(500).json({
+            error: "Ошибка при получении статистики персонажей",
+            details: error.message
+        });
+    }
+});
+
 /**
  * @swagger
  * /api/game/characters/{charId}:
  *   get:
  *     summary: Получение информации о персонаже по ID
- *     description: Возвращает детальную информацию о конкретном персонаже по его ID
+ *     description: Возвращает детальную информацию о конкретном персонаже по его ID. Требуется область доступа characters:read
  *     tags:
  *       - Characters
  *     security:
  *       - ApiKeyAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/Realm'
  *       - in: path
  *         name: charId
  *         required: true
@@ -413,6 +669,10 @@ router.get("/list", async (req, res) => {
  *                   type: integer
  *                 clanid:
  *                   type: integer
+ *                 clanUrl:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Ссылка на клан персонажа (/api/game/clans/{clanId})
  *                 createtime:
  *                   type: integer
  *                 createDate:
@@ -454,7 +714,7 @@ router.get("/list", async (req, res) => {
  *       500:
  *         description: Внутренняя ошибка сервера
  */
-router.get("/:charId", async (req, res) => {
+router.get("/:charId", requireScope("characters:read"), async (req, res) => {
     try {
         const { charId } = req.params;
         const objId = parseInt(charId, 10);
@@ -468,7 +728,7 @@ router.get("/:charId", async (req, res) => {
         }
 
         // Загружаем информацию о персонаже
-        const character = await charactersDb.loadById(objId);
+        const character = await charactersDb.forRealm(req.realm).loadById(objId);
 
         if (!character) {
             return res.status(404).json({
@@ -488,47 +748,137 @@ router.get("/:charId", async (req, res) => {
 
 /**
  * @swagger
- * /api/game/characters/{charName}/exists:
+ * /api/game/characters/{charId}/items:
  *   get:
- *     summary: Проверка существования персонажа
- *     description: Проверяет, существует ли персонаж с указанным именем
+ *     summary: Получение предметов персонажа
+ *     description: Возвращает предметы персонажа из инвентаря, экипировки, склада и почты (freight), сгруппированные по месту хранения. Названия предметов берутся из каталога (ITEM_CATALOG_PATH). Требуется область доступа characters:read
  *     tags:
  *       - Characters
  *     security:
  *       - ApiKeyAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/Realm'
  *       - in: path
- *         name: charName
+ *         name: charId
  *         required: true
  *         schema:
+ *           type: integer
+ *         description: ID персонажа (obj_Id)
+ *       - in: query
+ *         name: itemId
+ *         schema:
+ *           type: integer
+ *         description: Фильтр по ID предмета
+ *       - in: query
+ *         name: location
+ *         schema:
  *           type: string
- *         description: Имя персонажа для проверки
+ *           enum: [INVENTORY, PAPERDOLL, WAREHOUSE, FREIGHT]
+ *         description: Фильтр по месту хранения
  *     responses:
  *       200:
- *         description: Результат проверки существования персонажа
+ *         description: Предметы персонажа
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 exists:
- *                   type: boolean
- *                   description: Признак существования персонажа
+ *                 charId:
+ *                   type: integer
+ *                 charName:
+ *                   type: string
+ *                 items:
+ *                   type: object
+ *                   description: Предметы по местам хранения (INVENTORY, PAPERDOLL, WAREHOUSE, FREIGHT)
+ *                   additionalProperties:
+ *                     type: array
+ *                     items:
+ *                       type: object
+ *                       properties:
+ *                         objectId:
+ *                           type: integer
+ *                         itemId:
+ *                           type: integer
+ *                         name:
+ *                           type: string
+ *                         count:
+ *                           type: integer
+ *                         enchantLevel:
+ *                           type: integer
+ *                         location:
+ *                           type: string
+ *                         slot:
+ *                           type: integer
+ *                           description: Слот экипировки или позиция (loc_data)
+ *                 totals:
+ *                   type: object
+ *                   description: Количество предметов по местам хранения
+ *                   additionalProperties:
+ *                     type: integer
+ *                 total:
+ *                   type: integer
+ *       400:
+ *         description: Неверный формат данных
+ *       404:
+ *         description: Персонаж не найден
  *       500:
  *         description: Внутренняя ошибка сервера
  */
-router.get("/:charName/exists", async (req, res) => {
+router.get("/:charId/items", requireScope("characters:read"), async (req, res) => {
     try {
-        const { charName } = req.params;
+        const objId = parseInt(req.params.charId, 10);
+        const { itemId, location } = req.query;
 
-        // Проверка существования персонажа
-        const exists = await charactersDb.exists(charName);
+        if (isNaN(objId)) {
+            return res.status(400).json({
+                error: "Неверный формат ID персонажа",
+                details: "ID персонажа должен быть числом"
+            });
+        }
 
-        res.json({ exists });
+        const filters = {};
+
+        if (itemId !== undefined) {
+            filters.itemId = parseInt(itemId, 10);
+
+            if (isNaN(filters.itemId)) {
+                return res.status(400).json({
+                    error: "Неверный формат данных",
+                    details: "ID предмета должен быть числом"
+                });
+            }
+        }
+
+        if (location !== undefined) {
+            filters.location = String(location).toUpperCase();
+
+            if (!itemsDb.ITEM_LOCATIONS.includes(filters.location)) {
+                return res.status(400).json({
+                    error: "Неверный формат данных",
+                    details: `Место хранения должно быть одним из: ${itemsDb.ITEM_LOCATIONS.join(", ")}`
+                });
+            }
+        }
+
+        const character = await charactersDb.forRealm(req.realm).loadById(objId);
+
+        if (!character) {
+            return res.status(404).json({
+                error: "Персонаж не найден"
+            });
+        }
+
+        const result = await itemsDb.forRealm(req.realm).getCharacterItems(objId, filters);
+
+        res.json({
+            charId: objId,
+            charName: character.char_name,
+            ...result
+        });
     } catch (error) {
-        logger.error(`Ошибка при проверке существования персонажа:`, error);
+        logger.error("Ошибка при получении предметов персонажа:", error);
         res.status(500).json({
-            error: "Ошибка при проверке существования персонажа",
+            error: "Ошибка при получении предметов персонажа",
             details: error.message
         });
     }
@@ -536,91 +886,1507 @@ router.get("/:charName/exists", async (req, res) => {
 
 /**
  * @swagger
- * /api/game/characters/stats:
+ * /api/game/characters/{charId}/skills:
  *   get:
- *     summary: Получение статистики персонажей
- *     description: Возвращает агрегированную статистику по персонажам
+ *     summary: Получение умений персонажа
+ *     description: Возвращает изученные умения персонажа (character_skills), сгруппированные по индексу класса. Требуется область доступа characters:read
  *     tags:
  *       - Characters
  *     security:
  *       - ApiKeyAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/Realm'
+ *       - in: path
+ *         name: charId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID персонажа (obj_Id)
  *       - in: query
- *         name: type
+ *         name: classIndex
  *         schema:
- *           type: string
- *           enum: [total, online, by_class, by_clan, by_level]
- *         description: Тип статистики
+ *           type: integer
+ *         description: Фильтр по индексу класса (class_index)
  *     responses:
  *       200:
- *         description: Статистика персонажей
+ *         description: Умения персонажа
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 total:
- *                   type: integer
- *                   description: Общее количество персонажей
- *                 active:
- *                   type: integer
- *                   description: Количество активных персонажей
- *                 online:
+ *                 charId:
  *                   type: integer
- *                   description: Количество онлайн персонажей
- *                 byClass:
- *                   type: array
- *                   items:
- *                     type: object
- *                     properties:
- *                       class:
- *                         type: string
- *                       count:
- *                         type: integer
- *                 byLevel:
+ *                 charName:
+ *                   type: string
+ *                 skillSets:
  *                   type: array
  *                   items:
  *                     type: object
  *                     properties:
- *                       levelRange:
- *                         type: string
- *                       count:
+ *                       classIndex:
  *                         type: integer
+ *                       skills:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             skillId:
+ *                               type: integer
+ *                             level:
+ *                               type: integer
+ *       400:
+ *         description: Неверный формат данных
+ *       404:
+ *         description: Персонаж не найден
  *       500:
  *         description: Внутренняя ошибка сервера
  */
-router.get("/stats", async (req, res) => {
+router.get("/:charId/skills", requireScope("characters:read"), async (req, res) => {
     try {
-        const { type } = req.query;
+        const objId = parseInt(req.params.charId, 10);
+        const { classIndex } = req.query;
 
-        // Получаем статистику в зависимости от запрошенного типа
-        let stats;
-        switch (type) {
-            case 'total':
-                stats = await charactersDb.getTotalStats();
-                break;
-            case 'online':
-                stats = await charactersDb.getOnlineStats();
-                break;
-            case 'by_class':
-                stats = await charactersDb.getCharactersByClass();
-                break;
-            case 'by_clan':
-                stats = await charactersDb.getCharactersByClan();
-                break;
-            case 'by_level':
-                stats = await charactersDb.getCharactersByLevel();
-                break;
-            default:
-                // Если тип не указан, возвращаем общую статистику
-                stats = await charactersDb.getTotalStats();
+        if (isNaN(objId)) {
+            return res.status(400).json({
+                error: "Неверный формат ID персонажа",
+                details: "ID персонажа должен быть числом"
+            });
         }
 
-        res.json(stats);
+        if (classIndex !== undefined && !isIntegerInRange(classIndex, 0, 65535)) {
+            return res.status(400).json({
+                error: "Неверный формат данных",
+                details: "Индекс класса должен быть неотрицательным целым числом"
+            });
+        }
+
+        const characters = charactersDb.forRealm(req.realm);
+        const character = await characters.loadById(objId);
+
+        if (!character) {
+            return res.status(404).json({
+                error: "Персонаж не найден"
+            });
+        }
+
+        const skillSets = await characters.getSkills(objId, {
+            classIndex: classIndex !== undefined ? Number(classIndex) : undefined
+        });
+
+        res.json({
+            charId: objId,
+            charName: character.char_name,
+            skillSets
+        });
     } catch (error) {
-        logger.error(`Ошибка при получении статистики персонажей:`, error);
+        logger.error("Ошибка при получении умений персонажа:", error);
         res.status(500).json({
-            error: "Ошибка при получении статистики персонажей",
+            error: "Ошибка при получении умений персонажа",
+            details: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/game/characters/{charId}/subclasses:
+ *   get:
+ *     summary: Получение сабклассов персонажа
+ *     description: Возвращает основной класс и сабклассы персонажа (character_subclasses) с уровнем, опытом и SP. Требуется область доступа characters:read
+ *     tags:
+ *       - Characters
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Realm'
+ *       - in: path
+ *         name: charId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID персонажа (obj_Id)
+ *     responses:
+ *       200:
+ *         description: Сабклассы персонажа
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 charId:
+ *                   type: integer
+ *                 charName:
+ *                   type: string
+ *                 subclasses:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       classId:
+ *                         type: integer
+ *                       className:
+ *                         type: string
+ *                       level:
+ *                         type: integer
+ *                       exp:
+ *                         type: integer
+ *                       sp:
+ *                         type: integer
+ *                       isActive:
+ *                         type: boolean
+ *                       isBase:
+ *                         type: boolean
+ *       400:
+ *         description: Неверный формат данных
+ *       404:
+ *         description: Персонаж не найден
+ *       500:
+ *         description: Внутренняя ошибка сервера
+ */
+router.get("/:charId/subclasses", requireScope("characters:read"), async (req, res) => {
+    try {
+        const objId = parseInt(req.params.charId, 10);
+
+        if (isNaN(objId)) {
+            return res.status(400).json({
+                error: "Неверный формат ID персонажа",
+                details: "ID персонажа должен быть числом"
+            });
+        }
+
+        const characters = charactersDb.forRealm(req.realm);
+        const character = await characters.loadById(objId);
+
+        if (!character) {
+            return res.status(404).json({
+                error: "Персонаж не найден"
+            });
+        }
+
+        const subclasses = await characters.getSubclasses(objId);
+
+        res.json({
+            charId: objId,
+            charName: character.char_name,
+            subclasses
+        });
+    } catch (error) {
+        logger.error("Ошибка при получении сабклассов персонажа:", error);
+        res.status(500).json({
+            error: "Ошибка при получении сабклассов персонажа",
+            details: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/game/characters/{charId}/hennas:
+ *   get:
+ *     summary: Получение хенн персонажа
+ *     description: Возвращает татуировки (хенны) персонажа из character_hennas. Требуется область доступа characters:read
+ *     tags:
+ *       - Characters
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Realm'
+ *       - in: path
+ *         name: charId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID персонажа (obj_Id)
+ *       - in: query
+ *         name: classIndex
+ *         schema:
+ *           type: integer
+ *         description: Фильтр по индексу класса (class_index)
+ *     responses:
+ *       200:
+ *         description: Хенны персонажа
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 charId:
+ *                   type: integer
+ *                 charName:
+ *                   type: string
+ *                 hennas:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       symbolId:
+ *                         type: integer
+ *                       slot:
+ *                         type: integer
+ *                       classIndex:
+ *                         type: integer
+ *       400:
+ *         description: Неверный формат данных
+ *       404:
+ *         description: Персонаж не найден
+ *       500:
+ *         description: Внутренняя ошибка сервера
+ */
+router.get("/:charId/hennas", requireScope("characters:read"), async (req, res) => {
+    try {
+        const objId = parseInt(req.params.charId, 10);
+        const { classIndex } = req.query;
+
+        if (isNaN(objId)) {
+            return res.status(400).json({
+                error: "Неверный формат ID персонажа",
+                details: "ID персонажа должен быть числом"
+            });
+        }
+
+        if (classIndex !== undefined && !isIntegerInRange(classIndex, 0, 65535)) {
+            return res.status(400).json({
+                error: "Неверный формат данных",
+                details: "Индекс класса должен быть неотрицательным целым числом"
+            });
+        }
+
+        const characters = charactersDb.forRealm(req.realm);
+        const character = await characters.loadById(objId);
+
+        if (!character) {
+            return res.status(404).json({
+                error: "Персонаж не найден"
+            });
+        }
+
+        const hennas = await characters.getHennas(objId, {
+            classIndex: classIndex !== undefined ? Number(classIndex) : undefined
+        });
+
+        res.json({
+            charId: objId,
+            charName: character.char_name,
+            hennas
+        });
+    } catch (error) {
+        logger.error("Ошибка при получении хенн персонажа:", error);
+        res.status(500).json({
+            error: "Ошибка при получении хенн персонажа",
+            details: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/game/characters/{charId}/deliveries:
+ *   post:
+ *     summary: Выдача предмета персонажу
+ *     description: Ставит предмет в очередь отложенной выдачи (items_delayed). Игровой сервер выдаст предмет, когда персонаж будет в игре. Выдача записывается в журнал действий. С заголовком Idempotency-Key повторный запрос возвращает уже созданную выдачу вместо новой. Требуется область доступа characters:deliver
+ *     tags:
+ *       - Characters
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Realm'
+ *       - in: path
+ *         name: charId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID персонажа (obj_Id)
+ *       - in: header
+ *         name: Idempotency-Key
+ *         required: false
+ *         schema:
+ *           type: string
+ *           maxLength: 128
+ *         description: Ключ идемпотентности клиента (например, ID заказа). Действует в пределах игрового мира и API-ключа
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - itemId
+ *               - count
+ *               - reason
+ *             properties:
+ *               itemId:
+ *                 type: integer
+ *                 example: 57
+ *               count:
+ *                 type: integer
+ *                 minimum: 1
+ *                 example: 1000000
+ *               enchantLevel:
+ *                 type: integer
+ *                 minimum: 0
+ *                 default: 0
+ *               reason:
+ *                 type: string
+ *                 maxLength: 255
+ *                 description: Причина выдачи (заказ в магазине, награда за событие)
+ *                 example: "Donate order #1542"
+ *     responses:
+ *       200:
+ *         description: Выдача с этим ключом идемпотентности уже создана (replayed = true)
+ *       201:
+ *         description: Предмет поставлен в очередь выдачи
+ *       400:
+ *         description: Неверный формат данных
+ *       403:
+ *         description: Недостаточно прав API-ключа
+ *       404:
+ *         description: Персонаж не найден
+ *       409:
+ *         description: Ключ идемпотентности использован для другого персонажа, выдача по нему еще создается или была отменена
+ *       500:
+ *         description: Внутренняя ошибка сервера
+ */
+router.post("/:charId/deliveries", requireScope("characters:deliver"), async (req, res) => {
+    try {
+        const objId = parseInt(req.params.charId, 10);
+        const { itemId, count, enchantLevel = 0, reason } = req.body;
+        const idempotencyKey = req.get("Idempotency-Key");
+
+        if (isNaN(objId)) {
+            return res.status(400).json({
+                error: "Неверный формат ID персонажа",
+                details: "ID персонажа должен быть числом"
+            });
+        }
+
+        if (!isIntegerInRange(itemId, 1, 2147483647)) {
+            return res.status(400).json({
+                error: "Неверный формат данных",
+                details: "ID предмета должен быть положительным целым числом"
+            });
+        }
+
+        if (!isIntegerInRange(count, 1, Number.MAX_SAFE_INTEGER)) {
+            return res.status(400).json({
+                error: "Неверный формат данных",
+                details: "Количество должно быть положительным целым числом"
+            });
+        }
+
+        if (!isIntegerInRange(enchantLevel, 0, 65535)) {
+            return res.status(400).json({
+                error: "Неверный формат данных",
+                details: "Уровень заточки должен быть целым числом от 0 до 65535"
+            });
+        }
+
+        if (!reason || typeof reason !== "string" || reason.length > 255) {
+            return res.status(400).json({
+                error: "Неверный формат данных",
+                details: "Причина выдачи обязательна и не должна превышать 255 символов"
+            });
+        }
+
+        if (idempotencyKey !== undefined && (!idempotencyKey || idempotencyKey.length > 128)) {
+            return res.status(400).json({
+                error: "Неверный формат данных",
+                details: "Ключ идемпотентности не должен быть пустым или длиннее 128 символов"
+            });
+        }
+
+        const character = await charactersDb.forRealm(req.realm).loadById(objId);
+
+        if (!character) {
+            return res.status(404).json({
+                error: "Персонаж не найден"
+            });
+        }
+
+        const deliveries = deliveriesDb.forRealm(req.realm);
+
+        // Ключ идемпотентности занимается до постановки предмета в очередь, чтобы повтор запроса не выдал предмет дважды
+        if (idempotencyKey && !(await deliveryRequestsDb.claim(req.realm.name, req.apiKey.name, idempotencyKey, objId))) {
+            const request = await deliveryRequestsDb.get(req.realm.name, req.apiKey.name, idempotencyKey);
+            const existing = request && request.charObjId === objId && request.paymentId !== null
+                ? await deliveries.getById(request.paymentId)
+                : null;
+
+            if (!existing) {
+                return res.status(409).json({
+                    error: "Ключ идемпотентности уже использован",
+                    details: request && request.charObjId !== objId
+                        ? "Ключ использован для выдачи другому персонажу"
+                        : "Выдача с этим ключом еще создается или была отменена"
+                });
+            }
+
+            return res.json({
+                success: true,
+                message: "Выдача с этим ключом идемпотентности уже создана",
+                replayed: true,
+                delivery: existing
+            });
+        }
+
+        let delivery;
+
+        try {
+            delivery = await deliveries.create({
+                ownerId: objId,
+                itemId: Number(itemId),
+                count: Number(count),
+                enchantLevel: Number(enchantLevel),
+                description: reason
+            });
+        } catch (error) {
+            if (idempotencyKey) {
+                await deliveryRequestsDb.release(req.realm.name, req.apiKey.name, idempotencyKey).catch(() => {});
+            }
+            throw error;
+        }
+
+        // Предмет уже в очереди выдачи: ошибки записи в мастер базу не должны превращаться в 500,
+        // иначе клиент, повторяющий запрос при ошибке, выдаст предмет повторно
+        if (idempotencyKey) {
+            try {
+                await deliveryRequestsDb.complete(req.realm.name, req.apiKey.name, idempotencyKey, delivery.paymentId);
+            } catch (error) {
+                logger.warn(`Выдача ${delivery.paymentId} создана, но не связана с ключом идемпотентности ${idempotencyKey}: ${error.message}`);
+            }
+        }
+
+        try {
+            await auditLogDb.record({
+                action: "delivery.create",
+                realm: req.realm.name,
+                targetType: "character",
+                targetId: objId,
+                actor: req.apiKey.name,
+                details: {
+                    paymentId: delivery.paymentId,
+                    itemId: delivery.itemId,
+                    count: delivery.count,
+                    enchantLevel: delivery.enchantLevel,
+                    reason,
+                    idempotencyKey: idempotencyKey || null
+                }
+            });
+        } catch (error) {
+            logger.warn(`Выдача ${delivery.paymentId} создана, но не записана в журнал действий: ${error.message}`);
+        }
+
+        res.status(201).json({
+            success: true,
+            message: "Предмет поставлен в очередь выдачи",
+            delivery
+        });
+    } catch (error) {
+        logger.error("Ошибка при выдаче предмета персонажу:", error);
+        res.status(500).json({
+            error: "Ошибка при выдаче предмета персонажу",
+            details: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/game/characters/{charId}/deliveries:
+ *   get:
+ *     summary: Получение выдач предметов персонажу
+ *     description: Возвращает ожидающие и выполненные выдачи из очереди items_delayed. Требуется область доступа characters:read
+ *     tags:
+ *       - Characters
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Realm'
+ *       - in: path
+ *         name: charId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID персонажа (obj_Id)
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [all, pending, delivered]
+ *           default: all
+ *         description: Фильтр по статусу выдачи
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Номер страницы
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Количество записей на странице
+ *     responses:
+ *       200:
+ *         description: Список выдач
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 charId:
+ *                   type: integer
+ *                 deliveries:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       paymentId:
+ *                         type: integer
+ *                       itemId:
+ *                         type: integer
+ *                       name:
+ *                         type: string
+ *                       count:
+ *                         type: integer
+ *                       enchantLevel:
+ *                         type: integer
+ *                       status:
+ *                         type: string
+ *                         enum: [pending, delivered]
+ *                       description:
+ *                         type: string
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     total:
+ *                       type: integer
+ *                     page:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     totalPages:
+ *                       type: integer
+ *       400:
+ *         description: Неверный формат данных
+ *       500:
+ *         description: Внутренняя ошибка сервера
+ */
+router.get("/:charId/deliveries", requireScope("characters:read"), async (req, res) => {
+    try {
+        const objId = parseInt(req.params.charId, 10);
+        const { status, page, limit } = req.query;
+
+        if (isNaN(objId)) {
+            return res.status(400).json({
+                error: "Неверный формат ID персонажа",
+                details: "ID персонажа должен быть числом"
+            });
+        }
+
+        if (status !== undefined && !["all", "pending", "delivered"].includes(status)) {
+            return res.status(400).json({
+                error: "Неверный формат данных",
+                details: "Статус должен быть all, pending или delivered"
+            });
+        }
+
+        const result = await deliveriesDb.forRealm(req.realm).listByOwner(objId, {
+            status: status || "all",
+            page: parseInt(page || 1, 10),
+            limit: parseInt(limit || 10, 10)
+        });
+
+        res.json({
+            charId: objId,
+            ...result
+        });
+    } catch (error) {
+        logger.error("Ошибка при получении выдач персонажа:", error);
+        res.status(500).json({
+            error: "Ошибка при получении выдач персонажа",
+            details: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/game/characters/{charId}/deliveries/{paymentId}:
+ *   delete:
+ *     summary: Отмена выдачи предмета
+ *     description: Удаляет из очереди выдачу, которую игровой сервер еще не выполнил. Отмена записывается в журнал действий. Требуется область доступа characters:deliver
+ *     tags:
+ *       - Characters
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Realm'
+ *       - in: path
+ *         name: charId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID персонажа (obj_Id)
+ *       - in: path
+ *         name: paymentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID выдачи
+ *     responses:
+ *       200:
+ *         description: Выдача отменена
+ *       400:
+ *         description: Неверный формат данных
+ *       403:
+ *         description: Недостаточно прав API-ключа
+ *       404:
+ *         description: Выдача не найдена
+ *       409:
+ *         description: Предмет уже выдан
+ *       500:
+ *         description: Внутренняя ошибка сервера
+ */
+router.delete("/:charId/deliveries/:paymentId", requireScope("characters:deliver"), async (req, res) => {
+    try {
+        const objId = parseInt(req.params.charId, 10);
+        const paymentId = parseInt(req.params.paymentId, 10);
+
+        if (isNaN(objId) || isNaN(paymentId)) {
+            return res.status(400).json({
+                error: "Неверный формат данных",
+                details: "ID персонажа и ID выдачи должны быть числами"
+            });
+        }
+
+        const deliveries = deliveriesDb.forRealm(req.realm);
+        const delivery = await deliveries.getById(paymentId);
+
+        if (!delivery || delivery.ownerId !== objId) {
+            return res.status(404).json({
+                error: "Выдача не найдена"
+            });
+        }
+
+        // Игровой сервер мог выдать предмет между проверкой и удалением
+        if (delivery.status === "delivered" || !(await deliveries.cancel(paymentId))) {
+            return res.status(409).json({
+                error: "Предмет уже выдан, отмена невозможна"
+            });
+        }
+
+        await auditLogDb.record({
+            action: "delivery.cancel",
+            realm: req.realm.name,
+            targetType: "character",
+            targetId: objId,
+            actor: req.apiKey.name,
+            details: {
+                paymentId,
+                itemId: delivery.itemId,
+                count: delivery.count,
+                enchantLevel: delivery.enchantLevel
+            }
+        });
+
+        res.json({
+            success: true,
+            message: "Выдача успешно отменена"
+        });
+    } catch (error) {
+        logger.error("Ошибка при отмене выдачи предмета:", error);
+        res.status(500).json({
+            error: "Ошибка при отмене выдачи предмета",
+            details: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/game/characters/{charId}/restore:
+ *   post:
+ *     summary: Восстановление удаленного персонажа
+ *     description: Сбрасывает время удаления персонажа. Персонаж восстанавливается, только если на аккаунте есть свободный слот и имя персонажа не занято. Восстановление записывается в журнал действий. Требуется область доступа characters:write
+ *     tags:
+ *       - Characters
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Realm'
+ *       - in: path
+ *         name: charId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID персонажа (obj_Id)
+ *     responses:
+ *       200:
+ *         description: Персонаж восстановлен
+ *       400:
+ *         description: Неверный формат ID персонажа
+ *       403:
+ *         description: Недостаточно прав API-ключа
+ *       404:
+ *         description: Персонаж не найден
+ *       409:
+ *         description: Персонаж не удален, на аккаунте нет свободного слота или имя персонажа занято
+ *       500:
+ *         description: Внутренняя ошибка сервера
+ */
+router.post("/:charId/restore", requireScope("characters:write"), async (req, res) => {
+    try {
+        const objId = parseInt(req.params.charId, 10);
+
+        if (isNaN(objId)) {
+            return res.status(400).json({
+                error: "Неверный формат ID персонажа",
+                details: "ID персонажа должен быть числом"
+            });
+        }
+
+        const characters = charactersDb.forRealm(req.realm);
+        const character = await characters.loadDeletedById(objId);
+
+        if (!character) {
+            if (await characters.existsById(objId)) {
+                return res.status(409).json({
+                    error: "Персонаж не удален"
+                });
+            }
+
+            return res.status(404).json({
+                error: "Персонаж не найден"
+            });
+        }
+
+        const characterCount = await characters.countByAccount(character.account_name);
+
+        if (characterCount >= MAX_CHARACTERS_PER_ACCOUNT) {
+            return res.status(409).json({
+                error: "На аккаунте нет свободного слота",
+                details: `На аккаунте ${character.account_name} уже ${characterCount} персонажей из ${MAX_CHARACTERS_PER_ACCOUNT}`
+            });
+        }
+
+        if (await characters.exists(character.char_name)) {
+            return res.status(409).json({
+                error: "Имя персонажа занято",
+                details: `Имя ${character.char_name} уже используется другим персонажем`
+            });
+        }
+
+        const restored = await characters.restore(objId);
+
+        if (!restored) {
+            return res.status(409).json({
+                error: "Персонаж не удален"
+            });
+        }
+
+        await auditLogDb.record({
+            action: "character.restore",
+            realm: req.realm.name,
+            targetType: "character",
+            targetId: objId,
+            actor: req.apiKey.name,
+            details: {
+                charName: character.char_name,
+                accountName: character.account_name,
+                deletetime: character.deletetime
+            }
+        });
+
+        res.json({
+            success: true,
+            message: "Персонаж восстановлен",
+            character: await characters.loadById(objId)
+        });
+    } catch (error) {
+        logger.error("Ошибка при восстановлении персонажа:", error);
+        res.status(500).json({
+            error: "Ошибка при восстановлении персонажа",
+            details: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/game/characters/{charId}/rename:
+ *   post:
+ *     summary: Переименование персонажа
+ *     description: Меняет имя персонажа. Новое имя проверяется по шаблону, длине и списку запрещенных слов (CHARACTER_NAME_PATTERN, CHARACTER_NAME_MIN_LENGTH, CHARACTER_NAME_MAX_LENGTH, CHARACTER_NAME_FORBIDDEN_WORDS) и должно быть свободно. Персонаж должен быть не в игре. Переименование записывается в историю и журнал действий. Требуется область доступа characters:write
+ *     tags:
+ *       - Characters
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Realm'
+ *       - in: path
+ *         name: charId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID персонажа (obj_Id)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - newName
+ *             properties:
+ *               newName:
+ *                 type: string
+ *                 example: "NewHero"
+ *               reason:
+ *                 type: string
+ *                 maxLength: 255
+ *                 description: Причина переименования (покупка смены имени, решение GM)
+ *                 example: "Name change order #2231"
+ *     responses:
+ *       200:
+ *         description: Персонаж переименован
+ *       400:
+ *         description: Неверный формат данных или недопустимое имя
+ *       403:
+ *         description: Недостаточно прав API-ключа
+ *       404:
+ *         description: Персонаж не найден
+ *       409:
+ *         description: Имя занято или персонаж в игре
+ *       500:
+ *         description: Внутренняя ошибка сервера
+ */
+router.post("/:charId/rename", requireScope("characters:write"), async (req, res) => {
+    try {
+        const objId = parseInt(req.params.charId, 10);
+        const { newName, reason = null } = req.body;
+
+        if (isNaN(objId)) {
+            return res.status(400).json({
+                error: "Неверный формат ID персонажа",
+                details: "ID персонажа должен быть числом"
+            });
+        }
+
+        const nameError = validateCharacterName(newName);
+
+        if (nameError) {
+            return res.status(400).json({
+                error: "Недопустимое имя персонажа",
+                details: nameError
+            });
+        }
+
+        if (reason !== null && (typeof reason !== "string" || reason.length > 255)) {
+            return res.status(400).json({
+                error: "Неверный формат данных",
+                details: "Причина переименования должна быть строкой не длиннее 255 символов"
+            });
+        }
+
+        const characters = charactersDb.forRealm(req.realm);
+        const character = await characters.loadById(objId);
+
+        if (!character) {
+            return res.status(404).json({
+                error: "Персонаж не найден"
+            });
+        }
+
+        if (character.char_name === newName) {
+            return res.status(400).json({
+                error: "Неверный формат данных",
+                details: "Новое имя совпадает с текущим"
+            });
+        }
+
+        if (character.isOnline) {
+            return res.status(409).json({
+                error: "Персонаж в игре",
+                details: "Переименование возможно только когда персонаж не в игре"
+            });
+        }
+
+        // Смена регистра букв не занимает чужое имя
+        if (character.char_name.toLowerCase() !== newName.toLowerCase() && await characters.exists(newName)) {
+            return res.status(409).json({
+                error: "Имя персонажа занято",
+                details: `Имя ${newName} уже используется другим персонажем`
+            });
+        }
+
+        // Персонаж мог войти в игру после проверки, поэтому условие повторяется в запросе
+        const renamed = await characters.rename(objId, newName);
+
+        if (!renamed) {
+            return res.status(409).json({
+                error: "Персонаж в игре",
+                details: "Переименование возможно только когда персонаж не в игре"
+            });
+        }
+
+        const renameId = await characterRenamesDb.record({
+            realm: req.realm.name,
+            objId,
+            oldName: character.char_name,
+            newName,
+            actor: req.apiKey.name,
+            reason
+        });
+
+        await auditLogDb.record({
+            action: "character.rename",
+            realm: req.realm.name,
+            targetType: "character",
+            targetId: objId,
+            actor: req.apiKey.name,
+            details: {
+                renameId,
+                oldName: character.char_name,
+                newName,
+                reason
+            }
+        });
+
+        res.json({
+            success: true,
+            message: "Персонаж переименован",
+            oldName: character.char_name,
+            newName
+        });
+    } catch (error) {
+        logger.error("Ошибка при переименовании персонажа:", error);
+        res.status(500).json({
+            error: "Ошибка при переименовании персонажа",
+            details: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/game/characters/{charId}/renames:
+ *   get:
+ *     summary: Получение истории переименований персонажа
+ *     description: Возвращает переименования персонажа, выполненные через API, начиная с последнего. Требуется область доступа characters:read
+ *     tags:
+ *       - Characters
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Realm'
+ *       - in: path
+ *         name: charId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID персонажа (obj_Id)
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Номер страницы
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Количество записей на странице
+ *     responses:
+ *       200:
+ *         description: История переименований
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 renames:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                       oldName:
+ *                         type: string
+ *                       newName:
+ *                         type: string
+ *                       actor:
+ *                         type: string
+ *                       reason:
+ *                         type: string
+ *                         nullable: true
+ *                       createdDate:
+ *                         type: string
+ *                         format: date-time
+ *                 pagination:
+ *                   type: object
+ *       400:
+ *         description: Неверный формат ID персонажа
+ *       500:
+ *         description: Внутренняя ошибка сервера
+ */
+router.get("/:charId/renames", requireScope("characters:read"), async (req, res) => {
+    try {
+        const objId = parseInt(req.params.charId, 10);
+        const { page, limit } = req.query;
+
+        if (isNaN(objId)) {
+            return res.status(400).json({
+                error: "Неверный формат ID персонажа",
+                details: "ID персонажа должен быть числом"
+            });
+        }
+
+        // История доступна и для удаленных персонажей, поэтому существование персонажа не проверяется
+        const result = await characterRenamesDb.listByCharacter(req.realm.name, objId, {
+            page: parseInt(page || 1, 10),
+            limit: parseInt(limit || 10, 10)
+        });
+
+        res.json(result);
+    } catch (error) {
+        logger.error("Ошибка при получении истории переименований персонажа:", error);
+        res.status(500).json({
+            error: "Ошибка при получении истории переименований персонажа",
+            details: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/game/characters/{charId}/transfer:
+ *   post:
+ *     summary: Перенос персонажа на другой аккаунт
+ *     description: Переносит персонажа на другой аккаунт игрового мира. Целевой аккаунт должен существовать и иметь свободный слот, персонаж не должен быть в игре и не должен быть лидером клана. Перенос записывается в журнал действий. Требуется область доступа characters:write
+ *     tags:
+ *       - Characters
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Realm'
+ *       - in: path
+ *         name: charId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID персонажа (obj_Id)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - targetAccount
+ *             properties:
+ *               targetAccount:
+ *                 type: string
+ *                 description: Логин аккаунта, на который переносится персонаж
+ *                 example: "buyer01"
+ *               reason:
+ *                 type: string
+ *                 maxLength: 255
+ *                 description: Причина переноса (продажа через поддержку, объединение аккаунтов)
+ *                 example: "Support ticket #3120"
+ *     responses:
+ *       200:
+ *         description: Персонаж перенесен
+ *       400:
+ *         description: Неверный формат данных
+ *       403:
+ *         description: Недостаточно прав API-ключа
+ *       404:
+ *         description: Персонаж или целевой аккаунт не найден
+ *       409:
+ *         description: Персонаж в игре, является лидером клана или на целевом аккаунте нет свободного слота
+ *       500:
+ *         description: Внутренняя ошибка сервера
+ */
+router.post("/:charId/transfer", requireScope("characters:write"), async (req, res) => {
+    try {
+        const objId = parseInt(req.params.charId, 10);
+        const { targetAccount, reason = null } = req.body;
+
+        if (isNaN(objId)) {
+            return res.status(400).json({
+                error: "Неверный формат ID персонажа",
+                details: "ID персонажа должен быть числом"
+            });
+        }
+
+        if (!targetAccount || typeof targetAccount !== "string") {
+            return res.status(400).json({
+                error: "Неверный формат данных",
+                details: "Целевой аккаунт обязателен"
+            });
+        }
+
+        if (reason !== null && (typeof reason !== "string" || reason.length > 255)) {
+            return res.status(400).json({
+                error: "Неверный формат данных",
+                details: "Причина переноса должна быть строкой не длиннее 255 символов"
+            });
+        }
+
+        const characters = charactersDb.forRealm(req.realm);
+        const character = await characters.loadById(objId);
+
+        if (!character) {
+            return res.status(404).json({
+                error: "Персонаж не найден"
+            });
+        }
+
+        if (character.account_name === targetAccount) {
+            return res.status(400).json({
+                error: "Неверный формат данных",
+                details: "Персонаж уже находится на этом аккаунте"
+            });
+        }
+
+        const accountExists = await accountsDb.forRealm(req.realm).exists(targetAccount);
+
+        if (!accountExists) {
+            return res.status(404).json({
+                error: "Целевой аккаунт не найден"
+            });
+        }
+
+        const result = await characters.transfer(objId, targetAccount, {
+            maxCharacters: MAX_CHARACTERS_PER_ACCOUNT
+        });
+
+        if (!result.transferred) {
+            const refusal = TRANSFER_REFUSALS[result.reason];
+            return res.status(refusal.status).json(refusal.body);
+        }
+
+        await auditLogDb.record({
+            action: "character.transfer",
+            realm: req.realm.name,
+            targetType: "character",
+            targetId: objId,
+            actor: req.apiKey.name,
+            details: {
+                charName: character.char_name,
+                fromAccount: result.fromAccount,
+                toAccount: targetAccount,
+                reason
+            }
+        });
+
+        res.json({
+            success: true,
+            message: "Персонаж перенесен на другой аккаунт",
+            fromAccount: result.fromAccount,
+            toAccount: targetAccount
+        });
+    } catch (error) {
+        logger.error("Ошибка при переносе персонажа:", error);
+        res.status(500).json({
+            error: "Ошибка при переносе персонажа",
+            details: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/game/characters/{charId}/unstuck:
+ *   post:
+ *     summary: Перемещение персонажа в безопасное место
+ *     description: Перемещает персонажа, который не в игре, в ближайший город из списка безопасных точек появления (SAFE_SPAWNS_PATH). Между перемещениями одного персонажа должно пройти UNSTUCK_COOLDOWN_SECONDS секунд. В режиме dryRun возвращает точку назначения без перемещения. Доступно API-ключу с областью доступа characters:write или игроку из личного кабинета по токену сессии (только для персонажей своего аккаунта)
+ *     tags:
+ *       - Characters
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Realm'
+ *       - in: path
+ *         name: charId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID персонажа (obj_Id)
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               dryRun:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Только показать точку назначения, не перемещая персонажа
+ *               ignoreCooldown:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Не учитывать ограничение по времени (только для API-ключа)
+ *     responses:
+ *       200:
+ *         description: Персонаж перемещен или, в режиме dryRun, точка назначения
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 dryRun:
+ *                   type: boolean
+ *                 from:
+ *                   type: object
+ *                   properties:
+ *                     x:
+ *                       type: integer
+ *                     y:
+ *                       type: integer
+ *                     z:
+ *                       type: integer
+ *                 to:
+ *                   type: object
+ *                   properties:
+ *                     name:
+ *                       type: string
+ *                     x:
+ *                       type: integer
+ *                     y:
+ *                       type: integer
+ *                     z:
+ *                       type: integer
+ *                     distance:
+ *                       type: integer
+ *                 nextAvailableDate:
+ *                   type: string
+ *                   format: date-time
+ *       400:
+ *         description: Неверный формат данных
+ *       401:
+ *         description: Access-токен отсутствует или недействителен
+ *       403:
+ *         description: Недостаточно прав API-ключа или персонаж принадлежит другому аккаунту
+ *       404:
+ *         description: Персонаж не найден
+ *       409:
+ *         description: Персонаж в игре
+ *       429:
+ *         description: Персонаж уже перемещался недавно
+ *       500:
+ *         description: Внутренняя ошибка сервера
+ *       503:
+ *         description: Список безопасных точек появления не загружен
+ */
+router.post("/:charId/unstuck", requireScopeOrSession("characters:write"), async (req, res) => {
+    try {
+        const objId = parseInt(req.params.charId, 10);
+        const { dryRun = false, ignoreCooldown = false } = req.body || {};
+
+        if (isNaN(objId)) {
+            return res.status(400).json({
+                error: "Неверный формат ID персонажа",
+                details: "ID персонажа должен быть числом"
+            });
+        }
+
+        if (typeof dryRun !== "boolean" || typeof ignoreCooldown !== "boolean") {
+            return res.status(400).json({
+                error: "Неверный формат данных",
+                details: "Параметры dryRun и ignoreCooldown должны быть логическими значениями"
+            });
+        }
+
+        // Игрок может перемещать только персонажей своего аккаунта в мире, где выполнен вход
+        if (req.session && req.session.realm !== req.realm.name) {
+            return res.status(403).json({
+                error: "Доступ запрещен",
+                message: "Сессия открыта в другом игровом мире"
+            });
+        }
+
+        if (req.session && ignoreCooldown) {
+            return res.status(403).json({
+                error: "Доступ запрещен",
+                message: "Игнорировать ограничение по времени может только API-ключ"
+            });
+        }
+
+        const characters = charactersDb.forRealm(req.realm);
+        const character = await characters.loadById(objId);
+
+        if (!character) {
+            return res.status(404).json({
+                error: "Персонаж не найден"
+            });
+        }
+
+        if (req.session && character.account_name !== req.session.login) {
+            return res.status(403).json({
+                error: "Доступ запрещен",
+                message: "Персонаж принадлежит другому аккаунту"
+            });
+        }
+
+        const target = findNearestSafeSpawn(character);
+
+        if (!target) {
+            return res.status(503).json({
+                error: "Список безопасных точек появления не загружен"
+            });
+        }
+
+        const lastUnstuck = await characterUnstucksDb.getLastUnstuck(req.realm.name, objId);
+
+        const now = Math.floor(Date.now() / 1000);
+        const availableAt = lastUnstuck !== null ? lastUnstuck + UNSTUCK_COOLDOWN_SECONDS : now;
+        const onCooldown = availableAt > now && !ignoreCooldown;
+
+        const from = { x: character.x, y: character.y, z: character.z };
+
+        if (dryRun) {
+            return res.json({
+                success: true,
+                dryRun: true,
+                isOnline: character.isOnline,
+                onCooldown,
+                nextAvailableDate: new Date(Math.max(availableAt, now) * 1000).toISOString(),
+                from,
+                to: target
+            });
+        }
+
+        if (character.isOnline) {
+            return res.status(409).json({
+                error: "Персонаж в игре",
+                details: "Перемещение возможно только когда персонаж не в игре"
+            });
+        }
+
+        if (onCooldown) {
+            res.set("Retry-After", String(availableAt - now));
+            return res.status(429).json({
+                error: "Персонаж уже перемещался недавно",
+                details: `Следующее перемещение доступно ${new Date(availableAt * 1000).toISOString()}`
+            });
+        }
+
+        // Время перемещения записывается до телепорта: если записать его не удалось, персонаж не перемещается
+        const claimed = await characterUnstucksDb.claim(req.realm.name, objId, {
+            now,
+            cooldown: UNSTUCK_COOLDOWN_SECONDS,
+            ignoreCooldown
+        });
+
+        if (!claimed) {
+            res.set("Retry-After", String(UNSTUCK_COOLDOWN_SECONDS));
+            return res.status(429).json({
+                error: "Персонаж уже перемещался недавно",
+                details: "Перемещение уже выполняется или только что выполнено другим запросом"
+            });
+        }
+
+        let moved;
+
+        // При ошибке перемещения время тоже возвращается, иначе неперемещенный персонаж останется на перезарядке
+        try {
+            moved = await characters.teleport(objId, target);
+        } catch (error) {
+            await characterUnstucksDb.release(req.realm.name, objId, { claimedAt: now, previousAt: lastUnstuck }).catch(() => {});
+            throw error;
+        }
+
+        if (!moved) {
+            await characterUnstucksDb.release(req.realm.name, objId, { claimedAt: now, previousAt: lastUnstuck });
+            return res.status(409).json({
+                error: "Персонаж в игре",
+                details: "Перемещение возможно только когда персонаж не в игре"
+            });
+        }
+
+        await auditLogDb.record({
+            action: "character.unstuck",
+            realm: req.realm.name,
+            targetType: "character",
+            targetId: objId,
+            actor: req.apiKey ? req.apiKey.name : `session:${req.session.login}`,
+            details: {
+                from,
+                to: target,
+                ignoreCooldown
+            }
+        });
+
+        res.json({
+            success: true,
+            dryRun: false,
+            message: `Персонаж перемещен: ${target.name}`,
+            nextAvailableDate: new Date((now + UNSTUCK_COOLDOWN_SECONDS) * 1000).toISOString(),
+            from,
+            to: target
+        });
+    } catch (error) {
+        logger.error("Ошибка при перемещении персонажа в безопасное место:", error);
+        res.status(500).json({
+            error: "Ошибка при перемещении персонажа в безопасное место",
+            details: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/game/characters/{charName}/exists:
+ *   get:
+ *     summary: Проверка существования персонажа
+ *     description: Проверяет, существует ли персонаж с указанным именем. Требуется область доступа characters:read
+ *     tags:
+ *       - Characters
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Realm'
+ *       - in: path
+ *         name: charName
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Имя персонажа для проверки
+ *     responses:
+ *       200:
+ *         description: Результат проверки существования персонажа
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 exists:
+ *                   type: boolean
+ *                   description: Признак существования персонажа
+ *       500:
+ *         description: Внутренняя ошибка сервера
+ */
+router.get("/:charName/exists", requireScope("characters:read"), async (req, res) => {
+    try {
+        const { charName } = req.params;
+
+        // Проверка существования персонажа
+        const exists = await charactersDb.forRealm(req.realm).exists(charName);
+
+        res.json({ exists });
+    } catch (error) {
+        logger.error(`Ошибка при проверке существования персонажа:`, error);
+        res.status(500).json({
+            error: "Ошибка при проверке существования персонажа",
             details: error.message
         });
     }
@@ -2,6 +2,7 @@ const express = require("express");
 const logger = require("../../../utils/logger");
 const charactersDb = require("../../../config/db/characters");
 const accountsDb = require("../../../config/db/accounts");
+const { requireScope } = require("../../../middlewares/scopeMiddleware");
 
 const router = express.Router();
 
@@ -10,12 +11,13 @@ const router = express.Router();
  * /api/game/characters/account/{accountName}:
  *   get:
  *     summary: Получение списка персонажей аккаунта
- *     description: Возвращает список персонажей, принадлежащих указанному аккаунту
+ *     description: Возвращает список персонажей, принадлежащих указанному аккаунту. Требуется область доступа characters:read
  *     tags:
  *       - Characters
  *     security:
  *       - ApiKeyAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/Realm'
  *       - in: path
  *         name: accountName
  *         required: true
@@ -29,13 +31,13 @@ const router = express.Router();
  *       500:
  *         description: Ошибка сервера
  */
-router.get("/:accountName", async (req, res) => {
+router.get("/:accountName", requireScope("characters:read"), async (req, res) => {
     try {
         const { accountName } = req.params;
         const { page, limit, includDeleted } = req.query;
 
         // Проверяем существование аккаунта
-        const accountExists = await accountsDb.exists(accountName);
+        const accountExists = await accountsDb.forRealm(req.realm).exists(accountName);
         if (!accountExists) {
             return res.status(404).json({
                 error: "Аккаунт не найден"
@@ -43,7 +45,7 @@ router.get("/:accountName", async (req, res) => {
         }
 
         // Получаем список персонажей
-        const result = await charactersDb.getAccountCharacters(accountName, {
+        const result = await charactersDb.forRealm(req.realm).getAccountCharacters(accountName, {
             page: parseInt(page || 1, 10),
             limit: parseInt(limit || 10, 10),
             includDeleted: includDeleted === 'true'
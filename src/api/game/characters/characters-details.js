@@ -1,6 +1,7 @@
 const express = require("express");
 const logger = require("../../../utils/logger");
 const charactersDb = require("../../../config/db/characters");
+const { requireScope } = require("../../../middlewares/scopeMiddleware");
 
 const router = express.Router();
 
@@ -9,12 +10,13 @@ const router = express.Router();
  * /api/game/characters/{charId}:
  *   get:
  *     summary: Получение информации о персонаже по ID
- *     description: Возвращает детальную информацию о конкретном персонаже по его ID
+ *     description: Возвращает детальную информацию о конкретном персонаже по его ID. Требуется область доступа characters:read
  *     tags:
  *       - Characters
  *     security:
  *       - ApiKeyAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/Realm'
  *       - in: path
  *         name: charId
  *         required: true
@@ -30,7 +32,7 @@ const router = express.Router();
  *       500:
  *         description: Ошибка сервера
  */
-router.get("/:charId", async (req, res) => {
+router.get("/:charId", requireScope("characters:read"), async (req, res) => {
     try {
         const { charId } = req.params;
         const objId = parseInt(charId, 10);
@@ -44,7 +46,7 @@ router.get("/:charId", async (req, res) => {
         }
 
         // Загружаем информацию о персонаже
-        const character = await charactersDb.loadById(objId);
+        const character = await charactersDb.forRealm(req.realm).loadById(objId);
 
         if (!character) {
             return res.status(404).json({
@@ -67,12 +69,13 @@ router.get("/:charId", async (req, res) => {
  * /api/game/characters/{charName}/exists:
  *   get:
  *     summary: Проверка существования персонажа
- *     description: Проверяет, существует ли персонаж с указанным именем
+ *     description: Проверяет, существует ли персонаж с указанным именем. Требуется область доступа characters:read
  *     tags:
  *       - Characters
  *     security:
  *       - ApiKeyAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/Realm'
  *       - in: path
  *         name: charName
  *         required: true
@@ -84,12 +87,12 @@ router.get("/:charId", async (req, res) => {
  *       500:
  *         description: Ошибка сервера
  */
-router.get("/:charName/exists", async (req, res) => {
+router.get("/:charName/exists", requireScope("characters:read"), async (req, res) => {
     try {
         const { charName } = req.params;
 
         // Проверка существования персонажа
-        const exists = await charactersDb.exists(charName);
+        const exists = await charactersDb.forRealm(req.realm).exists(charName);
 
         res.json({ exists });
     } catch (error) {
@@ -1,20 +1,22 @@
 const express = require("express");
 const logger = require("../../../utils/logger");
 const charactersDb = require("../../../config/db/characters");
+const { requireScope } = require("../../../middlewares/scopeMiddleware");
 
 const router = express.Router();
 
 /**
  * @swagger
- * /api/game/characters/list:
+ * /api/game/characters/characters-list:
  *   get:
  *     summary: Получение списка персонажей
- *     description: Возвращает список персонажей с пагинацией и возможностью фильтрации
+ *     description: Возвращает список персонажей с пагинацией и возможностью фильтрации. Требуется область доступа characters:read
  *     tags:
  *       - Characters
  *     security:
  *       - ApiKeyAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/Realm'
  *       - in: query
  *         name: page
  *         schema:
@@ -26,7 +28,7 @@ const router = express.Router();
  *       500:
  *         description: Ошибка сервера
  */
-router.get("/", async (req, res) => {
+router.get("/", requireScope("characters:read"), async (req, res) => {
     try {
         const {
             page,
@@ -38,7 +40,7 @@ router.get("/", async (req, res) => {
         const filters = {};
         // ... логика формирования фильтров
 
-        const result = await charactersDb.getCharacters({
+        const result = await charactersDb.forRealm(req.realm).getCharacters({
             page: parseInt(page || 1, 10),
             limit: parseInt(limit || 10, 10),
             filters,
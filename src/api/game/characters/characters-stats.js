@@ -1,20 +1,22 @@
 const express = require("express");
 const logger = require("../../../utils/logger");
 const charactersDb = require("../../../config/db/characters");
+const { requireScope } = require("../../../middlewares/scopeMiddleware");
 
 const router = express.Router();
 
 /**
  * @swagger
- * /api/game/characters/stats:
+ * /api/game/characters/characters-stats:
  *   get:
  *     summary: Получение статистики персонажей
- *     description: Возвращает агрегированную статистику по персонажам
+ *     description: Возвращает агрегированную статистику по персонажам (то же, что /api/game/characters/stats). Требуется область доступа characters:read
  *     tags:
  *       - Characters
  *     security:
  *       - ApiKeyAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/Realm'
  *       - in: query
  *         name: type
  *         schema:
@@ -23,34 +25,23 @@ const router = express.Router();
  *     responses:
  *       200:
  *         description: Успешный ответ со статистикой персонажей
+ *       400:
+ *         description: Неизвестный тип статистики
  *       500:
  *         description: Ошибка сервера
  */
-router.get("/", async (req, res) => {
+router.get("/", requireScope("characters:read"), async (req, res) => {
     try {
         const { type } = req.query;
 
-        // Получаем статистику в зависимости от запрошенного типа
-        let stats;
-        switch (type) {
-            case 'total':
-                stats = await charactersDb.getTotalStats();
-                break;
-            case 'online':
-                stats = await charactersDb.getOnlineStats();
-                break;
-            case 'by_class':
-                stats = await charactersDb.getCharactersByClass();
-                break;
-            case 'by_clan':
-                stats = await charactersDb.getCharactersByClan();
-                break;
-            case 'by_level':
-                stats = await charactersDb.getCharactersByLevel();
-                break;
-            default:
-                // Если тип не указан, возвращаем общую статистику
-                stats = await charactersDb.getTotalStats();
+        // Получаем статистику в зависимости от запрошенного типа (по умолчанию - общая)
+        const stats = await charactersDb.forRealm(req.realm).getStatsByType(type || 'total');
+
+        if (!stats) {
+            return res.status(400).json({
+                error: "Неизвестный тип статистики",
+                details: "Допустимые значения: total, online, by_class, by_clan, by_level"
+            });
         }
 
         res.json(stats);
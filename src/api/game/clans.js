@@ -0,0 +1,500 @@
+const express = require("express");
+const logger = require("../../utils/logger");
+const clansDb = require("../../config/db/clans");
+const { requireScope } = require("../../middlewares/scopeMiddleware");
+
+const router = express.Router();
+
+// Просмотр кланов и альянсов доступен ключам с этой областью доступа
+router.use(requireScope("clans:read"));
+
+/**
+ * Проверяет ID из параметров маршрута
+ * @param {string} value - Значение параметра
+ * @returns {number|null} ID или null
+ */
+const parseId = (value) => {
+    const id = parseInt(value, 10);
+    return isNaN(id) ? null : id;
+};
+
+/**
+ * @swagger
+ * /api/game/clans:
+ *   get:
+ *     summary: Получение списка кланов
+ *     description: Возвращает кланы с лидером, альянсом и количеством участников. Требуется область доступа clans:read
+ *     tags:
+ *       - Clans
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Realm'
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Номер страницы
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Количество записей на странице
+ *       - in: query
+ *         name: name
+ *         schema:
+ *           type: string
+ *         description: Фильтр по названию клана (частичное совпадение)
+ *       - in: query
+ *         name: level
+ *         schema:
+ *           type: integer
+ *         description: Фильтр по уровню клана
+ *       - in: query
+ *         name: minLevel
+ *         schema:
+ *           type: integer
+ *         description: Минимальный уровень клана
+ *       - in: query
+ *         name: allyId
+ *         schema:
+ *           type: integer
+ *         description: Фильтр по ID альянса
+ *       - in: query
+ *         name: hasCastle
+ *         schema:
+ *           type: boolean
+ *         description: Только кланы с замком (true) или без замка (false)
+ *     responses:
+ *       200:
+ *         description: Список кланов
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 clans:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Clan'
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     total:
+ *                       type: integer
+ *                     page:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     totalPages:
+ *                       type: integer
+ *       403:
+ *         description: Недостаточно прав API-ключа
+ *       500:
+ *         description: Внутренняя ошибка сервера
+ */
+router.get("/", async (req, res) => {
+    try {
+        const { page, limit, name, level, minLevel, allyId, hasCastle } = req.query;
+
+        const filters = {};
+        if (name) filters.name = name;
+        if (level !== undefined) filters.level = parseInt(level, 10);
+        if (minLevel !== undefined) filters.minLevel = parseInt(minLevel, 10);
+        if (allyId !== undefined) filters.allyId = parseInt(allyId, 10);
+        if (hasCastle !== undefined) filters.hasCastle = hasCastle === 'true';
+
+        const invalidFilter = ["level", "minLevel", "allyId"].find((key) => key in filters && isNaN(filters[key]));
+
+        if (invalidFilter) {
+            return res.status(400).json({
+                error: "Неверный формат данных",
+                details: `Параметр ${invalidFilter} должен быть числом`
+            });
+        }
+
+        const result = await clansDb.forRealm(req.realm).getClans({
+            page: parseInt(page || 1, 10),
+            limit: parseInt(limit || 10, 10),
+            filters
+        });
+
+        res.json(result);
+    } catch (error) {
+        logger.error("Ошибка при получении списка кланов:", error);
+        res.status(500).json({
+            error: "Ошибка при получении списка кланов",
+            details: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/game/clans/alliances/{allyId}:
+ *   get:
+ *     summary: Получение альянса
+ *     description: Возвращает альянс и входящие в него кланы. Требуется область доступа clans:read
+ *     tags:
+ *       - Clans
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Realm'
+ *       - in: path
+ *         name: allyId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID альянса
+ *     responses:
+ *       200:
+ *         description: Данные альянса
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 allyId:
+ *                   type: integer
+ *                 name:
+ *                   type: string
+ *                 leaderClanId:
+ *                   type: integer
+ *                 clans:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Clan'
+ *       400:
+ *         description: Неверный формат ID альянса
+ *       404:
+ *         description: Альянс не найден
+ *       500:
+ *         description: Внутренняя ошибка сервера
+ */
+router.get("/alliances/:allyId", async (req, res) => {
+    try {
+        const allyId = parseId(req.params.allyId);
+
+        if (allyId === null) {
+            return res.status(400).json({
+                error: "Неверный формат ID альянса",
+                details: "ID альянса должен быть числом"
+            });
+        }
+
+        const alliance = await clansDb.forRealm(req.realm).getAlliance(allyId);
+
+        if (!alliance) {
+            return res.status(404).json({
+                error: "Альянс не найден"
+            });
+        }
+
+        res.json(alliance);
+    } catch (error) {
+        logger.error("Ошибка при получении альянса:", error);
+        res.status(500).json({
+            error: "Ошибка при получении альянса",
+            details: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/game/clans/{clanId}:
+ *   get:
+ *     summary: Получение информации о клане
+ *     description: Возвращает клан с лидером, альянсом и количеством участников. Требуется область доступа clans:read
+ *     tags:
+ *       - Clans
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Realm'
+ *       - in: path
+ *         name: clanId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID клана
+ *     responses:
+ *       200:
+ *         description: Данные клана
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Clan'
+ *       400:
+ *         description: Неверный формат ID клана
+ *       404:
+ *         description: Клан не найден
+ *       500:
+ *         description: Внутренняя ошибка сервера
+ */
+router.get("/:clanId", async (req, res) => {
+    try {
+        const clanId = parseId(req.params.clanId);
+
+        if (clanId === null) {
+            return res.status(400).json({
+                error: "Неверный формат ID клана",
+                details: "ID клана должен быть числом"
+            });
+        }
+
+        const clan = await clansDb.forRealm(req.realm).getById(clanId);
+
+        if (!clan) {
+            return res.status(404).json({
+                error: "Клан не найден"
+            });
+        }
+
+        res.json(clan);
+    } catch (error) {
+        logger.error("Ошибка при получении информации о клане:", error);
+        res.status(500).json({
+            error: "Ошибка при получении информации о клане",
+            details: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/game/clans/{clanId}/members:
+ *   get:
+ *     summary: Получение участников клана
+ *     description: Возвращает участников клана с онлайн-статусом, подразделением, рангом, классом и уровнем. Требуется область доступа clans:read
+ *     tags:
+ *       - Clans
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Realm'
+ *       - in: path
+ *         name: clanId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID клана
+ *     responses:
+ *       200:
+ *         description: Участники клана
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 clanId:
+ *                   type: integer
+ *                 name:
+ *                   type: string
+ *                 onlineCount:
+ *                   type: integer
+ *                 members:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       objId:
+ *                         type: integer
+ *                       name:
+ *                         type: string
+ *                       title:
+ *                         type: string
+ *                       isOnline:
+ *                         type: boolean
+ *                       lastAccessDate:
+ *                         type: string
+ *                         format: date-time
+ *                       pledgeType:
+ *                         type: integer
+ *                       pledge:
+ *                         type: string
+ *                         enum: [academy, main, royal_guard_1, royal_guard_2, order_of_knights_1, order_of_knights_2, order_of_knights_3, order_of_knights_4, unknown]
+ *                       rank:
+ *                         type: integer
+ *                       classId:
+ *                         type: integer
+ *                       className:
+ *                         type: string
+ *                       level:
+ *                         type: integer
+ *       400:
+ *         description: Неверный формат ID клана
+ *       404:
+ *         description: Клан не найден
+ *       500:
+ *         description: Внутренняя ошибка сервера
+ */
+router.get("/:clanId/members", async (req, res) => {
+    try {
+        const clanId = parseId(req.params.clanId);
+
+        if (clanId === null) {
+            return res.status(400).json({
+                error: "Неверный формат ID клана",
+                details: "ID клана должен быть числом"
+            });
+        }
+
+        const clans = clansDb.forRealm(req.realm);
+        const clan = await clans.getById(clanId);
+
+        if (!clan) {
+            return res.status(404).json({
+                error: "Клан не найден"
+            });
+        }
+
+        const members = await clans.getMembers(clanId);
+
+        res.json({
+            clanId,
+            name: clan.name,
+            onlineCount: members.filter((member) => member.isOnline).length,
+            members
+        });
+    } catch (error) {
+        logger.error("Ошибка при получении участников клана:", error);
+        res.status(500).json({
+            error: "Ошибка при получении участников клана",
+            details: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/game/clans/{clanId}/wars:
+ *   get:
+ *     summary: Получение войн клана
+ *     description: Возвращает войны, объявленные кланом и объявленные клану. Взаимная война отмечается флагом isMutual. Требуется область доступа clans:read
+ *     tags:
+ *       - Clans
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Realm'
+ *       - in: path
+ *         name: clanId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID клана
+ *     responses:
+ *       200:
+ *         description: Войны клана
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 clanId:
+ *                   type: integer
+ *                 declared:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ClanWar'
+ *                 received:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ClanWar'
+ *       400:
+ *         description: Неверный формат ID клана
+ *       404:
+ *         description: Клан не найден
+ *       500:
+ *         description: Внутренняя ошибка сервера
+ */
+router.get("/:clanId/wars", async (req, res) => {
+    try {
+        const clanId = parseId(req.params.clanId);
+
+        if (clanId === null) {
+            return res.status(400).json({
+                error: "Неверный формат ID клана",
+                details: "ID клана должен быть числом"
+            });
+        }
+
+        const clans = clansDb.forRealm(req.realm);
+        const clan = await clans.getById(clanId);
+
+        if (!clan) {
+            return res.status(404).json({
+                error: "Клан не найден"
+            });
+        }
+
+        const wars = await clans.getWars(clanId);
+
+        res.json({
+            clanId,
+            ...wars
+        });
+    } catch (error) {
+        logger.error("Ошибка при получении войн клана:", error);
+        res.status(500).json({
+            error: "Ошибка при получении войн клана",
+            details: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Clan:
+ *       type: object
+ *       properties:
+ *         clanId:
+ *           type: integer
+ *         name:
+ *           type: string
+ *         level:
+ *           type: integer
+ *         reputation:
+ *           type: integer
+ *         castleId:
+ *           type: integer
+ *           nullable: true
+ *         hasCastle:
+ *           type: boolean
+ *         alliance:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             allyId:
+ *               type: integer
+ *             name:
+ *               type: string
+ *         leader:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             objId:
+ *               type: integer
+ *             name:
+ *               type: string
+ *         memberCount:
+ *           type: integer
+ *     ClanWar:
+ *       type: object
+ *       properties:
+ *         clanId:
+ *           type: integer
+ *           description: ID клана-противника
+ *         name:
+ *           type: string
+ *         isMutual:
+ *           type: boolean
+ */
+
+module.exports = router;
@@ -0,0 +1,160 @@
+const express = require("express");
+const logger = require("../../utils/logger");
+const leaderboardJob = require("../../jobs/leaderboardJob");
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/game/leaderboards:
+ *   get:
+ *     summary: Список публичных рейтингов
+ *     description: Возвращает доступные рейтинги и время их последнего пересчета. Рейтинги пересчитываются по расписанию (LEADERBOARD_REFRESH_SECONDS). API-ключ не требуется
+ *     tags:
+ *       - Leaderboards
+ *     parameters:
+ *       - $ref: '#/components/parameters/Realm'
+ *     responses:
+ *       200:
+ *         description: Список рейтингов
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 realm:
+ *                   type: string
+ *                 updatedDate:
+ *                   type: string
+ *                   format: date-time
+ *                 boards:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       name:
+ *                         type: string
+ *                         enum: [pvp, pk, online, level, adena, clans]
+ *                       title:
+ *                         type: string
+ *       500:
+ *         description: Внутренняя ошибка сервера
+ */
+router.get("/", async (req, res) => {
+    try {
+        const { updatedAt } = await leaderboardJob.get(req.realm);
+
+        res.json({
+            realm: req.realm.name,
+            updatedDate: new Date(updatedAt * 1000).toISOString(),
+            boards: Object.entries(leaderboardJob.LEADERBOARDS).map(([name, title]) => ({ name, title }))
+        });
+    } catch (error) {
+        logger.error("Ошибка при получении списка рейтингов:", error);
+        res.status(500).json({
+            error: "Ошибка при получении списка рейтингов",
+            details: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/game/leaderboards/{board}:
+ *   get:
+ *     summary: Получение публичного рейтинга
+ *     description: Возвращает рейтинг из кэша. Персонажи GM и заблокированных аккаунтов в рейтинги не попадают. API-ключ не требуется
+ *     tags:
+ *       - Leaderboards
+ *     parameters:
+ *       - $ref: '#/components/parameters/Realm'
+ *       - in: path
+ *         name: board
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [pvp, pk, online, level, adena, clans]
+ *         description: Рейтинг
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: Количество позиций (не больше LEADERBOARD_SIZE, по умолчанию 100)
+ *     responses:
+ *       200:
+ *         description: Рейтинг
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 realm:
+ *                   type: string
+ *                 board:
+ *                   type: string
+ *                 title:
+ *                   type: string
+ *                 updatedDate:
+ *                   type: string
+ *                   format: date-time
+ *                 entries:
+ *                   type: array
+ *                   description: Для рейтинга clans позиции содержат name, level, allianceName, leaderName и value
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       rank:
+ *                         type: integer
+ *                       name:
+ *                         type: string
+ *                       clanName:
+ *                         type: string
+ *                         nullable: true
+ *                       className:
+ *                         type: string
+ *                         nullable: true
+ *                       level:
+ *                         type: integer
+ *                       value:
+ *                         type: integer
+ *                         description: Значение, по которому строится рейтинг
+ *       404:
+ *         description: Рейтинг не найден
+ *       500:
+ *         description: Внутренняя ошибка сервера
+ */
+router.get("/:board", async (req, res) => {
+    try {
+        const { board } = req.params;
+
+        if (!Object.hasOwn(leaderboardJob.LEADERBOARDS, board)) {
+            return res.status(404).json({
+                error: "Рейтинг не найден",
+                details: `Доступные рейтинги: ${Object.keys(leaderboardJob.LEADERBOARDS).join(", ")}`
+            });
+        }
+
+        const limit = Math.min(
+            parseInt(req.query.limit, 10) || leaderboardJob.LEADERBOARD_SIZE,
+            leaderboardJob.LEADERBOARD_SIZE
+        );
+
+        const { updatedAt, boards } = await leaderboardJob.get(req.realm);
+
+        res.json({
+            realm: req.realm.name,
+            board,
+            title: leaderboardJob.LEADERBOARDS[board],
+            updatedDate: new Date(updatedAt * 1000).toISOString(),
+            entries: boards[board].slice(0, Math.max(limit, 1))
+        });
+    } catch (error) {
+        logger.error("Ошибка при получении рейтинга:", error);
+        res.status(500).json({
+            error: "Ошибка при получении рейтинга",
+            details: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -2,11 +2,315 @@ const express = require("express");
 const passwordUtils = require("../../utils/passwordUtils");
 const logger = require("../../utils/logger");
 const accountsDb = require("../../config/db/accounts");
+const charactersDb = require("../../config/db/characters");
+const accountBansDb = require("../../config/db/accountBans");
+const auditLogDb = require("../../config/db/auditLog");
+const accessLevelChangesDb = require("../../config/db/accessLevelChanges");
+const { accessLevels, findAccessLevel, getRequiredScope } = require("../../config/data/accessLevels");
 const { QueryTypes } = require("sequelize");
-const databases = require("../../config/databases");
+const realms = require("../../config/realms");
+const sessionsDb = require("../../config/db/sessions");
+const tokenUtils = require("../../utils/tokenUtils");
+const bruteForceGuard = require("../../utils/bruteForceGuard");
+const clientBanGuard = require("../../utils/clientBanGuard");
+const { resolveBanExpire, isPermanentBan, describeBan } = require("../../utils/banUtils");
+const sessionMiddleware = require("../../middlewares/sessionMiddleware");
+const { hasScope, requireScope } = require("../../middlewares/scopeMiddleware");
 
 const router = express.Router();
 
+// Отчет об общих HWID по умолчанию включает HWID, с которых входили больше этого количества аккаунтов
+const SHARED_HWID_THRESHOLD = parseInt(process.env.SHARED_HWID_THRESHOLD || "1", 10);
+
+// Данные, по которым ищутся связанные аккаунты
+const LINK_TYPES = ["ip", "hwid", "all"];
+
+// Сколько персонажей аккаунта в одном мире загружается для сводки (с запасом к лимиту слотов)
+const OVERVIEW_CHARACTERS_LIMIT = 50;
+
+// Настройки массовых операций
+const BULK_BATCH_SIZE = parseInt(process.env.BULK_BATCH_SIZE || "100", 10);      // Аккаунтов в одной транзакции
+const BULK_MAX_ACCOUNTS = parseInt(process.env.BULK_MAX_ACCOUNTS || "1000", 10); // Аккаунтов в одном запросе
+
+// Фильтры списка аккаунтов (/list), по которым выбираются аккаунты для массовой операции
+const BULK_FILTER_KEYS = ["login", "email", "lastIP", "lastHWID", "lastServerId", "accessLevel", "lastActiveFrom", "lastActiveTo", "isBanned"];
+
+/**
+ * Проверяет, может ли API-ключ изменить уровни доступа: для выдачи и снятия повышенных уровней
+ * нужна область доступа из таблицы уровней (например, accounts:promote)
+ * @param {Object} req - Запрос с req.apiKey
+ * @param {number[]} levels - Прежние и новые уровни доступа
+ * @returns {string|null} Недостающая область доступа или null, если изменение разрешено
+ */
+const findMissingAccessLevelScope = (req, levels) => {
+    const requiredScopes = [...new Set(levels.map(getRequiredScope).filter(Boolean))];
+    return requiredScopes.find((scope) => !hasScope(req.apiKey.scopes, scope)) || null;
+};
+
+/**
+ * Отклоняет изменение уровня доступа без нужной области доступа
+ * @param {Object} req - Запрос
+ * @param {Object} res - Ответ
+ * @param {string} scope - Недостающая область доступа
+ * @returns {Object} Ответ 403
+ */
+const denyAccessLevelChange = (req, res, scope) => {
+    logger.warn(`Отказ в изменении уровня доступа для API-ключа ${req.apiKey.name}: требуется ${scope} (${req.method} ${req.originalUrl})`);
+    return res.status(403).json({
+        error: "Доступ запрещен",
+        message: `Для выдачи или снятия этого уровня доступа API-ключу требуется область доступа ${scope}`
+    });
+};
+
+/**
+ * Проверяет новый уровень доступа и обязательную причину из тела запроса
+ * @param {Object} body - Тело запроса
+ * @param {string|number} body.level - Название уровня из таблицы уровней или его значение
+ * @param {string} body.reason - Причина изменения
+ * @returns {Object} { entry } с уровнем из таблицы или { error }
+ */
+const parseAccessLevelChange = ({ level, reason }) => {
+    const entry = typeof level === "string" || Number.isInteger(level) ? findAccessLevel(level) : null;
+
+    if (!entry) {
+        return { error: `Неизвестный уровень доступа. Доступные уровни: ${accessLevels.map((item) => item.name).join(", ")}` };
+    }
+
+    if (typeof reason !== "string" || !reason.trim() || reason.length > 255) {
+        return { error: "Причина изменения уровня доступа обязательна и должна быть не длиннее 255 символов" };
+    }
+
+    return { entry };
+};
+
+/**
+ * Проверяет выбор аккаунтов для массовой операции: список логинов или фильтр списка аккаунтов
+ * @param {Object} body - Тело запроса
+ * @param {string[]} body.logins - Логины
+ * @param {Object} body.filter - Фильтр (параметры /list)
+ * @returns {Object} { selection } для accountsDb.findBulkTargets или { error }
+ */
+const parseBulkSelection = ({ logins, filter }) => {
+    if ((logins === undefined) === (filter === undefined)) {
+        return { error: "Укажите список логинов (logins) или фильтр (filter)" };
+    }
+
+    if (logins !== undefined) {
+        if (!Array.isArray(logins) || logins.length === 0 || !logins.every((login) => typeof login === "string" && login.trim())) {
+            return { error: "Параметр logins должен быть непустым массивом логинов" };
+        }
+
+        const uniqueLogins = [...new Set(logins.map((login) => login.trim()))];
+
+        if (uniqueLogins.length > BULK_MAX_ACCOUNTS) {
+            return { error: `За один запрос можно обработать не больше ${BULK_MAX_ACCOUNTS} аккаунтов` };
+        }
+
+        return { selection: { logins: uniqueLogins } };
+    }
+
+    if (!filter || typeof filter !== "object" || Array.isArray(filter)) {
+        return { error: "Параметр filter должен быть объектом" };
+    }
+
+    const unknownKey = Object.keys(filter).find((key) => !BULK_FILTER_KEYS.includes(key));
+
+    if (unknownKey) {
+        return { error: `Неизвестный фильтр: ${unknownKey}` };
+    }
+
+    const filters = {};
+
+    for (const key of BULK_FILTER_KEYS) {
+        const value = filter[key];
+
+        if (value === undefined || value === null || value === "" || value === false) continue;
+
+        if (key === "isBanned") {
+            if (value !== true) return { error: "Фильтр isBanned принимает только значение true" };
+        } else if (key === "lastServerId" || key === "accessLevel") {
+            if (!Number.isInteger(Number(value)) || (key === "lastServerId" && Number(value) <= 0)) {
+                return { error: `Фильтр ${key} должен быть числом` };
+            }
+        } else if (key === "lastActiveFrom" || key === "lastActiveTo") {
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(value) && !/^\d+$/.test(String(value))) {
+                return { error: `Фильтр ${key} должен быть датой (YYYY-MM-DD) или временной меткой Unix` };
+            }
+        } else if (typeof value !== "string") {
+            return { error: `Фильтр ${key} должен быть строкой` };
+        }
+
+        filters[key] = value;
+    }
+
+    if (Object.keys(filters).length === 0) {
+        return { error: "Фильтр должен содержать хотя бы одно условие" };
+    }
+
+    return { selection: { filters } };
+};
+
+/**
+ * Создает обработчик массовой операции над аккаунтами.
+ * Аккаунты обрабатываются группами по BULK_BATCH_SIZE, каждая группа - в одной транзакции базы логинов.
+ * История банов и журнал действий хранятся в мастер базе данных и записываются после фиксации группы
+ * @param {string} action - Операция (ban, unban, access-level, delete)
+ * @param {Object} hooks - Обработчики операции
+ * @param {Function} hooks.prepare - Проверяет параметры операции из тела запроса: (body) => { values } или { error }
+ * @param {Function} hooks.authorize - Проверяет права на операцию над найденными аккаунтами: (req, targets, values) => недостающая область доступа или null.
+ * Вызывается для всей выборки и повторно для каждой строки, заблокированной в транзакции
+ * @param {Function} hooks.afterApply - Вызывается для каждого обработанного аккаунта с данными заблокированной строки и возвращает дополнительные поля результата
+ * @returns {Function} Express handler
+ */
+const createBulkHandler = (action, { prepare = () => ({ values: {} }), authorize = () => null, afterApply = async () => ({}) } = {}) => async (req, res) => {
+    try {
+        const body = req.body || {};
+        const { dryRun = false, reason = null } = body;
+
+        if (typeof dryRun !== "boolean") {
+            return res.status(400).json({
+                error: "Неверный формат данных",
+                details: "Параметр dryRun должен быть логическим значением"
+            });
+        }
+
+        if (reason !== null && (typeof reason !== "string" || reason.length > 255)) {
+            return res.status(400).json({
+                error: "Неверный формат данных",
+                details: "Причина должна быть строкой не длиннее 255 символов"
+            });
+        }
+
+        const { selection, error: selectionError } = parseBulkSelection(body);
+        const { values, error: valuesError } = selectionError ? {} : prepare(body);
+
+        if (selectionError || valuesError) {
+            return res.status(400).json({
+                error: "Неверный формат данных",
+                details: selectionError || valuesError
+            });
+        }
+
+        const accounts = accountsDb.forRealm(req.realm);
+        const targets = await accounts.findBulkTargets(selection, { limit: BULK_MAX_ACCOUNTS + 1 });
+
+        if (targets.length > BULK_MAX_ACCOUNTS) {
+            return res.status(400).json({
+                error: "Слишком много аккаунтов",
+                details: `Фильтру соответствует больше ${BULK_MAX_ACCOUNTS} аккаунтов. Уточните фильтр`
+            });
+        }
+
+        const missingScope = authorize(req, targets, values);
+
+        if (missingScope) {
+            return denyAccessLevelChange(req, res, missingScope);
+        }
+
+        // Логины сравниваются без учета регистра, как в базе логинов
+        const foundLogins = new Set(targets.map((target) => target.login.toLowerCase()));
+        const notFound = selection.logins
+            ? selection.logins.filter((login) => !foundLogins.has(login.toLowerCase()))
+            : [];
+
+        if (dryRun) {
+            return res.json({
+                action,
+                dryRun: true,
+                total: targets.length,
+                accounts: targets,
+                notFound
+            });
+        }
+
+        const results = notFound.map((login) => ({ login, status: "not_found" }));
+
+        for (let offset = 0; offset < targets.length; offset += BULK_BATCH_SIZE) {
+            const batch = targets.slice(offset, offset + BULK_BATCH_SIZE);
+            const denied = new Map();
+            let applied;
+
+            // Права проверяются повторно по строкам, заблокированным в транзакции
+            const accept = (row) => {
+                const scope = authorize(req, [row], values);
+                if (scope) denied.set(row.login, scope);
+                return !scope;
+            };
+
+            try {
+                const rows = await accounts.applyBulkBatch(action, batch.map((target) => target.login), values, { accept });
+                applied = new Map(rows.map((row) => [row.login, row]));
+            } catch (error) {
+                batch.forEach(({ login }) => results.push({ login, status: "failed", error: error.message }));
+                continue;
+            }
+
+            for (const target of batch) {
+                const { login } = target;
+
+                if (denied.has(login)) {
+                    logger.warn(`Массовая операция ${action} пропустила аккаунт ${login}: требуется ${denied.get(login)} (${req.apiKey.name})`);
+                    results.push({ login, status: "failed", error: `Требуется область доступа ${denied.get(login)}` });
+                    continue;
+                }
+
+                if (!applied.has(login)) {
+                    results.push({ login, status: "not_found" });
+                    continue;
+                }
+
+                const result = { login, status: "applied" };
+
+                // Группа уже зафиксирована в базе логинов: ошибка записи в мастер базу не отменяет результат по аккаунту
+                try {
+                    Object.assign(result, await afterApply(req, { ...target, ...applied.get(login) }, values, reason));
+
+                    const entryId = await auditLogDb.record({
+                        action: `account.bulk.${action}`,
+                        realm: req.realm.loginRealm,
+                        targetType: "account",
+                        targetId: login,
+                        actor: req.apiKey.name,
+                        details: { reason, ...values }
+                    });
+
+                    // Журнал действий не выбрасывает ошибку записи, а возвращает null
+                    if (entryId === null) {
+                        result.auditError = "Не удалось записать действие в журнал";
+                    }
+                } catch (error) {
+                    logger.error(`Массовая операция ${action} применена к аккаунту ${login}, но запись в журнал не выполнена: ${error.message}`);
+                    result.auditError = error.message;
+                }
+
+                results.push(result);
+            }
+        }
+
+        const countByStatus = (status) => results.filter((result) => result.status === status).length;
+
+        logger.info(`Массовая операция ${action}: обработано ${countByStatus("applied")} из ${results.length} аккаунтов${reason ? ` по причине: ${reason}` : ""} (${req.apiKey.name})`);
+
+        res.json({
+            action,
+            dryRun: false,
+            total: results.length,
+            summary: {
+                applied: countByStatus("applied"),
+                notFound: countByStatus("not_found"),
+                failed: countByStatus("failed")
+            },
+            results
+        });
+    } catch (error) {
+        logger.error(`Ошибка при выполнении массовой операции ${action}:`, error);
+        res.status(500).json({
+            error: "Ошибка при выполнении массовой операции",
+            details: error.message
+        });
+    }
+};
+
 // Существующие маршруты регистрации и смены пароля сохраняются здесь
 
 /**
@@ -14,11 +318,13 @@ const router = express.Router();
  * /api/login/account/register:
  *   post:
  *     summary: Регистрация нового аккаунта
- *     description: Создает новый аккаунт пользователя в системе
+ *     description: Создает новый аккаунт пользователя в системе. Требуется область доступа accounts:write
  *     tags:
  *       - Account
  *     security:
  *       - ApiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Realm'
  *     requestBody:
  *       required: true
  *       content:
@@ -43,19 +349,27 @@ const router = express.Router();
  *                 type: string
  *                 format: email
  *                 description: Email пользователя (опционально)
+ *               ip:
+ *                 type: string
+ *                 description: IP-адрес игрока, с которого выполняется регистрация (по умолчанию адрес запроса)
+ *               hwid:
+ *                 type: string
+ *                 description: HWID игрока (опционально)
  *     responses:
  *       201:
  *         description: Аккаунт успешно создан
  *       400:
  *         description: Ошибка валидации данных
+ *       403:
+ *         description: Регистрация с этого HWID или IP-адреса запрещена
  *       409:
  *         description: Аккаунт с таким логином уже существует
  *       500:
  *         description: Внутренняя ошибка сервера
  */
-router.post("/register", async (req, res) => {
+router.post("/register", requireScope("accounts:write"), async (req, res) => {
     try {
-        const { login, password, email } = req.body;
+        const { login, password, email, ip, hwid } = req.body;
 
         // Валидация входных данных
         if (!login || !password) {
@@ -81,8 +395,23 @@ router.post("/register", async (req, res) => {
             });
         }
 
+        // Регистрацию выполняет сайт, поэтому адрес игрока передается в теле запроса
+        const clientBan = await clientBanGuard.check({
+            loginRealm: req.realm.loginRealm,
+            ip: typeof ip === "string" ? ip : req.ip,
+            hwids: [hwid]
+        });
+
+        if (clientBan.banned) {
+            return res.status(403).json({
+                error: "Регистрация с этого устройства или адреса запрещена",
+                reason: clientBan.ban.reason,
+                banExpireDate: clientBan.ban.expireDate
+            });
+        }
+
         // Проверка наличия аккаунта с таким логином
-        const accountExists = await accountsDb.exists(login);
+        const accountExists = await accountsDb.forRealm(req.realm).exists(login);
 
         if (accountExists) {
             return res.status(409).json({
@@ -90,12 +419,12 @@ router.post("/register", async (req, res) => {
             });
         }
 
-        // Используем метод хеширования по умолчанию для вашего сервера L2 (sha1)
+        // Используем метод хеширования по умолчанию (DEFAULT_PASSWORD_HASH)
         const hashedPassword = passwordUtils.defaultHash(password);
         logger.debug(`Сгенерирован хеш для пароля: ${hashedPassword}`);
 
         // Создание аккаунта с установкой accessLevel = 0 и без lastactive
-        await accountsDb.create(login, hashedPassword, email);
+        await accountsDb.forRealm(req.realm).create(login, hashedPassword, email);
 
         // Возвращаем успешный ответ
         res.status(201).json({
@@ -116,11 +445,13 @@ router.post("/register", async (req, res) => {
  * /api/login/account/change-password:
  *   put:
  *     summary: Изменение пароля аккаунта
- *     description: Изменяет пароль пользователя (не требует текущего пароля)
+ *     description: Изменяет пароль пользователя (не требует текущего пароля). Требуется область доступа accounts:write
  *     tags:
  *       - Account
  *     security:
  *       - ApiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Realm'
  *     requestBody:
  *       required: true
  *       content:
@@ -149,7 +480,7 @@ router.post("/register", async (req, res) => {
  *       500:
  *         description: Внутренняя ошибка сервера
  */
-router.put("/change-password", async (req, res) => {
+router.put("/change-password", requireScope("accounts:write"), async (req, res) => {
     try {
         const { login, newPassword } = req.body;
         logger.debug(`Запрос на смену пароля для аккаунта: ${login}`);
@@ -171,7 +502,7 @@ router.put("/change-password", async (req, res) => {
         }
 
         // Проверяем существование аккаунта
-        const accountExists = await accountsDb.exists(login);
+        const accountExists = await accountsDb.forRealm(req.realm).exists(login);
         logger.debug(`Результат проверки существования аккаунта ${login}: ${accountExists}`);
 
         if (!accountExists) {
@@ -185,7 +516,7 @@ router.put("/change-password", async (req, res) => {
         logger.debug(`Сгенерирован новый хеш для пароля: ${hashedNewPassword}`);
 
         // Обновляем только пароль, без изменения других полей
-        await accountsDb.update(login, {
+        await accountsDb.forRealm(req.realm).update(login, {
             password: hashedNewPassword
         });
 
@@ -205,190 +536,1508 @@ router.put("/change-password", async (req, res) => {
     }
 });
 
+/**
+ * Формирует ответ с токенами сессии
+ * @param {string} login - Логин аккаунта
+ * @param {number} sessionId - ID сессии
+ * @param {string} realm - Игровой мир сессии
+ * @param {string} refreshToken - Refresh-токен в открытом виде
+ * @returns {Object} Данные токенов для ответа клиенту
+ */
+const buildTokenResponse = (login, sessionId, realm, refreshToken) => ({
+    accessToken: tokenUtils.signAccessToken(login, sessionId, realm),
+    tokenType: "Bearer",
+    realm,
+    expiresIn: tokenUtils.ACCESS_TOKEN_TTL,
+    refreshToken,
+    refreshExpiresIn: tokenUtils.REFRESH_TOKEN_TTL
+});
+
 /**
  * @swagger
- * /api/login/account/list:
- *   get:
- *     summary: Получение списка аккаунтов
- *     description: Возвращает список аккаунтов с пагинацией и возможностью фильтрации
+ * /api/login/account/login:
+ *   post:
+ *     summary: Авторизация игрока
+ *     description: Проверяет логин и пароль и выдает access-токен и refresh-токен для личного кабинета. Хеш пароля в устаревшем формате (LEGACY_PASSWORD_HASH) при успешном входе заменяется хешем по умолчанию. Сессия привязывается к игровому миру из заголовка X-Realm. API-ключ не требуется
  *     tags:
  *       - Account
- *     security:
- *       - ApiKeyAuth: []
  *     parameters:
- *       - in: query
- *         name: page
- *         schema:
- *           type: integer
- *           default: 1
- *         description: Номер страницы
- *       - in: query
- *         name: limit
- *         schema:
- *           type: integer
- *           default: 10
- *         description: Количество записей на странице
- *       - in: query
- *         name: login
- *         schema:
- *           type: string
- *         description: Фильтр по логину (частичное совпадение)
- *       - in: query
- *         name: email
- *         schema:
- *           type: string
- *         description: Фильтр по email (частичное совпадение)
- *       - in: query
- *         name: lastIP
- *         schema:
- *           type: string
- *         description: Фильтр по последнему IP (частичное совпадение)
- *       - in: query
- *         name: lastHWID
- *         schema:
- *           type: string
- *         description: Фильтр по последнему HWID (частичное совпадение)
- *       - in: query
- *         name: lastServerId
- *         schema:
- *           type: integer
- *         description: Фильтр по ID последнего сервера
- *       - in: query
- *         name: accessLevel
- *         schema:
- *           type: integer
- *         description: Фильтр по уровню доступа
- *       - in: query
- *         name: lastActiveFrom
- *         schema:
- *           type: string
- *           format: date
- *         description: Фильтр по дате последней активности (от)
- *       - in: query
- *         name: lastActiveTo
- *         schema:
- *           type: string
- *           format: date
- *         description: Фильтр по дате последней активности (до)
- *       - in: query
- *         name: isBanned
- *         schema:
- *           type: boolean
- *         description: Фильтр по бану (true - только забаненные)
- *       - in: query
- *         name: sortBy
- *         schema:
- *           type: string
- *           enum: [login, lastactive, accessLevel, lastIP, lastHWID, lastServerId, ban_expire]
- *           default: login
- *         description: Поле для сортировки
- *       - in: query
- *         name: sortOrder
- *         schema:
- *           type: string
- *           enum: [asc, desc]
- *           default: asc
- *         description: Порядок сортировки
+ *       - $ref: '#/components/parameters/Realm'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - login
+ *               - password
+ *             properties:
+ *               login:
+ *                 type: string
+ *                 description: Логин пользователя
+ *               password:
+ *                 type: string
+ *                 description: Пароль пользователя
+ *               hwid:
+ *                 type: string
+ *                 description: HWID игрока (опционально). HWID последнего входа в игру дополнительно проверяется после проверки пароля
  *     responses:
  *       200:
- *         description: Успешный ответ со списком аккаунтов
+ *         description: Успешная авторизация
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 accounts:
- *                   type: array
- *                   items:
- *                     type: object
- *                     properties:
- *                       login:
- *                         type: string
- *                       accessLevel:
- *                         type: integer
- *                       lastactive:
- *                         type: integer
- *                       lastactiveDate:
- *                         type: string
- *                         format: date-time
- *                       lastIP:
- *                         type: string
- *                       lastHWID:
- *                         type: string
- *                       lastServerId:
- *                         type: integer
- *                       ban_expire:
- *                         type: integer
- *                       isBanned:
- *                         type: boolean
- *                       banExpireDate:
- *                         type: string
- *                         format: date-time
- *                       email:
- *                         type: string
- *                 pagination:
+ *                 accessToken:
+ *                   type: string
+ *                 tokenType:
+ *                   type: string
+ *                   example: Bearer
+ *                 expiresIn:
+ *                   type: integer
+ *                   description: Время жизни access-токена в секундах
+ *                 refreshToken:
+ *                   type: string
+ *                 refreshExpiresIn:
+ *                   type: integer
+ *                   description: Время жизни refresh-токена в секундах
+ *                 realm:
+ *                   type: string
+ *                   description: Игровой мир, к которому привязана сессия
+ *                 account:
  *                   type: object
  *                   properties:
- *                     total:
- *                       type: integer
- *                       description: Общее количество аккаунтов
- *                     page:
+ *                     login:
+ *                       type: string
+ *                     accessLevel:
  *                       type: integer
- *                       description: Текущая страница
- *                     limit:
+ *       400:
+ *         description: Ошибка валидации данных
+ *       401:
+ *         description: Неверный логин или пароль
+ *       403:
+ *         description: Аккаунт заблокирован (isPermanentBan, banExpireDate равен null для бессрочного бана) или вход с этого HWID или IP-адреса запрещен
+ *       429:
+ *         description: Вход временно заблокирован после серии неудачных попыток (см. заголовок Retry-After)
+ *       500:
+ *         description: Внутренняя ошибка сервера
+ */
+router.post("/login", async (req, res) => {
+    try {
+        const { login, password, hwid } = req.body;
+
+        // Валидация входных данных
+        if (!login || !password) {
+            return res.status(400).json({
+                error: "Неверный формат данных",
+                details: "Логин и пароль обязательны для заполнения"
+            });
+        }
+
+        if (typeof login !== "string" || typeof password !== "string") {
+            return res.status(400).json({
+                error: "Неверный формат данных",
+                details: "Логин и пароль должны быть строками"
+            });
+        }
+
+        // Проверяем блокировку по логину и IP до обращения к базе логинов
+        const client = { login, ip: req.ip };
+        const lockout = await bruteForceGuard.check(client);
+
+        if (lockout.locked) {
+            logger.warn(`Вход в аккаунт ${login} отклонен: блокировка по ${lockout.type} (${req.ip})`);
+            res.set("Retry-After", String(lockout.retryAfter));
+            return res.status(429).json({
+                error: "Слишком много неудачных попыток входа",
+                retryAfter: lockout.retryAfter
+            });
+        }
+
+        // Бан по HWID и IP запроса проверяется до пароля, чтобы не раскрывать его правильность забаненному клиенту.
+        // HWID из данных аккаунта здесь не учитывается: иначе ответ раскрывал бы существование аккаунта без пароля
+        const clientBan = await clientBanGuard.check({
+            loginRealm: req.realm.loginRealm,
+            ip: req.ip,
+            hwids: [hwid]
+        });
+
+        if (clientBan.banned) {
+            return res.status(403).json({
+                error: "Вход с этого устройства или адреса запрещен",
+                reason: clientBan.ban.reason,
+                banExpireDate: clientBan.ban.expireDate
+            });
+        }
+
+        // Загружаем хеш пароля и данные о бане
+        const credentials = await accountsDb.forRealm(req.realm).getCredentials(login);
+
+        const verification = credentials
+            ? passwordUtils.verifyPassword(password, credentials.password)
+            : { valid: false };
+
+        if (!verification.valid) {
+            logger.warn(`Неудачная попытка входа в аккаунт: ${login} (${req.ip})`);
+            await bruteForceGuard.registerFailure(client);
+            return res.status(401).json({
+                error: "Неверный логин или пароль"
+            });
+        }
+
+        await bruteForceGuard.registerSuccess(client);
+
+        // HWID последнего входа проверяется только после пароля, как при обновлении сессии
+        const storedClientBan = await clientBanGuard.check({
+            loginRealm: req.realm.loginRealm,
+            ip: req.ip,
+            hwids: [credentials.lastHWID]
+        });
+
+        if (storedClientBan.banned) {
+            return res.status(403).json({
+                error: "Вход с этого устройства или адреса запрещен",
+                reason: storedClientBan.ban.reason,
+                banExpireDate: storedClientBan.ban.expireDate
+            });
+        }
+
+        // Переводим хеш в устаревшем формате на алгоритм по умолчанию.
+        // Ошибка миграции не должна мешать входу - попробуем при следующей авторизации
+        if (verification.needsRehash) {
+            try {
+                await accountsDb.forRealm(req.realm).update(credentials.login, {
+                    password: passwordUtils.defaultHash(password)
+                });
+                logger.info(`Хеш пароля аккаунта ${credentials.login} переведен с ${verification.algorithm} на алгоритм по умолчанию`);
+            } catch (error) {
+                logger.warn(`Не удалось обновить устаревший хеш пароля аккаунта ${credentials.login}: ${error.message}`);
+            }
+        }
+
+        // Проверяем бан аккаунта
+        const now = Math.floor(Date.now() / 1000);
+        if (credentials.ban_expire > now) {
+            logger.warn(`Попытка входа в забаненный аккаунт: ${login}`);
+            const { isPermanentBan: permanentBan, banExpireDate } = describeBan(credentials.ban_expire, now);
+            return res.status(403).json({
+                error: "Аккаунт заблокирован",
+                isPermanentBan: permanentBan,
+                banExpireDate
+            });
+        }
+
+        // Создаем сессию
+        const refreshToken = tokenUtils.generateRefreshToken();
+        const sessionId = await sessionsDb.create({
+            login: credentials.login,
+            realm: req.realm.name,
+            refreshTokenHash: tokenUtils.hashRefreshToken(refreshToken),
+            expiresAt: now + tokenUtils.REFRESH_TOKEN_TTL,
+            ip: req.ip,
+            userAgent: req.get("User-Agent")
+        });
+
+        logger.info(`Успешный вход в аккаунт: ${credentials.login} (мир ${req.realm.name})`);
+
+        res.json({
+            ...buildTokenResponse(credentials.login, sessionId, req.realm.name, refreshToken),
+            account: {
+                login: credentials.login,
+                accessLevel: credentials.accessLevel
+            }
+        });
+    } catch (error) {
+        logger.error("Ошибка при авторизации:", error);
+        res.status(500).json({
+            error: "Ошибка при авторизации",
+            details: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/login/account/refresh:
+ *   post:
+ *     summary: Обновление токенов сессии
+ *     description: Выдает новый access-токен и новый refresh-токен. Старый refresh-токен становится недействительным. API-ключ не требуется
+ *     tags:
+ *       - Account
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Токены успешно обновлены
+ *       400:
+ *         description: Ошибка валидации данных
+ *       401:
+ *         description: Refresh-токен недействителен или истек
+ *       403:
+ *         description: Аккаунт заблокирован или клиент забанен по HWID или IP
+ *       500:
+ *         description: Внутренняя ошибка сервера
+ */
+router.post("/refresh", async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+
+        if (!refreshToken) {
+            return res.status(400).json({
+                error: "Неверный формат данных",
+                details: "Refresh-токен обязателен для заполнения"
+            });
+        }
+
+        const session = await sessionsDb.findActiveByRefreshToken(tokenUtils.hashRefreshToken(refreshToken));
+
+        if (!session) {
+            return res.status(401).json({
+                error: "Refresh-токен недействителен или истек"
+            });
+        }
+
+        // Сессия привязана к миру, в котором выполнен вход. Мир мог быть отключен,
+        // а аккаунт - удален или забанен после входа
+        const realm = realms.get(session.realm);
+        const credentials = realm ? await accountsDb.forRealm(realm).getCredentials(session.login) : null;
+        const now = Math.floor(Date.now() / 1000);
+
+        if (!credentials || credentials.ban_expire > now) {
+            await sessionsDb.revoke(session.id);
+            return res.status(403).json({
+                error: "Аккаунт недоступен"
+            });
+        }
+
+        // Бан по HWID или IP, выданный после входа, тоже завершает сессию
+        const clientBan = await clientBanGuard.check({
+            loginRealm: realm.loginRealm,
+            ip: req.ip,
+            hwids: [credentials.lastHWID]
+        });
+
+        if (clientBan.banned) {
+            await sessionsDb.revoke(session.id);
+            return res.status(403).json({
+                error: "Вход с этого устройства или адреса запрещен",
+                reason: clientBan.ban.reason,
+                banExpireDate: clientBan.ban.expireDate
+            });
+        }
+
+        // Ротация refresh-токена
+        const newRefreshToken = tokenUtils.generateRefreshToken();
+        await sessionsDb.rotate(
+            session.id,
+            tokenUtils.hashRefreshToken(newRefreshToken),
+            now + tokenUtils.REFRESH_TOKEN_TTL
+        );
+
+        res.json(buildTokenResponse(session.login, session.id, session.realm, newRefreshToken));
+    } catch (error) {
+        logger.error("Ошибка при обновлении токенов:", error);
+        res.status(500).json({
+            error: "Ошибка при обновлении токенов",
+            details: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/login/account/logout:
+ *   post:
+ *     summary: Завершение сессии
+ *     description: Отзывает сессию, к которой относится refresh-токен. API-ключ не требуется
+ *     tags:
+ *       - Account
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Сессия завершена
+ *       400:
+ *         description: Ошибка валидации данных
+ *       500:
+ *         description: Внутренняя ошибка сервера
+ */
+router.post("/logout", async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+
+        if (!refreshToken) {
+            return res.status(400).json({
+                error: "Неверный формат данных",
+                details: "Refresh-токен обязателен для заполнения"
+            });
+        }
+
+        const session = await sessionsDb.findActiveByRefreshToken(tokenUtils.hashRefreshToken(refreshToken));
+
+        // Повторный выход не считается ошибкой
+        if (session) {
+            await sessionsDb.revoke(session.id);
+            logger.info(`Выход из аккаунта: ${session.login}`);
+        }
+
+        res.json({
+            success: true,
+            message: "Сессия завершена"
+        });
+    } catch (error) {
+        logger.error("Ошибка при завершении сессии:", error);
+        res.status(500).json({
+            error: "Ошибка при завершении сессии",
+            details: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/login/account/me:
+ *   get:
+ *     summary: Информация о текущем аккаунте
+ *     description: Возвращает информацию об аккаунте, к которому относится access-токен сессии
+ *     tags:
+ *       - Account
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Информация об аккаунте
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 login:
+ *                   type: string
+ *                 accessLevel:
+ *                   type: integer
+ *                 isBanned:
+ *                   type: boolean
+ *                 isPermanentBan:
+ *                   type: boolean
+ *                 banExpireDate:
+ *                   type: string
+ *                   format: date-time
+ *                   nullable: true
+ *                   description: Дата окончания бана (null, если бана нет или он бессрочный)
+ *       401:
+ *         description: Access-токен отсутствует или недействителен
+ *       404:
+ *         description: Аккаунт не найден
+ *       500:
+ *         description: Внутренняя ошибка сервера
+ */
+router.get("/me", sessionMiddleware, async (req, res) => {
+    try {
+        const { login } = req.session;
+
+        // Аккаунт ищем в мире, в котором выполнен вход
+        const realm = realms.get(req.session.realm);
+        const credentials = realm ? await accountsDb.forRealm(realm).getCredentials(login) : null;
+
+        if (!credentials) {
+            return res.status(404).json({
+                error: "Аккаунт не найден"
+            });
+        }
+
+        res.json({
+            login: credentials.login,
+            accessLevel: credentials.accessLevel,
+            ...describeBan(credentials.ban_expire)
+        });
+    } catch (error) {
+        logger.error("Ошибка при получении информации о текущем аккаунте:", error);
+        res.status(500).json({
+            error: "Ошибка при получении информации о текущем аккаунте",
+            details: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/login/account/list:
+ *   get:
+ *     summary: Получение списка аккаунтов
+ *     description: Возвращает список аккаунтов с пагинацией и возможностью фильтрации. Требуется область доступа accounts:read
+ *     tags:
+ *       - Account
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Realm'
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Номер страницы
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Количество записей на странице
+ *       - in: query
+ *         name: login
+ *         schema:
+ *           type: string
+ *         description: Фильтр по логину (частичное совпадение)
+ *       - in: query
+ *         name: email
+ *         schema:
+ *           type: string
+ *         description: Фильтр по email (частичное совпадение)
+ *       - in: query
+ *         name: lastIP
+ *         schema:
+ *           type: string
+ *         description: Фильтр по последнему IP (частичное совпадение)
+ *       - in: query
+ *         name: lastHWID
+ *         schema:
+ *           type: string
+ *         description: Фильтр по последнему HWID (частичное совпадение)
+ *       - in: query
+ *         name: lastServerId
+ *         schema:
+ *           type: integer
+ *         description: Фильтр по ID последнего сервера
+ *       - in: query
+ *         name: accessLevel
+ *         schema:
+ *           type: integer
+ *         description: Фильтр по уровню доступа
+ *       - in: query
+ *         name: lastActiveFrom
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Фильтр по дате последней активности (от)
+ *       - in: query
+ *         name: lastActiveTo
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Фильтр по дате последней активности (до)
+ *       - in: query
+ *         name: isBanned
+ *         schema:
+ *           type: boolean
+ *         description: Фильтр по бану (true - только забаненные)
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *           enum: [login, lastactive, accessLevel, lastIP, lastHWID, lastServerId, ban_expire]
+ *           default: login
+ *         description: Поле для сортировки
+ *       - in: query
+ *         name: sortOrder
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: asc
+ *         description: Порядок сортировки
+ *     responses:
+ *       200:
+ *         description: Успешный ответ со списком аккаунтов
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 accounts:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       login:
+ *                         type: string
+ *                       accessLevel:
+ *                         type: integer
+ *                       lastactive:
+ *                         type: integer
+ *                       lastactiveDate:
+ *                         type: string
+ *                         format: date-time
+ *                       lastIP:
+ *                         type: string
+ *                       lastHWID:
+ *                         type: string
+ *                       lastServerId:
+ *                         type: integer
+ *                       ban_expire:
+ *                         type: integer
+ *                       isBanned:
+ *                         type: boolean
+ *                       isPermanentBan:
+ *                         type: boolean
+ *                       banExpireDate:
+ *                         type: string
+ *                         format: date-time
+ *                         nullable: true
+ *                         description: Дата окончания бана (null, если бана нет или он бессрочный)
+ *                       banReason:
+ *                         type: string
+ *                         nullable: true
+ *                         description: Причина действующего бана из истории банов
+ *                       email:
+ *                         type: string
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     total:
+ *                       type: integer
+ *                       description: Общее количество аккаунтов
+ *                     page:
+ *                       type: integer
+ *                       description: Текущая страница
+ *                     limit:
+ *                       type: integer
+ *                       description: Количество записей на странице
+ *                     totalPages:
+ *                       type: integer
+ *                       description: Общее количество страниц
+ *       500:
+ *         description: Внутренняя ошибка сервера
+ */
+router.get("/list", requireScope("accounts:read"), async (req, res) => {
+    try {
+        // Получаем параметры запроса
+        const {
+            page,
+            limit,
+            login,
+            email,
+            lastIP,
+            lastHWID,
+            lastServerId,
+            accessLevel,
+            lastActiveFrom,
+            lastActiveTo,
+            isBanned,
+            sortBy,
+            sortOrder
+        } = req.query;
+
+        // Формируем объект с фильтрами
+        const filters = {};
+        if (login) filters.login = login;
+        if (email) filters.email = email;
+        if (lastIP) filters.lastIP = lastIP;
+        if (lastHWID) filters.lastHWID = lastHWID;
+        if (lastServerId) filters.lastServerId = lastServerId;
+        if (accessLevel !== undefined) filters.accessLevel = accessLevel;
+        if (lastActiveFrom) filters.lastActiveFrom = lastActiveFrom;
+        if (lastActiveTo) filters.lastActiveTo = lastActiveTo;
+        if (isBanned === 'true') filters.isBanned = true;
+
+        // Получаем данные
+        const result = await accountsDb.forRealm(req.realm).getAccounts({
+            page: parseInt(page || 1, 10),
+            limit: parseInt(limit || 10, 10),
+            filters,
+            sortBy: sortBy || 'login',
+            sortOrder: sortOrder || 'asc'
+        });
+
+        // Добавляем причины действующих банов из истории банов
+        const bannedLogins = result.accounts.filter((account) => account.isBanned).map((account) => account.login);
+        const activeBans = await accountBansDb.getActiveByLogins(req.realm.loginRealm, bannedLogins);
+
+        res.json({
+            ...result,
+            accounts: result.accounts.map((account) => ({
+                ...account,
+                banReason: activeBans.has(account.login) ? activeBans.get(account.login).reason : null
+            }))
+        });
+    } catch (error) {
+        logger.error("Ошибка при получении списка аккаунтов:", error);
+        res.status(500).json({
+            error: "Ошибка при получении списка аккаунтов",
+            details: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/login/account/hash-formats:
+ *   get:
+ *     summary: Статистика форматов хешей паролей
+ *     description: Возвращает количество аккаунтов для каждого формата хеша пароля, чтобы отслеживать миграцию с устаревшего формата. Требуется область доступа accounts:read
+ *     tags:
+ *       - Account
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Realm'
+ *     responses:
+ *       200:
+ *         description: Количество аккаунтов по форматам хешей
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 total:
+ *                   type: integer
+ *                   description: Общее количество аккаунтов
+ *                 defaultAlgorithm:
+ *                   type: string
+ *                   example: sha1
+ *                 legacyAlgorithm:
+ *                   type: string
+ *                   example: whirlpool2
+ *                 formats:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       format:
+ *                         type: string
+ *                         description: Алгоритм хеша (sha1, whirlpool2, scrypt, pbkdf2-sha512 и т.д.) или unknown
+ *                       count:
+ *                         type: integer
+ *       500:
+ *         description: Внутренняя ошибка сервера
+ */
+router.get("/hash-formats", requireScope("accounts:read"), async (req, res) => {
+    try {
+        const formatStats = await accountsDb.forRealm(req.realm).getPasswordFormatStats();
+
+        // Несколько групп (например, разные нераспознанные длины) могут попасть в один формат, поэтому суммируем
+        const counts = {};
+        formatStats.forEach(({ prefix, length, count }) => {
+            const format = passwordUtils.identifyHashFormat({ prefix, length });
+            counts[format] = (counts[format] || 0) + count;
+        });
+
+        const formats = Object.entries(counts)
+            .map(([format, count]) => ({ format, count }))
+            .sort((a, b) => b.count - a.count);
+
+        res.json({
+            total: formats.reduce((sum, item) => sum + item.count, 0),
+            defaultAlgorithm: passwordUtils.DEFAULT_PASSWORD_HASH,
+            legacyAlgorithm: passwordUtils.LEGACY_PASSWORD_HASH,
+            formats
+        });
+    } catch (error) {
+        logger.error("Ошибка при получении статистики форматов хешей:", error);
+        res.status(500).json({
+            error: "Ошибка при получении статистики форматов хешей",
+            details: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/login/account/shared-hwids:
+ *   get:
+ *     summary: Отчет об HWID, общих для нескольких аккаунтов
+ *     description: Возвращает HWID из истории входов и данных последнего входа, с которых входили больше threshold аккаунтов. Используется для проверки правил об игре с нескольких окон. Требуется область доступа accounts:read
+ *     tags:
+ *       - Account
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Realm'
+ *       - in: query
+ *         name: threshold
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: HWID попадает в отчет, если с него входили больше указанного количества аккаунтов (по умолчанию SHARED_HWID_THRESHOLD)
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Номер страницы
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Количество записей на странице
+ *     responses:
+ *       200:
+ *         description: HWID с аккаунтами, отсортированные по количеству аккаунтов
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 threshold:
+ *                   type: integer
+ *                 hwids:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       hwid:
+ *                         type: string
+ *                       accountCount:
+ *                         type: integer
+ *                       logins:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                       firstSeenDate:
+ *                         type: string
+ *                         format: date-time
+ *                       lastSeenDate:
+ *                         type: string
+ *                         format: date-time
+ *                 pagination:
+ *                   type: object
+ *       400:
+ *         description: Неверный формат данных
+ *       500:
+ *         description: Внутренняя ошибка сервера
+ */
+router.get("/shared-hwids", requireScope("accounts:read"), async (req, res) => {
+    try {
+        const { page, limit } = req.query;
+        const threshold = parseInt(req.query.threshold || SHARED_HWID_THRESHOLD, 10);
+
+        if (isNaN(threshold) || threshold < 1) {
+            return res.status(400).json({
+                error: "Неверный формат данных",
+                details: "Параметр threshold должен быть положительным целым числом"
+            });
+        }
+
+        const result = await accountsDb.forRealm(req.realm).getSharedHwids({
+            threshold,
+            page: parseInt(page || 1, 10),
+            limit: parseInt(limit || 10, 10)
+        });
+
+        res.json(result);
+    } catch (error) {
+        logger.error("Ошибка при получении отчета об общих HWID:", error);
+        res.status(500).json({
+            error: "Ошибка при получении отчета об общих HWID",
+            details: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/login/account/access-levels:
+ *   get:
+ *     summary: Таблица уровней доступа
+ *     description: Возвращает именованные уровни доступа аккаунтов и области доступа, необходимые для их выдачи и снятия. Требуется область доступа accounts:read
+ *     tags:
+ *       - Account
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Realm'
+ *     responses:
+ *       200:
+ *         description: Уровни доступа по возрастанию
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 levels:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       name:
+ *                         type: string
+ *                         example: gm
+ *                       level:
+ *                         type: integer
+ *                       title:
+ *                         type: string
+ *                       default:
+ *                         type: boolean
+ *                         description: Уровень новых аккаунтов
+ *                       requiredScope:
+ *                         type: string
+ *                         nullable: true
+ *                         description: Область доступа для выдачи и снятия уровня
+ */
+router.get("/access-levels", requireScope("accounts:read"), (req, res) => {
+    res.json({ levels: accessLevels });
+});
+
+/**
+ * @swagger
+ * /api/login/account/bulk/ban:
+ *   post:
+ *     summary: Массовый бан аккаунтов
+ *     description: Банит аккаунты до указанной даты, на указанный срок или бессрочно и записывает баны в историю банов. Нужно указать ровно один из параметров banExpire, duration или permanent. Аккаунты выбираются списком логинов или фильтром списка аккаунтов. С dryRun возвращает аккаунты, которые будут затронуты, без изменений. Аккаунты обрабатываются группами, каждая группа - в одной транзакции. Требуется область доступа accounts:ban
+ *     tags:
+ *       - Account
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Realm'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/BulkAccountSelection'
+ *               - type: object
+ *                 properties:
+ *                   banExpire:
+ *                     type: string
+ *                     format: date-time
+ *                     description: Дата окончания бана
+ *                   duration:
+ *                     type: string
+ *                     example: 7d
+ *                     description: Срок бана в минутах (m), часах (h), днях (d) или неделях (w)
+ *                   permanent:
+ *                     type: boolean
+ *                     description: Бессрочный бан
+ *     responses:
+ *       200:
+ *         description: Предварительный просмотр (dryRun) или результат по каждому аккаунту
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BulkOperationResult'
+ *       400:
+ *         description: Ошибка валидации данных или фильтру соответствует слишком много аккаунтов
+ *       403:
+ *         description: Недостаточно прав API-ключа
+ *       500:
+ *         description: Внутренняя ошибка сервера
+ */
+router.post("/bulk/ban", requireScope("accounts:ban"), createBulkHandler("ban", {
+    prepare: (body) => {
+        const { expiresAt, error } = resolveBanExpire(body);
+        return error ? { error } : { values: { banExpire: expiresAt } };
+    },
+    afterApply: async (req, { login }, { banExpire }, reason) => {
+        try {
+            const banId = await accountBansDb.create({
+                loginRealm: req.realm.loginRealm,
+                login,
+                reason,
+                issuedBy: req.apiKey.name,
+                expiresAt: banExpire
+            });
+            return { banId };
+        } catch (error) {
+            // Бан уже установлен в базе логинов, в результате отмечаем только отсутствие записи в истории
+            logger.warn(`Аккаунт ${login} забанен массовой операцией, но запись в историю банов не выполнена: ${error.message}`);
+            return { banId: null };
+        }
+    }
+}));
+
+/**
+ * @swagger
+ * /api/login/account/bulk/unban:
+ *   post:
+ *     summary: Массовый разбан аккаунтов
+ *     description: Снимает баны с аккаунтов и отмечает действующие баны в истории банов снятыми. Аккаунты выбираются списком логинов или фильтром списка аккаунтов. С dryRun возвращает аккаунты, которые будут затронуты, без изменений. Аккаунты обрабатываются группами, каждая группа - в одной транзакции. Требуется область доступа accounts:ban
+ *     tags:
+ *       - Account
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Realm'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/BulkAccountSelection'
+ *     responses:
+ *       200:
+ *         description: Предварительный просмотр (dryRun) или результат по каждому аккаунту
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BulkOperationResult'
+ *       400:
+ *         description: Ошибка валидации данных или фильтру соответствует слишком много аккаунтов
+ *       403:
+ *         description: Недостаточно прав API-ключа
+ *       500:
+ *         description: Внутренняя ошибка сервера
+ */
+router.post("/bulk/unban", requireScope("accounts:ban"), createBulkHandler("unban", {
+    afterApply: async (req, { login }, values, reason) => {
+        try {
+            await accountBansDb.closeActive({
+                loginRealm: req.realm.loginRealm,
+                login,
+                unbannedBy: req.apiKey.name,
+                reason
+            });
+        } catch (error) {
+            // Бан уже снят в базе логинов, поэтому ошибка записи истории только логируется
+            logger.warn(`С аккаунта ${login} снят бан массовой операцией, но запись в историю банов не выполнена: ${error.message}`);
+        }
+        return {};
+    }
+}));
+
+/**
+ * @swagger
+ * /api/login/account/bulk/access-level:
+ *   post:
+ *     summary: Массовое изменение уровня доступа
+ *     description: Устанавливает аккаунтам уровень доступа из таблицы уровней (см. /api/login/account/access-levels) и записывает изменения в историю уровней доступа. Если новый или прежний уровень какого-либо аккаунта требует отдельной области доступа (например, accounts:promote), без нее операция отклоняется целиком. Аккаунты выбираются списком логинов или фильтром списка аккаунтов. С dryRun возвращает аккаунты, которые будут затронуты, без изменений. Аккаунты обрабатываются группами, каждая группа - в одной транзакции. Требуется область доступа accounts:write
+ *     tags:
+ *       - Account
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Realm'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/BulkAccountSelection'
+ *               - type: object
+ *                 required:
+ *                   - level
+ *                   - reason
+ *                 properties:
+ *                   level:
+ *                     oneOf:
+ *                       - type: string
+ *                       - type: integer
+ *                     example: moderator
+ *                     description: Название уровня доступа или его значение из таблицы уровней
+ *     responses:
+ *       200:
+ *         description: Предварительный просмотр (dryRun) или результат по каждому аккаунту
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BulkOperationResult'
+ *       400:
+ *         description: Ошибка валидации данных или фильтру соответствует слишком много аккаунтов
+ *       403:
+ *         description: Недостаточно прав API-ключа, в том числе для выдачи или снятия повышенного уровня доступа
+ *       500:
+ *         description: Внутренняя ошибка сервера
+ */
+router.post("/bulk/access-level", requireScope("accounts:write"), createBulkHandler("access-level", {
+    prepare: (body) => {
+        const { entry, error } = parseAccessLevelChange(body);
+        return error ? { error } : { values: { accessLevel: entry.level } };
+    },
+    authorize: (req, targets, { accessLevel }) => findMissingAccessLevelScope(req, [accessLevel, ...targets.map((target) => target.accessLevel)]),
+    afterApply: async (req, { login, accessLevel: oldLevel }, { accessLevel }, reason) => {
+        try {
+            await accessLevelChangesDb.record({
+                loginRealm: req.realm.loginRealm,
+                login,
+                oldLevel,
+                newLevel: accessLevel,
+                reason,
+                changedBy: req.apiKey.name
+            });
+        } catch (error) {
+            // Уровень уже изменен в базе логинов, ошибка записи истории залогирована в accessLevelChangesDb
+        }
+        return { oldLevel };
+    }
+}));
+
+/**
+ * @swagger
+ * /api/login/account/bulk/delete:
+ *   post:
+ *     summary: Массовое удаление аккаунтов
+ *     description: Удаляет аккаунты и их историю входов. Аккаунты выбираются списком логинов или фильтром списка аккаунтов. С dryRun возвращает аккаунты, которые будут затронуты, без изменений. Аккаунты обрабатываются группами, каждая группа - в одной транзакции. Требуется область доступа accounts:delete
+ *     tags:
+ *       - Account
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Realm'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/BulkAccountSelection'
+ *     responses:
+ *       200:
+ *         description: Предварительный просмотр (dryRun) или результат по каждому аккаунту
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BulkOperationResult'
+ *       400:
+ *         description: Ошибка валидации данных или фильтру соответствует слишком много аккаунтов
+ *       403:
+ *         description: Недостаточно прав API-ключа, в том числе для удаления аккаунтов с повышенным уровнем доступа
+ *       500:
+ *         description: Внутренняя ошибка сервера
+ */
+router.post("/bulk/delete", requireScope("accounts:delete"), createBulkHandler("delete", {
+    // Удаление аккаунта с повышенным уровнем доступа требует тех же прав, что и снятие этого уровня
+    authorize: (req, targets) => findMissingAccessLevelScope(req, targets.map((target) => target.accessLevel))
+}));
+
+/**
+ * @swagger
+ * /api/login/account/{login}/history:
+ *   get:
+ *     summary: Получение истории входов аккаунта
+ *     description: Возвращает историю входов для указанного аккаунта. Требуется область доступа accounts:read
+ *     tags:
+ *       - Account
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Realm'
+ *       - in: path
+ *         name: login
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Логин аккаунта
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Номер страницы
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Количество записей на странице
+ *     responses:
+ *       200:
+ *         description: Успешный ответ с историей входов
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 login:
+ *                   type: string
+ *                 loginHistory:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       time:
+ *                         type: integer
+ *                       date:
+ *                         type: string
+ *                         format: date-time
+ *                       lastServerId:
+ *                         type: integer
+ *                       ip:
+ *                         type: string
+ *                       hwid:
+ *                         type: string
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     total:
+ *                       type: integer
+ *                     page:
+ *                       type: integer
+ *                     limit:
  *                       type: integer
- *                       description: Количество записей на странице
  *                     totalPages:
  *                       type: integer
- *                       description: Общее количество страниц
+ *       404:
+ *         description: Аккаунт не найден
  *       500:
  *         description: Внутренняя ошибка сервера
  */
-router.get("/list", async (req, res) => {
+router.get("/:login/history", requireScope("accounts:read"), async (req, res) => {
     try {
-        // Получаем параметры запроса
-        const {
-            page,
-            limit,
+        const { login } = req.params;
+        const { page, limit } = req.query;
+
+        // Проверяем существование аккаунта
+        const accountExists = await accountsDb.forRealm(req.realm).exists(login);
+
+        if (!accountExists) {
+            return res.status(404).json({
+                error: "Аккаунт не найден"
+            });
+        }
+
+        // Получаем историю входов
+        const result = await accountsDb.forRealm(req.realm).getAccountLoginHistory(login, {
+            page: parseInt(page || 1, 10),
+            limit: parseInt(limit || 10, 10)
+        });
+
+        res.json(result);
+    } catch (error) {
+        logger.error(`Ошибка при получении истории входов аккаунта:`, error);
+        res.status(500).json({
+            error: "Ошибка при получении истории входов аккаунта",
+            details: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/login/account/{login}/bans:
+ *   get:
+ *     summary: Получение истории банов аккаунта
+ *     description: Возвращает баны аккаунта, выданные через API, начиная с последнего, с причиной, выдавшим API-ключом, сроком и снятием бана. Баны общие для всех игровых миров с одной базой логинов. Требуется область доступа accounts:read
+ *     tags:
+ *       - Account
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Realm'
+ *       - in: path
+ *         name: login
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Логин аккаунта
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Номер страницы
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Количество записей на странице
+ *     responses:
+ *       200:
+ *         description: История банов
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 login:
+ *                   type: string
+ *                 bans:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                       reason:
+ *                         type: string
+ *                         nullable: true
+ *                       issuedBy:
+ *                         type: string
+ *                       status:
+ *                         type: string
+ *                         enum: [active, expired, lifted]
+ *                       bannedDate:
+ *                         type: string
+ *                         format: date-time
+ *                       permanent:
+ *                         type: boolean
+ *                       expireDate:
+ *                         type: string
+ *                         format: date-time
+ *                         nullable: true
+ *                         description: Дата окончания бана (null для бессрочного бана)
+ *                       unbannedDate:
+ *                         type: string
+ *                         format: date-time
+ *                         nullable: true
+ *                       unbannedBy:
+ *                         type: string
+ *                         nullable: true
+ *                       unbanReason:
+ *                         type: string
+ *                         nullable: true
+ *                 pagination:
+ *                   type: object
+ *       404:
+ *         description: Аккаунт не найден
+ *       500:
+ *         description: Внутренняя ошибка сервера
+ */
+router.get("/:login/bans", requireScope("accounts:read"), async (req, res) => {
+    try {
+        const { login } = req.params;
+        const { page, limit } = req.query;
+
+        const accountExists = await accountsDb.forRealm(req.realm).exists(login);
+
+        if (!accountExists) {
+            return res.status(404).json({
+                error: "Аккаунт не найден"
+            });
+        }
+
+        const result = await accountBansDb.listByLogin(req.realm.loginRealm, login, {
+            page: parseInt(page || 1, 10),
+            limit: parseInt(limit || 10, 10)
+        });
+
+        res.json({
             login,
-            email,
-            lastIP,
-            lastHWID,
-            lastServerId,
-            accessLevel,
-            lastActiveFrom,
-            lastActiveTo,
-            isBanned,
-            sortBy,
-            sortOrder
-        } = req.query;
+            ...result
+        });
+    } catch (error) {
+        logger.error("Ошибка при получении истории банов аккаунта:", error);
+        res.status(500).json({
+            error: "Ошибка при получении истории банов аккаунта",
+            details: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/login/account/{login}/access-level/history:
+ *   get:
+ *     summary: История изменений уровня доступа аккаунта
+ *     description: Возвращает изменения уровня доступа аккаунта, выполненные через API, с причиной и именем API-ключа. Требуется область доступа accounts:read
+ *     tags:
+ *       - Account
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Realm'
+ *       - in: path
+ *         name: login
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Логин аккаунта
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Номер страницы
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Количество записей на странице
+ *     responses:
+ *       200:
+ *         description: История изменений уровня доступа
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 login:
+ *                   type: string
+ *                 changes:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                       oldLevel:
+ *                         type: integer
+ *                       oldLevelName:
+ *                         type: string
+ *                         nullable: true
+ *                       newLevel:
+ *                         type: integer
+ *                       newLevelName:
+ *                         type: string
+ *                         nullable: true
+ *                       reason:
+ *                         type: string
+ *                       changedBy:
+ *                         type: string
+ *                       createdDate:
+ *                         type: string
+ *                         format: date-time
+ *                 pagination:
+ *                   type: object
+ *       404:
+ *         description: Аккаунт не найден
+ *       500:
+ *         description: Внутренняя ошибка сервера
+ */
+router.get("/:login/access-level/history", requireScope("accounts:read"), async (req, res) => {
+    try {
+        const { login } = req.params;
+        const { page, limit } = req.query;
+
+        const accountExists = await accountsDb.forRealm(req.realm).exists(login);
+
+        if (!accountExists) {
+            return res.status(404).json({
+                error: "Аккаунт не найден"
+            });
+        }
+
+        const result = await accessLevelChangesDb.listByLogin(req.realm.loginRealm, login, {
+            page: parseInt(page || 1, 10),
+            limit: parseInt(limit || 10, 10)
+        });
+
+        res.json({
+            login,
+            ...result
+        });
+    } catch (error) {
+        logger.error("Ошибка при получении истории уровней доступа аккаунта:", error);
+        res.status(500).json({
+            error: "Ошибка при получении истории уровней доступа аккаунта",
+            details: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/login/account/{login}/linked:
+ *   get:
+ *     summary: Поиск связанных аккаунтов
+ *     description: Возвращает аккаунты, которые когда-либо входили с тех же IP-адресов или HWID, что и указанный аккаунт. Учитываются история входов (account_log) и данные последнего входа. Для каждого общего значения приводятся количество входов связанного аккаунта и периоды использования обоими аккаунтами. Требуется область доступа accounts:read
+ *     tags:
+ *       - Account
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Realm'
+ *       - in: path
+ *         name: login
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Логин аккаунта
+ *       - in: query
+ *         name: by
+ *         schema:
+ *           type: string
+ *           enum: [ip, hwid, all]
+ *           default: all
+ *         description: По каким данным искать связи
+ *     responses:
+ *       200:
+ *         description: Связанные аккаунты. Сначала аккаунты с общим HWID, затем с наибольшим количеством общих входов
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 login:
+ *                   type: string
+ *                 total:
+ *                   type: integer
+ *                 linkedAccounts:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       login:
+ *                         type: string
+ *                       overlapCount:
+ *                         type: integer
+ *                         description: Количество входов связанного аккаунта с общих IP-адресов и HWID
+ *                       firstSeenDate:
+ *                         type: string
+ *                         format: date-time
+ *                       lastSeenDate:
+ *                         type: string
+ *                         format: date-time
+ *                       sharedIps:
+ *                         type: array
+ *                         items:
+ *                           $ref: '#/components/schemas/SharedValue'
+ *                       sharedHwids:
+ *                         type: array
+ *                         items:
+ *                           $ref: '#/components/schemas/SharedValue'
+ *       400:
+ *         description: Неверный формат данных
+ *       404:
+ *         description: Аккаунт не найден
+ *       500:
+ *         description: Внутренняя ошибка сервера
+ */
+router.get("/:login/linked", requireScope("accounts:read"), async (req, res) => {
+    try {
+        const { login } = req.params;
+        const { by = "all" } = req.query;
+
+        if (!LINK_TYPES.includes(by)) {
+            return res.status(400).json({
+                error: "Неверный формат данных",
+                details: `Параметр by должен быть одним из: ${LINK_TYPES.join(", ")}`
+            });
+        }
 
-        // Формируем объект с фильтрами
-        const filters = {};
-        if (login) filters.login = login;
-        if (email) filters.email = email;
-        if (lastIP) filters.lastIP = lastIP;
-        if (lastHWID) filters.lastHWID = lastHWID;
-        if (lastServerId) filters.lastServerId = lastServerId;
-        if (accessLevel !== undefined) filters.accessLevel = accessLevel;
-        if (lastActiveFrom) filters.lastActiveFrom = lastActiveFrom;
-        if (lastActiveTo) filters.lastActiveTo = lastActiveTo;
-        if (isBanned === 'true') filters.isBanned = true;
+        const accounts = accountsDb.forRealm(req.realm);
 
-        // Получаем данные
-        const result = await accountsDb.getAccounts({
-            page: parseInt(page || 1, 10),
-            limit: parseInt(limit || 10, 10),
-            filters,
-            sortBy: sortBy || 'login',
-            sortOrder: sortOrder || 'asc'
-        });
+        if (!(await accounts.exists(login))) {
+            return res.status(404).json({
+                error: "Аккаунт не найден"
+            });
+        }
 
-        res.json(result);
+        const linkedAccounts = await accounts.getLinkedAccounts(login, { by });
+
+        res.json({
+            login,
+            total: linkedAccounts.length,
+            linkedAccounts
+        });
     } catch (error) {
-        logger.error("Ошибка при получении списка аккаунтов:", error);
+        logger.error("Ошибка при поиске связанных аккаунтов:", error);
         res.status(500).json({
-            error: "Ошибка при получении списка аккаунтов",
+            error: "Ошибка при поиске связанных аккаунтов",
             details: error.message
         });
     }
@@ -396,100 +2045,188 @@ router.get("/list", async (req, res) => {
 
 /**
  * @swagger
- * /api/login/account/{login}/history:
+ * /api/login/account/{login}/overview:
  *   get:
- *     summary: Получение истории входов аккаунта
- *     description: Возвращает историю входов для указанного аккаунта
+ *     summary: Сводка по аккаунту и его персонажам во всех мирах
+ *     description: Возвращает данные аккаунта (уровень доступа, бан, последний IP/HWID) и его персонажей во всех игровых мирах, использующих ту же базу логинов, что и выбранный мир. Для каждого мира приводятся количество персонажей, суммарное время в игре и последний персонаж, которым играли. Недоступный мир не прерывает ответ, а возвращается с полем error. Требуются области доступа accounts:read и characters:read
  *     tags:
  *       - Account
  *     security:
  *       - ApiKeyAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/Realm'
  *       - in: path
  *         name: login
  *         required: true
  *         schema:
  *           type: string
  *         description: Логин аккаунта
- *       - in: query
- *         name: page
- *         schema:
- *           type: integer
- *           default: 1
- *         description: Номер страницы
- *       - in: query
- *         name: limit
- *         schema:
- *           type: integer
- *           default: 10
- *         description: Количество записей на странице
  *     responses:
  *       200:
- *         description: Успешный ответ с историей входов
+ *         description: Сводка по аккаунту
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 login:
- *                   type: string
- *                 loginHistory:
+ *                 account:
+ *                   type: object
+ *                   properties:
+ *                     login:
+ *                       type: string
+ *                     email:
+ *                       type: string
+ *                     accessLevel:
+ *                       type: integer
+ *                     isBanned:
+ *                       type: boolean
+ *                     isPermanentBan:
+ *                       type: boolean
+ *                     banExpireDate:
+ *                       type: string
+ *                       format: date-time
+ *                       nullable: true
+ *                       description: Дата окончания бана (null, если бана нет или он бессрочный)
+ *                     lastactiveDate:
+ *                       type: string
+ *                       format: date-time
+ *                     lastIP:
+ *                       type: string
+ *                     lastHWID:
+ *                       type: string
+ *                     lastServerId:
+ *                       type: integer
+ *                 realms:
  *                   type: array
  *                   items:
  *                     type: object
  *                     properties:
- *                       time:
- *                         type: integer
- *                       date:
+ *                       realm:
  *                         type: string
- *                         format: date-time
- *                       lastServerId:
- *                         type: integer
- *                       ip:
+ *                       title:
  *                         type: string
- *                       hwid:
+ *                       characterCount:
+ *                         type: integer
+ *                       onlineCount:
+ *                         type: integer
+ *                       onlineTime:
+ *                         type: integer
+ *                         description: Суммарное время в игре всех персонажей мира в секундах
+ *                       onlineTimeHours:
+ *                         type: integer
+ *                       lastPlayed:
+ *                         type: object
+ *                         nullable: true
+ *                         properties:
+ *                           objId:
+ *                             type: integer
+ *                           name:
+ *                             type: string
+ *                           lastAccessDate:
+ *                             type: string
+ *                             format: date-time
+ *                       characters:
+ *                         type: array
+ *                         description: Последние по времени входа персонажи (не больше 50)
+ *                         items:
+ *                           type: object
+ *                       error:
  *                         type: string
- *                 pagination:
+ *                         description: Ошибка загрузки персонажей мира (только для недоступного мира)
+ *                 totals:
  *                   type: object
  *                   properties:
- *                     total:
- *                       type: integer
- *                     page:
- *                       type: integer
- *                     limit:
+ *                     characterCount:
  *                       type: integer
- *                     totalPages:
+ *                     onlineTimeHours:
  *                       type: integer
+ *       403:
+ *         description: Недостаточно прав API-ключа
  *       404:
  *         description: Аккаунт не найден
  *       500:
  *         description: Внутренняя ошибка сервера
  */
-router.get("/:login/history", async (req, res) => {
+router.get("/:login/overview", requireScope("accounts:read"), requireScope("characters:read"), async (req, res) => {
     try {
         const { login } = req.params;
-        const { page, limit } = req.query;
 
-        // Проверяем существование аккаунта
-        const accountExists = await accountsDb.exists(login);
+        const account = await accountsDb.forRealm(req.realm).getSummary(login);
 
-        if (!accountExists) {
+        if (!account) {
             return res.status(404).json({
                 error: "Аккаунт не найден"
             });
         }
 
-        // Получаем историю входов
-        const result = await accountsDb.getAccountLoginHistory(login, {
-            page: parseInt(page || 1, 10),
-            limit: parseInt(limit || 10, 10)
+        // Персонажи аккаунта ищутся во всех мирах с той же базой логинов
+        const gameRealms = realms.listByLoginDb(req.realm.loginDb);
+
+        // Список персонажей ограничен OVERVIEW_CHARACTERS_LIMIT, поэтому итоги считаются отдельно по всем персонажам
+        const results = await Promise.allSettled(gameRealms.map((realm) => {
+            const characters = charactersDb.forRealm(realm);
+
+            return Promise.all([
+                characters.getAccountCharacters(account.login, { page: 1, limit: OVERVIEW_CHARACTERS_LIMIT }),
+                characters.getAccountTotals(account.login)
+            ]);
+        }));
+
+        const realmOverviews = gameRealms.map((realm, index) => {
+            const result = results[index];
+
+            if (result.status === "rejected") {
+                logger.error(`Ошибка при загрузке персонажей аккаунта ${login} в мире ${realm.name}: ${result.reason.message}`);
+                return {
+                    realm: realm.name,
+                    title: realm.title,
+                    error: result.reason.message
+                };
+            }
+
+            const [{ characters }, totals] = result.value;
+
+            // Персонажи отсортированы по времени последнего входа
+            const lastPlayed = characters.find((character) => character.lastAccess > 0);
+
+            return {
+                realm: realm.name,
+                title: realm.title,
+                characterCount: totals.characterCount,
+                onlineCount: totals.onlineCount,
+                onlineTime: totals.onlineTime,
+                onlineTimeHours: Math.floor(totals.onlineTime / 3600),
+                lastPlayed: lastPlayed
+                    ? { objId: lastPlayed.obj_Id, name: lastPlayed.char_name, lastAccessDate: lastPlayed.lastAccessDate }
+                    : null,
+                characters
+            };
         });
 
-        res.json(result);
+        const loadedRealms = realmOverviews.filter((realm) => !realm.error);
+        const totalOnlineTime = loadedRealms.reduce((sum, realm) => sum + realm.onlineTime, 0);
+
+        res.json({
+            account: {
+                login: account.login,
+                email: account.l2email,
+                accessLevel: account.accessLevel,
+                ...describeBan(account.ban_expire),
+                lastactiveDate: account.lastactive ? new Date(account.lastactive * 1000).toISOString() : null,
+                lastIP: account.lastIP,
+                lastHWID: account.lastHWID,
+                lastServerId: account.lastServerId
+            },
+            realms: realmOverviews,
+            totals: {
+                characterCount: loadedRealms.reduce((sum, realm) => sum + realm.characterCount, 0),
+                onlineTimeHours: Math.floor(totalOnlineTime / 3600)
+            }
+        });
     } catch (error) {
-        logger.error(`Ошибка при получении истории входов аккаунта:`, error);
+        logger.error("Ошибка при получении сводки по аккаунту:", error);
         res.status(500).json({
-            error: "Ошибка при получении истории входов аккаунта",
+            error: "Ошибка при получении сводки по аккаунту",
             details: error.message
         });
     }
@@ -500,12 +2237,13 @@ router.get("/:login/history", async (req, res) => {
  * /api/login/account/{login}:
  *   get:
  *     summary: Получение информации об аккаунте
- *     description: Возвращает детальную информацию о конкретном аккаунте
+ *     description: Возвращает детальную информацию о конкретном аккаунте. Требуется область доступа accounts:read
  *     tags:
  *       - Account
  *     security:
  *       - ApiKeyAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/Realm'
  *       - in: path
  *         name: login
  *         required: true
@@ -539,20 +2277,32 @@ router.get("/:login/history", async (req, res) => {
  *                   type: string
  *                 isBanned:
  *                   type: boolean
+ *                 isPermanentBan:
+ *                   type: boolean
  *                 banExpireDate:
  *                   type: string
  *                   format: date-time
+ *                   nullable: true
+ *                   description: Дата окончания бана (null, если бана нет или он бессрочный)
+ *                 banReason:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Причина действующего бана из истории банов
+ *                 bannedBy:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Кто выдал действующий бан
  *       404:
  *         description: Аккаунт не найден
  *       500:
  *         description: Внутренняя ошибка сервера
  */
-router.get("/:login", async (req, res) => {
+router.get("/:login", requireScope("accounts:read"), async (req, res) => {
     try {
         const { login } = req.params;
 
         // Загружаем информацию об аккаунте
-        const account = await accountsDb.load(login);
+        const account = await accountsDb.forRealm(req.realm).load(login);
 
         if (!account) {
             return res.status(404).json({
@@ -561,7 +2311,7 @@ router.get("/:login", async (req, res) => {
         }
 
         // Получаем дополнительную информацию из таблицы accounts
-        const [accountDetails] = await databases.login.query(
+        const [accountDetails] = await req.realm.loginDb.query(
             "SELECT ban_expire FROM accounts WHERE login = ?",
             {
                 replacements: [login],
@@ -569,10 +2319,11 @@ router.get("/:login", async (req, res) => {
             }
         );
 
-        const now = Math.floor(Date.now() / 1000);
-        const isBanned = accountDetails && accountDetails.ban_expire > now;
-        const banExpireDate = isBanned
-            ? new Date(accountDetails.ban_expire * 1000).toISOString()
+        const { isBanned, isPermanentBan: permanentBan, banExpireDate } = describeBan(accountDetails ? accountDetails.ban_expire : 0);
+
+        // Бан, выданный в игре, не попадает в историю банов, поэтому причина может отсутствовать
+        const activeBan = isBanned
+            ? (await accountBansDb.getActiveByLogins(req.realm.loginRealm, [login])).get(login)
             : null;
 
         // Добавляем вычисляемые поля
@@ -583,7 +2334,10 @@ router.get("/:login", async (req, res) => {
                 ? new Date(account.lastactive * 1000).toISOString()
                 : null,
             isBanned,
-            banExpireDate
+            isPermanentBan: permanentBan,
+            banExpireDate,
+            banReason: activeBan ? activeBan.reason : null,
+            bannedBy: activeBan ? activeBan.issuedBy : null
         };
 
         res.json(accountInfo);
@@ -601,12 +2355,13 @@ router.get("/:login", async (req, res) => {
  * /api/login/account/{login}:
  *   delete:
  *     summary: Удаление аккаунта
- *     description: Удаляет указанный аккаунт из системы
+ *     description: Удаляет указанный аккаунт из системы. Требуется область доступа accounts:delete
  *     tags:
  *       - Account
  *     security:
  *       - ApiKeyAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/Realm'
  *       - in: path
  *         name: login
  *         required: true
@@ -632,12 +2387,12 @@ router.get("/:login", async (req, res) => {
  *       500:
  *         description: Внутренняя ошибка сервера
  */
-router.delete("/:login", async (req, res) => {
+router.delete("/:login", requireScope("accounts:delete"), async (req, res) => {
     try {
         const { login } = req.params;
 
         // Проверяем существование аккаунта
-        const accountExists = await accountsDb.exists(login);
+        const accountExists = await accountsDb.forRealm(req.realm).exists(login);
 
         if (!accountExists) {
             return res.status(404).json({
@@ -646,7 +2401,7 @@ router.delete("/:login", async (req, res) => {
         }
 
         // Удаляем аккаунт
-        await databases.login.query(
+        await req.realm.loginDb.query(
             "DELETE FROM accounts WHERE login = ?",
             {
                 replacements: [login]
@@ -654,7 +2409,7 @@ router.delete("/:login", async (req, res) => {
         );
 
         // Также удаляем историю входов для этого аккаунта
-        await databases.login.query(
+        await req.realm.loginDb.query(
             "DELETE FROM account_log WHERE login = ?",
             {
                 replacements: [login]
@@ -681,12 +2436,13 @@ router.delete("/:login", async (req, res) => {
  * /api/login/account/{login}/ban:
  *   post:
  *     summary: Бан аккаунта
- *     description: Устанавливает бан аккаунта до указанной даты
+ *     description: Устанавливает бан аккаунта до указанной даты, на указанный срок или бессрочно и записывает его в историю банов с причиной и именем API-ключа. Нужно указать ровно один из параметров banExpire, duration или permanent. Требуется область доступа accounts:ban
  *     tags:
  *       - Account
  *     security:
  *       - ApiKeyAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/Realm'
  *       - in: path
  *         name: login
  *         required: true
@@ -699,16 +2455,23 @@ router.delete("/:login", async (req, res) => {
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - banExpire
  *             properties:
  *               banExpire:
  *                 type: string
  *                 format: date-time
  *                 description: Дата окончания бана
+ *               duration:
+ *                 type: string
+ *                 pattern: '^\d+[mhdw]$'
+ *                 example: 7d
+ *                 description: Срок бана в минутах (m), часах (h), днях (d) или неделях (w)
+ *               permanent:
+ *                 type: boolean
+ *                 description: Бессрочный бан
  *               reason:
  *                 type: string
- *                 description: Причина бана (опционально)
+ *                 maxLength: 255
+ *                 description: Причина бана (опционально). Сохраняется в истории банов
  *     responses:
  *       200:
  *         description: Аккаунт успешно забанен
@@ -723,6 +2486,20 @@ router.delete("/:login", async (req, res) => {
  *                 message:
  *                   type: string
  *                   example: Аккаунт успешно забанен
+ *                 banId:
+ *                   type: integer
+ *                   nullable: true
+ *                   description: ID записи в истории банов (null, если запись не выполнена)
+ *                 historyRecorded:
+ *                   type: boolean
+ *                   description: false, если бан установлен, но запись в историю банов не выполнена
+ *                 permanent:
+ *                   type: boolean
+ *                 banExpireDate:
+ *                   type: string
+ *                   format: date-time
+ *                   nullable: true
+ *                   description: Дата окончания бана (null для бессрочного бана)
  *       400:
  *         description: Ошибка валидации данных
  *       404:
@@ -730,21 +2507,30 @@ router.delete("/:login", async (req, res) => {
  *       500:
  *         description: Внутренняя ошибка сервера
  */
-router.post("/:login/ban", async (req, res) => {
+router.post("/:login/ban", requireScope("accounts:ban"), async (req, res) => {
     try {
         const { login } = req.params;
-        const { banExpire, reason } = req.body;
+        const { banExpire, duration, permanent, reason } = req.body;
+
+        // Окончание бана задается датой, сроком или флагом бессрочного бана
+        const { expiresAt, error: expireError } = resolveBanExpire({ banExpire, duration, permanent });
+
+        if (expireError) {
+            return res.status(400).json({
+                error: "Неверный формат данных",
+                details: expireError
+            });
+        }
 
-        // Проверяем наличие параметра banExpire
-        if (!banExpire) {
+        if (reason !== undefined && (typeof reason !== "string" || reason.length > 255)) {
             return res.status(400).json({
                 error: "Неверный формат данных",
-                details: "Дата окончания бана обязательна для заполнения"
+                details: "Причина бана должна быть строкой не длиннее 255 символов"
             });
         }
 
         // Проверяем существование аккаунта
-        const accountExists = await accountsDb.exists(login);
+        const accountExists = await accountsDb.forRealm(req.realm).exists(login);
 
         if (!accountExists) {
             return res.status(404).json({
@@ -752,33 +2538,42 @@ router.post("/:login/ban", async (req, res) => {
             });
         }
 
-        // Преобразуем дату в Unix timestamp
-        const banExpireTimestamp = Math.floor(new Date(banExpire).getTime() / 1000);
-
-        // Проверяем, что дата бана в будущем
-        const now = Math.floor(Date.now() / 1000);
-        if (banExpireTimestamp <= now) {
-            return res.status(400).json({
-                error: "Неверный формат данных",
-                details: "Дата окончания бана должна быть в будущем"
-            });
-        }
+        const permanentBan = isPermanentBan(expiresAt);
+        const banExpireDate = permanentBan ? null : new Date(expiresAt * 1000).toISOString();
 
         // Устанавливаем бан
-        await databases.login.query(
+        await req.realm.loginDb.query(
             "UPDATE accounts SET ban_expire = ? WHERE login = ?",
             {
-                replacements: [banExpireTimestamp, login]
+                replacements: [expiresAt, login]
             }
         );
 
+        // Бан уже установлен в базе логинов, поэтому ошибка записи истории не превращается в 500
+        let banId = null;
+
+        try {
+            banId = await accountBansDb.create({
+                loginRealm: req.realm.loginRealm,
+                login,
+                reason: reason || null,
+                issuedBy: req.apiKey.name,
+                expiresAt
+            });
+        } catch (error) {
+            logger.error(`Аккаунт ${login} забанен, но запись в историю банов не выполнена: ${error.message}`);
+        }
+
         // Логируем бан
-        logger.info(`Аккаунт ${login} забанен до ${new Date(banExpireTimestamp * 1000).toISOString()}${reason ? ` по причине: ${reason}` : ''}`);
+        logger.info(`Аккаунт ${login} забанен ${permanentBan ? "бессрочно" : `до ${banExpireDate}`}${reason ? ` по причине: ${reason}` : ''} (${req.apiKey.name})`);
 
         res.json({
             success: true,
             message: "Аккаунт успешно забанен",
-            banExpireDate: new Date(banExpireTimestamp * 1000).toISOString()
+            banId,
+            historyRecorded: banId !== null,
+            permanent: permanentBan,
+            banExpireDate
         });
     } catch (error) {
         logger.error(`Ошибка при бане аккаунта:`, error);
@@ -794,18 +2589,30 @@ router.post("/:login/ban", async (req, res) => {
  * /api/login/account/{login}/unban:
  *   post:
  *     summary: Разбан аккаунта
- *     description: Снимает бан с аккаунта
+ *     description: Снимает бан с аккаунта и отмечает действующий бан в истории банов снятым. Требуется область доступа accounts:ban
  *     tags:
  *       - Account
  *     security:
  *       - ApiKeyAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/Realm'
  *       - in: path
  *         name: login
  *         required: true
  *         schema:
  *           type: string
  *         description: Логин аккаунта
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 255
+ *                 description: Причина снятия бана (опционально)
  *     responses:
  *       200:
  *         description: Бан успешно снят
@@ -820,17 +2627,28 @@ router.post("/:login/ban", async (req, res) => {
  *                 message:
  *                   type: string
  *                   example: Бан успешно снят
+ *                 historyRecorded:
+ *                   type: boolean
+ *                   description: false, если бан снят, но запись в историю банов не выполнена
  *       404:
  *         description: Аккаунт не найден
  *       500:
  *         description: Внутренняя ошибка сервера
  */
-router.post("/:login/unban", async (req, res) => {
+router.post("/:login/unban", requireScope("accounts:ban"), async (req, res) => {
     try {
         const { login } = req.params;
+        const { reason = null } = req.body || {};
+
+        if (reason !== null && (typeof reason !== "string" || reason.length > 255)) {
+            return res.status(400).json({
+                error: "Неверный формат данных",
+                details: "Причина снятия бана должна быть строкой не длиннее 255 символов"
+            });
+        }
 
         // Проверяем существование аккаунта
-        const accountExists = await accountsDb.exists(login);
+        const accountExists = await accountsDb.forRealm(req.realm).exists(login);
 
         if (!accountExists) {
             return res.status(404).json({
@@ -839,18 +2657,34 @@ router.post("/:login/unban", async (req, res) => {
         }
 
         // Снимаем бан
-        await databases.login.query(
+        await req.realm.loginDb.query(
             "UPDATE accounts SET ban_expire = 0 WHERE login = ?",
             {
                 replacements: [login]
             }
         );
 
-        logger.info(`Снят бан с аккаунта ${login}`);
+        // Бан уже снят в базе логинов, поэтому ошибка записи истории не превращается в 500
+        let historyRecorded = true;
+
+        try {
+            await accountBansDb.closeActive({
+                loginRealm: req.realm.loginRealm,
+                login,
+                unbannedBy: req.apiKey.name,
+                reason
+            });
+        } catch (error) {
+            historyRecorded = false;
+            logger.error(`С аккаунта ${login} снят бан, но запись в историю банов не выполнена: ${error.message}`);
+        }
+
+        logger.info(`Снят бан с аккаунта ${login} (${req.apiKey.name})`);
 
         res.json({
             success: true,
-            message: "Бан успешно снят"
+            message: "Бан успешно снят",
+            historyRecorded
         });
     } catch (error) {
         logger.error(`Ошибка при снятии бана:`, error);
@@ -861,4 +2695,291 @@ router.post("/:login/unban", async (req, res) => {
     }
 });
 
+/**
+ * @swagger
+ * /api/login/account/{login}/access-level:
+ *   put:
+ *     summary: Изменение уровня доступа аккаунта
+ *     description: Устанавливает аккаунту уровень доступа из таблицы уровней (см. /api/login/account/access-levels) и записывает изменение в историю уровней доступа. Для выдачи или снятия повышенного уровня (модератор, GM, администратор) нужна область доступа из таблицы уровней, по умолчанию accounts:promote. Требуется область доступа accounts:write
+ *     tags:
+ *       - Account
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Realm'
+ *       - in: path
+ *         name: login
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Логин аккаунта
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - level
+ *               - reason
+ *             properties:
+ *               level:
+ *                 oneOf:
+ *                   - type: string
+ *                   - type: integer
+ *                 example: gm
+ *                 description: Название уровня доступа или его значение из таблицы уровней
+ *               reason:
+ *                 type: string
+ *                 maxLength: 255
+ *                 description: Причина изменения. Сохраняется в истории уровней доступа
+ *     responses:
+ *       200:
+ *         description: Уровень доступа установлен
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 login:
+ *                   type: string
+ *                 changed:
+ *                   type: boolean
+ *                   description: false, если аккаунт уже имел этот уровень
+ *                 oldLevel:
+ *                   type: integer
+ *                 accessLevel:
+ *                   type: integer
+ *                 levelName:
+ *                   type: string
+ *                 changeId:
+ *                   type: integer
+ *                   nullable: true
+ *                   description: ID записи в истории уровней доступа
+ *       400:
+ *         description: Неизвестный уровень доступа или не указана причина
+ *       403:
+ *         description: Недостаточно прав API-ключа для выдачи или снятия уровня
+ *       404:
+ *         description: Аккаунт не найден
+ *       409:
+ *         description: Уровень доступа аккаунта изменился во время запроса
+ *       500:
+ *         description: Внутренняя ошибка сервера
+ */
+router.put("/:login/access-level", requireScope("accounts:write"), async (req, res) => {
+    try {
+        const { login } = req.params;
+        const { entry, error: changeError } = parseAccessLevelChange(req.body || {});
+
+        if (changeError) {
+            return res.status(400).json({
+                error: "Неверный формат данных",
+                details: changeError
+            });
+        }
+
+        const accounts = accountsDb.forRealm(req.realm);
+        const account = await accounts.getSummary(login);
+
+        if (!account) {
+            return res.status(404).json({
+                error: "Аккаунт не найден"
+            });
+        }
+
+        // Повышенный уровень нельзя ни выдать, ни снять без отдельной области доступа
+        const missingScope = findMissingAccessLevelScope(req, [account.accessLevel, entry.level]);
+
+        if (missingScope) {
+            return denyAccessLevelChange(req, res, missingScope);
+        }
+
+        if (account.accessLevel === entry.level) {
+            return res.json({
+                login,
+                changed: false,
+                oldLevel: account.accessLevel,
+                accessLevel: entry.level,
+                levelName: entry.name,
+                changeId: null
+            });
+        }
+
+        const oldLevel = account.accessLevel;
+
+        // Уровень меняется только если он не изменился после проверки прав
+        const updated = await accounts.setAccessLevel(login, entry.level, oldLevel);
+
+        if (!updated) {
+            return res.status(409).json({
+                error: "Уровень доступа аккаунта изменился во время запроса",
+                details: "Повторите запрос"
+            });
+        }
+
+        const reason = req.body.reason.trim();
+        const changeId = await accessLevelChangesDb.record({
+            loginRealm: req.realm.loginRealm,
+            login,
+            oldLevel,
+            newLevel: entry.level,
+            reason,
+            changedBy: req.apiKey.name
+        });
+
+        logger.info(`Уровень доступа аккаунта ${login} изменен: ${oldLevel} -> ${entry.level} (${entry.name}) по причине: ${reason} (${req.apiKey.name})`);
+
+        res.json({
+            login,
+            changed: true,
+            oldLevel,
+            accessLevel: entry.level,
+            levelName: entry.name,
+            changeId
+        });
+    } catch (error) {
+        logger.error("Ошибка при изменении уровня доступа аккаунта:", error);
+        res.status(500).json({
+            error: "Ошибка при изменении уровня доступа аккаунта",
+            details: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SharedValue:
+ *       type: object
+ *       properties:
+ *         value:
+ *           type: string
+ *           description: IP-адрес или HWID
+ *         entries:
+ *           type: integer
+ *           description: Количество входов связанного аккаунта с этим значением
+ *         firstSeenDate:
+ *           type: string
+ *           format: date-time
+ *         lastSeenDate:
+ *           type: string
+ *           format: date-time
+ *         accountFirstSeenDate:
+ *           type: string
+ *           format: date-time
+ *           description: Первый вход проверяемого аккаунта с этим значением
+ *         accountLastSeenDate:
+ *           type: string
+ *           format: date-time
+ *           description: Последний вход проверяемого аккаунта с этим значением
+ *     BulkAccountSelection:
+ *       type: object
+ *       description: Нужно указать logins или filter
+ *       properties:
+ *         logins:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Логины аккаунтов
+ *         filter:
+ *           type: object
+ *           description: Фильтр списка аккаунтов (как параметры /api/login/account/list). Должен содержать хотя бы одно условие
+ *           properties:
+ *             login:
+ *               type: string
+ *             email:
+ *               type: string
+ *             lastIP:
+ *               type: string
+ *             lastHWID:
+ *               type: string
+ *             lastServerId:
+ *               type: integer
+ *             accessLevel:
+ *               type: integer
+ *             lastActiveFrom:
+ *               type: string
+ *               format: date
+ *             lastActiveTo:
+ *               type: string
+ *               format: date
+ *             isBanned:
+ *               type: boolean
+ *         dryRun:
+ *           type: boolean
+ *           default: false
+ *           description: Только показать аккаунты, которые будут затронуты
+ *         reason:
+ *           type: string
+ *           maxLength: 255
+ *           description: Причина операции (сохраняется в журнале действий и истории банов)
+ *     BulkOperationResult:
+ *       type: object
+ *       properties:
+ *         action:
+ *           type: string
+ *           enum: [ban, unban, access-level, delete]
+ *         dryRun:
+ *           type: boolean
+ *         total:
+ *           type: integer
+ *         accounts:
+ *           type: array
+ *           description: Затрагиваемые аккаунты (только для dryRun)
+ *           items:
+ *             type: object
+ *             properties:
+ *               login:
+ *                 type: string
+ *               accessLevel:
+ *                 type: integer
+ *               isBanned:
+ *                 type: boolean
+ *               isPermanentBan:
+ *                 type: boolean
+ *               banExpireDate:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *                 description: Дата окончания бана (null, если бана нет или он бессрочный)
+ *         notFound:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Ненайденные логины (только для dryRun)
+ *         summary:
+ *           type: object
+ *           description: Количество аккаунтов по результатам (кроме dryRun)
+ *           properties:
+ *             applied:
+ *               type: integer
+ *             notFound:
+ *               type: integer
+ *             failed:
+ *               type: integer
+ *         results:
+ *           type: array
+ *           description: Результат по каждому аккаунту (кроме dryRun)
+ *           items:
+ *             type: object
+ *             properties:
+ *               login:
+ *                 type: string
+ *               status:
+ *                 type: string
+ *                 enum: [applied, not_found, failed]
+ *               error:
+ *                 type: string
+ *                 description: Ошибка группы, в которую входил аккаунт (для failed)
+ *               auditError:
+ *                 type: string
+ *                 description: Ошибка записи в журнал действий или историю после применения операции (для applied)
+ *               banId:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: ID записи в истории банов (для ban)
+ */
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,339 @@
+const express = require("express");
+const logger = require("../../utils/logger");
+const clientBansDb = require("../../config/db/clientBans");
+const clientBanGuard = require("../../utils/clientBanGuard");
+const { requireScope } = require("../../middlewares/scopeMiddleware");
+
+const router = express.Router();
+
+// Управление банами клиентов доступно ключам, которые могут банить аккаунты
+router.use(requireScope("accounts:ban"));
+
+const BAN_TYPES = ["hwid", "ip"];
+
+/**
+ * @swagger
+ * /api/login/client-bans:
+ *   get:
+ *     summary: Получение списка банов по HWID и IP-адресам
+ *     description: Возвращает баны клиентов базы логинов выбранного мира со счетчиками срабатываний. Требуется область доступа accounts:ban
+ *     tags:
+ *       - Client bans
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Realm'
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [hwid, ip]
+ *         description: Фильтр по типу бана
+ *       - in: query
+ *         name: activeOnly
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Только действующие баны
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Номер страницы
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Количество записей на странице
+ *     responses:
+ *       200:
+ *         description: Список банов
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 bans:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ClientBan'
+ *                 pagination:
+ *                   type: object
+ *       400:
+ *         description: Неверный формат данных
+ *       403:
+ *         description: Недостаточно прав API-ключа
+ *       500:
+ *         description: Внутренняя ошибка сервера
+ */
+router.get("/", async (req, res) => {
+    try {
+        const { type, activeOnly, page, limit } = req.query;
+
+        if (type !== undefined && !BAN_TYPES.includes(type)) {
+            return res.status(400).json({
+                error: "Неверный формат данных",
+                details: `Тип бана должен быть одним из: ${BAN_TYPES.join(", ")}`
+            });
+        }
+
+        const result = await clientBansDb.list(req.realm.loginRealm, {
+            type,
+            activeOnly: activeOnly === "true",
+            page: parseInt(page || 1, 10),
+            limit: parseInt(limit || 10, 10)
+        });
+
+        res.json(result);
+    } catch (error) {
+        logger.error("Ошибка при получении списка банов клиентов:", error);
+        res.status(500).json({
+            error: "Ошибка при получении списка банов клиентов",
+            details: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/login/client-bans:
+ *   post:
+ *     summary: Бан по HWID или IP-адресу
+ *     description: Запрещает регистрацию и вход клиентам с указанным HWID или IP-адресом из диапазона. Бан действует на все аккаунты базы логинов выбранного мира. Требуется область доступа accounts:ban
+ *     tags:
+ *       - Client bans
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Realm'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - type
+ *               - value
+ *               - reason
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [hwid, ip]
+ *               value:
+ *                 type: string
+ *                 description: HWID, IP-адрес или диапазон CIDR
+ *                 example: "203.0.113.0/24"
+ *               reason:
+ *                 type: string
+ *                 maxLength: 255
+ *                 example: "Bot farm"
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Дата окончания бана. Без даты бан бессрочный
+ *     responses:
+ *       201:
+ *         description: Бан создан
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ClientBan'
+ *       400:
+ *         description: Неверный формат данных
+ *       403:
+ *         description: Недостаточно прав API-ключа
+ *       409:
+ *         description: Такой бан уже действует
+ *       500:
+ *         description: Внутренняя ошибка сервера
+ */
+router.post("/", async (req, res) => {
+    try {
+        const { type, value, reason, expiresAt } = req.body;
+
+        if (!BAN_TYPES.includes(type)) {
+            return res.status(400).json({
+                error: "Неверный формат данных",
+                details: `Тип бана должен быть одним из: ${BAN_TYPES.join(", ")}`
+            });
+        }
+
+        const rule = clientBanGuard.normalizeRule(type, value);
+
+        if (rule.error) {
+            return res.status(400).json({
+                error: "Неверный формат данных",
+                details: rule.error
+            });
+        }
+
+        if (!reason || typeof reason !== "string" || reason.length > 255) {
+            return res.status(400).json({
+                error: "Неверный формат данных",
+                details: "Причина бана обязательна и не должна превышать 255 символов"
+            });
+        }
+
+        let expiresAtTimestamp = null;
+
+        if (expiresAt !== undefined && expiresAt !== null) {
+            expiresAtTimestamp = Math.floor(new Date(expiresAt).getTime() / 1000);
+
+            if (isNaN(expiresAtTimestamp) || expiresAtTimestamp <= Math.floor(Date.now() / 1000)) {
+                return res.status(400).json({
+                    error: "Неверный формат данных",
+                    details: "Дата окончания бана должна быть корректной датой в будущем"
+                });
+            }
+        }
+
+        const existing = await clientBansDb.findActive(req.realm.loginRealm, type, rule.value);
+
+        if (existing) {
+            return res.status(409).json({
+                error: "Такой бан уже действует",
+                details: `Бан ${existing.id} для ${type}:${rule.value}`
+            });
+        }
+
+        const ban = await clientBansDb.create({
+            loginRealm: req.realm.loginRealm,
+            type,
+            value: rule.value,
+            reason,
+            issuedBy: req.apiKey.name,
+            expiresAt: expiresAtTimestamp
+        });
+
+        res.status(201).json(ban);
+    } catch (error) {
+        logger.error("Ошибка при создании бана клиента:", error);
+        res.status(500).json({
+            error: "Ошибка при создании бана клиента",
+            details: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/login/client-bans/{id}:
+ *   delete:
+ *     summary: Снятие бана по HWID или IP-адресу
+ *     description: Снимает бан клиента. Запись бана со счетчиком срабатываний сохраняется. Требуется область доступа accounts:ban
+ *     tags:
+ *       - Client bans
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Realm'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID бана
+ *     responses:
+ *       200:
+ *         description: Бан снят
+ *       400:
+ *         description: Неверный формат ID бана
+ *       404:
+ *         description: Бан не найден
+ *       409:
+ *         description: Бан уже снят
+ *       500:
+ *         description: Внутренняя ошибка сервера
+ */
+router.delete("/:id", async (req, res) => {
+    try {
+        const banId = parseInt(req.params.id, 10);
+
+        if (isNaN(banId)) {
+            return res.status(400).json({
+                error: "Неверный формат ID бана",
+                details: "ID бана должен быть числом"
+            });
+        }
+
+        const ban = await clientBansDb.getById(banId);
+
+        // Бан другой базы логинов не виден через этот мир
+        if (!ban || ban.loginRealm !== req.realm.loginRealm) {
+            return res.status(404).json({
+                error: "Бан не найден"
+            });
+        }
+
+        const lifted = await clientBansDb.lift(banId, req.apiKey.name);
+
+        if (!lifted) {
+            return res.status(409).json({
+                error: "Бан уже снят"
+            });
+        }
+
+        res.json({
+            success: true,
+            message: "Бан снят"
+        });
+    } catch (error) {
+        logger.error("Ошибка при снятии бана клиента:", error);
+        res.status(500).json({
+            error: "Ошибка при снятии бана клиента",
+            details: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ClientBan:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         type:
+ *           type: string
+ *           enum: [hwid, ip]
+ *         value:
+ *           type: string
+ *         reason:
+ *           type: string
+ *         issuedBy:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [active, expired, lifted]
+ *         createdDate:
+ *           type: string
+ *           format: date-time
+ *         expireDate:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         hits:
+ *           type: integer
+ *           description: Сколько раз бан отклонил регистрацию или вход
+ *         lastHitDate:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         liftedDate:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         liftedBy:
+ *           type: string
+ *           nullable: true
+ *         loginRealm:
+ *           type: string
+ *           description: База логинов, на которую действует бан (только в ответе на создание бана)
+ */
+
+module.exports = router;
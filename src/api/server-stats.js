@@ -2,6 +2,7 @@ const express = require("express");
 const os = require("os");
 const v8 = require("v8");
 const logger = require("../utils/logger");
+const { requireScope } = require("../middlewares/scopeMiddleware");
 
 const router = express.Router();
 
@@ -10,7 +11,7 @@ const router = express.Router();
  * /api/server-stats:
  *   get:
  *     summary: Получение статистики сервера
- *     description: Возвращает подробную информацию о текущем состоянии сервера, включая использование памяти, CPU и системные параметры
+ *     description: Возвращает подробную информацию о текущем состоянии сервера, включая использование памяти, CPU и системные параметры. Требуется область доступа server:read
  *     tags:
  *       - Server
  *     security:
@@ -83,7 +84,7 @@ const router = express.Router();
  *       500:
  *         description: Внутренняя ошибка сервера
  */
-router.get("/", (req, res) => {
+router.get("/", requireScope("server:read"), (req, res) => {
     try {
         // Статистика использования памяти
         const memoryUsage = process.memoryUsage();
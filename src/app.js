@@ -1,32 +1,47 @@
 const express = require("express");
 const swaggerUi = require("swagger-ui-express");
-const swaggerDocs = require("./utils/swagger");
+const getSwaggerDocs = require("./utils/swagger");
 const apiRoutes = require("./api");
 const logger = require("./utils/logger");
 const morgan = require("morgan");
 const apiKeyMiddleware = require("./middlewares/apiKeyMiddleware");
+const realmMiddleware = require("./middlewares/realmMiddleware");
 
 const app = express();
 
+// Доверие к заголовку X-Forwarded-For, если API работает за прокси (например, "loopback" или число хопов)
+if (process.env.TRUST_PROXY) {
+    app.set("trust proxy", /^\d+$/.test(process.env.TRUST_PROXY) ? parseInt(process.env.TRUST_PROXY, 10) : process.env.TRUST_PROXY);
+}
+
 // Middlewares
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// HTTP логирование через Morgan
+// Имя API-ключа, от которого пришел запрос
+morgan.token("api-key", (req) => (req.apiKey ? req.apiKey.name : "-"));
+
+// HTTP логирование через Morgan (формат combined с именем API-ключа вместо remote-user)
 app.use(
-    morgan("combined", {
+    morgan(':remote-addr - :api-key [:date[clf]] ":method :url HTTP/:http-version" :status :res[content-length] ":referrer" ":user-agent"', {
         stream: {
             write: (message) => logger.info(message.trim()), // Записываем HTTP-запросы в логи
         },
     })
 );
 
-// Swagger документация
-app.use("/api-docs", swaggerUi.serve, swaggerUi.setup(swaggerDocs));
+// Swagger документация (спецификация собирается при каждом запросе, чтобы отражать подключенные игровые миры)
+app.use("/api-docs", (req, res, next) => {
+    req.swaggerDoc = getSwaggerDocs();
+    next();
+}, swaggerUi.serveFiles(), swaggerUi.setup());
 
 // Middleware для проверки API-ключа (можно закомментировать для локальной разработки)
 app.use('/api', apiKeyMiddleware);
 
+// Выбор игрового мира для роутов персонажей и аккаунтов (заголовок X-Realm)
+app.use(['/api/game', '/api/login'], realmMiddleware);
+
 // Роуты API
 app.use("/api", apiRoutes);
 
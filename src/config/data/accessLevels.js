@@ -0,0 +1,86 @@
+const fs = require("fs");
+const path = require("path");
+const logger = require("../../utils/logger");
+require("dotenv").config();
+
+// Именованные уровни доступа аккаунтов в формате [{ "name", "level", "title", "default", "requiredScope" }].
+// requiredScope - область доступа API-ключа, без которой нельзя выдать или снять этот уровень.
+// Таблица под конкретный сервер подключается через ACCESS_LEVELS_PATH
+const ACCESS_LEVELS_PATH = process.env.ACCESS_LEVELS_PATH || path.join(__dirname, "accessLevels.json");
+
+// Область доступа для уровней выше уровня игрока, которых нет в таблице (например, выданных в игре)
+const ELEVATED_SCOPE = "accounts:promote";
+
+// Уровень игрока, если таблица не загружена
+const FALLBACK_LEVELS = [{ name: "player", level: 0, title: "Игрок", default: true, requiredScope: null }];
+
+/**
+ * Загружает таблицу уровней доступа
+ * @returns {Object[]} Уровни доступа по возрастанию
+ */
+const loadAccessLevels = () => {
+    try {
+        const levels = JSON.parse(fs.readFileSync(ACCESS_LEVELS_PATH, "utf8"))
+            .map((entry) => ({
+                name: String(entry.name).toLowerCase(),
+                level: entry.level,
+                title: entry.title || entry.name,
+                default: entry.default === true,
+                requiredScope: entry.requiredScope || null
+            }))
+            .sort((a, b) => a.level - b.level);
+
+        const invalid = levels.find((entry) => !Number.isInteger(entry.level));
+
+        if (invalid) {
+            throw new Error(`уровень ${invalid.name} должен быть целым числом`);
+        }
+
+        logger.info(`Загружена таблица уровней доступа: ${levels.length} записей (${ACCESS_LEVELS_PATH})`);
+        return levels;
+    } catch (error) {
+        logger.error(`Ошибка при загрузке таблицы уровней доступа ${ACCESS_LEVELS_PATH}: ${error.message}`);
+        return FALLBACK_LEVELS;
+    }
+};
+
+/**
+ * Уровни доступа
+ */
+const accessLevels = loadAccessLevels();
+
+/**
+ * Уровень доступа новых аккаунтов
+ */
+const defaultAccessLevel = accessLevels.find((entry) => entry.default) || FALLBACK_LEVELS[0];
+
+/**
+ * Находит уровень доступа в таблице по названию или числовому значению
+ * @param {string|number} value - Название (например, "gm") или значение accessLevel
+ * @returns {Object|null} Уровень доступа или null, если его нет в таблице
+ */
+const findAccessLevel = (value) => {
+    if (typeof value === "string") {
+        return accessLevels.find((entry) => entry.name === value.trim().toLowerCase()) || null;
+    }
+    return accessLevels.find((entry) => entry.level === value) || null;
+};
+
+/**
+ * Возвращает область доступа, необходимую для выдачи или снятия уровня
+ * @param {number} level - Значение accessLevel
+ * @returns {string|null} Область доступа или null, если достаточно базовой области
+ */
+const getRequiredScope = (level) => {
+    const entry = findAccessLevel(level);
+
+    if (entry) return entry.requiredScope;
+    return level > defaultAccessLevel.level ? ELEVATED_SCOPE : null;
+};
+
+module.exports = {
+    accessLevels,
+    defaultAccessLevel,
+    findAccessLevel,
+    getRequiredScope
+};
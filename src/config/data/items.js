@@ -0,0 +1,40 @@
+const fs = require("fs");
+const path = require("path");
+const logger = require("../../utils/logger");
+require("dotenv").config();
+
+// Каталог названий предметов в формате { "<item_id>": "<название>" }.
+// Полный каталог выгружается из клиента или датапака сервера и подключается через ITEM_CATALOG_PATH
+const ITEM_CATALOG_PATH = process.env.ITEM_CATALOG_PATH || path.join(__dirname, "items.json");
+
+/**
+ * Загружает каталог названий предметов
+ * @returns {Object} Названия предметов по item_id
+ */
+const loadItemNames = () => {
+    try {
+        const itemNames = JSON.parse(fs.readFileSync(ITEM_CATALOG_PATH, "utf8"));
+        logger.info(`Загружен каталог предметов: ${Object.keys(itemNames).length} записей (${ITEM_CATALOG_PATH})`);
+        return itemNames;
+    } catch (error) {
+        logger.error(`Ошибка при загрузке каталога предметов ${ITEM_CATALOG_PATH}: ${error.message}`);
+        return {};
+    }
+};
+
+/**
+ * Названия предметов по item_id
+ */
+const itemNames = loadItemNames();
+
+/**
+ * Возвращает название предмета по его ID
+ * @param {number} itemId - ID предмета
+ * @returns {string} Название предмета или "Item <id>" для предметов, отсутствующих в каталоге
+ */
+const getItemName = (itemId) => itemNames[itemId] || `Item ${itemId}`;
+
+module.exports = {
+    itemNames,
+    getItemName
+};
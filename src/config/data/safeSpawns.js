@@ -0,0 +1,44 @@
+const fs = require("fs");
+const path = require("path");
+const logger = require("../../utils/logger");
+require("dotenv").config();
+
+// Безопасные точки появления (города) в формате [{ "name", "x", "y", "z" }].
+// Список под конкретный сервер подключается через SAFE_SPAWNS_PATH
+const SAFE_SPAWNS_PATH = process.env.SAFE_SPAWNS_PATH || path.join(__dirname, "safeSpawns.json");
+
+/**
+ * Загружает список безопасных точек появления
+ * @returns {Object[]} Точки появления
+ */
+const loadSafeSpawns = () => {
+    try {
+        const spawns = JSON.parse(fs.readFileSync(SAFE_SPAWNS_PATH, "utf8"));
+        logger.info(`Загружен список безопасных точек появления: ${spawns.length} записей (${SAFE_SPAWNS_PATH})`);
+        return spawns;
+    } catch (error) {
+        logger.error(`Ошибка при загрузке списка безопасных точек появления ${SAFE_SPAWNS_PATH}: ${error.message}`);
+        return [];
+    }
+};
+
+/**
+ * Безопасные точки появления
+ */
+const safeSpawns = loadSafeSpawns();
+
+/**
+ * Находит ближайшую к координатам безопасную точку появления.
+ * Расстояние считается по плоскости XY: высота не влияет на выбор города
+ * @param {Object} location - Координаты ({ x, y })
+ * @returns {Object|null} Точка появления с расстоянием до нее или null, если список пуст
+ */
+const findNearestSafeSpawn = ({ x, y }) => safeSpawns.reduce((nearest, spawn) => {
+    const distance = Math.round(Math.hypot(spawn.x - x, spawn.y - y));
+    return !nearest || distance < nearest.distance ? { ...spawn, distance } : nearest;
+}, null);
+
+module.exports = {
+    safeSpawns,
+    findNearestSafeSpawn
+};
@@ -90,18 +90,21 @@ const databases = {
     )
 };
 
-// Функция для добавления новой базы данных динамически
-databases.addDatabase = (dbName, prefix) => {
+// Функция для добавления новой базы данных динамически.
+// Настройки подключения берутся из переменных окружения с указанным префиксом
+// или передаются объектом ({ host, port, user, password, name })
+databases.addDatabase = (dbName, prefixOrConfig) => {
     if (databases[dbName]) {
         logger.warn(`База данных с именем ${dbName} уже существует`);
         return databases[dbName];
     }
 
     try {
-        const newDatabase = createDatabaseConnection(
-            createDbConfigFromEnv(prefix),
-            dbName
-        );
+        const dbConfig = typeof prefixOrConfig === 'string'
+            ? createDbConfigFromEnv(prefixOrConfig)
+            : prefixOrConfig;
+
+        const newDatabase = createDatabaseConnection(dbConfig, dbName);
 
         databases[dbName] = newDatabase;
         return newDatabase;
@@ -111,4 +114,44 @@ databases.addDatabase = (dbName, prefix) => {
     }
 };
 
+// Функция для закрытия и удаления динамически добавленной базы данных
+databases.removeDatabase = async (dbName) => {
+    const database = databases[dbName];
+
+    if (!database) {
+        return false;
+    }
+
+    delete databases[dbName];
+
+    try {
+        await database.close();
+        logger.info(`[${dbName} DB] Подключение закрыто`);
+    } catch (error) {
+        logger.error(`[${dbName} DB] Ошибка при закрытии подключения: ${error.message}`);
+    }
+
+    return true;
+};
+
+// Функция для проверки подключения по настройкам без регистрации базы данных
+databases.testConnection = async (dbConfig) => {
+    const sequelizeInstance = new Sequelize({
+        host: dbConfig.host,
+        port: dbConfig.port,
+        username: dbConfig.user,
+        password: dbConfig.password,
+        database: dbConfig.name,
+        dialect: 'mysql',
+        logging: false,
+        pool: { max: 1, min: 0, acquire: 10000, idle: 1000 }
+    });
+
+    try {
+        await sequelizeInstance.authenticate();
+    } finally {
+        await sequelizeInstance.close();
+    }
+};
+
 module.exports = databases;
\ No newline at end of file
@@ -0,0 +1,115 @@
+const databases = require("../databases");
+const logger = require("../../utils/logger");
+const { QueryTypes } = require("sequelize");
+const { findAccessLevel } = require("../data/accessLevels");
+
+// История изменений уровня доступа хранится в мастер базе данных API
+const masterDb = databases.master;
+
+/**
+ * Преобразует строку таблицы access_level_changes в объект для ответа
+ * @param {Object} row - Строка таблицы
+ * @returns {Object} Данные изменения уровня доступа с названиями уровней из таблицы уровней
+ */
+const mapChangeRow = (row) => {
+    const oldEntry = findAccessLevel(row.old_level);
+    const newEntry = findAccessLevel(row.new_level);
+
+    return {
+        id: row.id,
+        oldLevel: row.old_level,
+        oldLevelName: oldEntry ? oldEntry.name : null,
+        newLevel: row.new_level,
+        newLevelName: newEntry ? newEntry.name : null,
+        reason: row.reason,
+        changedBy: row.changed_by,
+        createdDate: new Date(row.created_at * 1000).toISOString()
+    };
+};
+
+/**
+ * Модуль для работы с таблицей access_level_changes
+ */
+const accessLevelChangesDb = {
+    /**
+     * Записывает изменение уровня доступа аккаунта в историю
+     * @param {Object} change - Данные изменения
+     * @param {string} change.loginRealm - База логинов
+     * @param {string} change.login - Логин
+     * @param {number} change.oldLevel - Прежний уровень доступа
+     * @param {number} change.newLevel - Новый уровень доступа
+     * @param {string} change.reason - Причина изменения
+     * @param {string} change.changedBy - Кто изменил уровень (имя API-ключа)
+     * @returns {Promise<number>} ID записи
+     */
+    async record({ loginRealm, login, oldLevel, newLevel, reason, changedBy }) {
+        try {
+            const now = Math.floor(Date.now() / 1000);
+
+            const [changeId] = await masterDb.query(
+                `INSERT INTO access_level_changes (login_realm, login, old_level, new_level, reason, changed_by, created_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                {
+                    replacements: [loginRealm, login, oldLevel, newLevel, reason, changedBy, now],
+                    type: QueryTypes.INSERT
+                }
+            );
+
+            return changeId;
+        } catch (error) {
+            logger.error(`Ошибка при записи изменения уровня доступа аккаунта ${login}: ${error.message}`);
+            throw error;
+        }
+    },
+
+    /**
+     * Получает историю изменений уровня доступа аккаунта с пагинацией
+     * @param {string} loginRealm - База логинов
+     * @param {string} login - Логин
+     * @param {Object} options - Параметры запроса
+     * @param {number} options.page - Номер страницы
+     * @param {number} options.limit - Количество записей на странице
+     * @returns {Promise<Object>} Изменения (новые первыми) и метаданные пагинации
+     */
+    async listByLogin(loginRealm, login, { page = 1, limit = 10 } = {}) {
+        try {
+            const offset = (page - 1) * limit;
+
+            const [countResult] = await masterDb.query(
+                "SELECT COUNT(*) as total FROM access_level_changes WHERE login_realm = ? AND login = ?",
+                {
+                    replacements: [loginRealm, login],
+                    type: QueryTypes.SELECT
+                }
+            );
+
+            const rows = await masterDb.query(
+                `SELECT * FROM access_level_changes
+                 WHERE login_realm = ? AND login = ?
+                 ORDER BY created_at DESC, id DESC
+                 LIMIT ? OFFSET ?`,
+                {
+                    replacements: [loginRealm, login, limit, offset],
+                    type: QueryTypes.SELECT
+                }
+            );
+
+            const total = parseInt(countResult.total, 10);
+
+            return {
+                changes: rows.map(mapChangeRow),
+                pagination: {
+                    total,
+                    page: parseInt(page, 10),
+                    limit: parseInt(limit, 10),
+                    totalPages: Math.ceil(total / limit)
+                }
+            };
+        } catch (error) {
+            logger.error(`Ошибка при получении истории уровней доступа аккаунта ${login}: ${error.message}`);
+            throw error;
+        }
+    }
+};
+
+module.exports = accessLevelChangesDb;
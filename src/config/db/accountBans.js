@@ -0,0 +1,259 @@
+const databases = require("../databases");
+const logger = require("../../utils/logger");
+const { QueryTypes } = require("sequelize");
+const { isPermanentBan } = require("../../utils/banUtils");
+
+// История банов хранится в мастер базе данных API
+const masterDb = databases.master;
+
+// Причина снятия бана, который заменен новым баном
+const REPLACED_REASON = "Заменен новым баном";
+
+// Кто и с какой причиной закрывает баны, срок которых истек (задача banExpiryJob)
+const SYSTEM_ACTOR = "system";
+const EXPIRED_REASON = "Срок бана истек";
+
+/**
+ * Определяет состояние бана
+ * @param {Object} row - Строка таблицы account_bans
+ * @param {number} now - Текущее время (Unix)
+ * @returns {string} active, expired или lifted
+ */
+const getBanStatus = (row, now) => {
+    if (row.unbanned_at) return row.unbanned_by === SYSTEM_ACTOR ? "expired" : "lifted";
+    return row.expires_at > now ? "active" : "expired";
+};
+
+/**
+ * Преобразует строку таблицы account_bans в объект для ответа
+ * @param {Object} row - Строка таблицы
+ * @returns {Object} Данные бана
+ */
+const mapBanRow = (row) => {
+    const now = Math.floor(Date.now() / 1000);
+    const permanent = isPermanentBan(row.expires_at);
+
+    return {
+        id: row.id,
+        reason: row.reason,
+        issuedBy: row.issued_by,
+        status: getBanStatus(row, now),
+        bannedDate: new Date(row.banned_at * 1000).toISOString(),
+        permanent,
+        expireDate: permanent ? null : new Date(row.expires_at * 1000).toISOString(),
+        unbannedDate: row.unbanned_at ? new Date(row.unbanned_at * 1000).toISOString() : null,
+        unbannedBy: row.unbanned_by,
+        unbanReason: row.unban_reason
+    };
+};
+
+/**
+ * Модуль для работы с таблицей account_bans
+ */
+const accountBansDb = {
+    /**
+     * Записывает бан аккаунта. Действующие баны аккаунта закрываются как замененные
+     * @param {Object} ban - Данные бана
+     * @param {string} ban.loginRealm - База логинов
+     * @param {string} ban.login - Логин
+     * @param {string|null} ban.reason - Причина бана
+     * @param {string} ban.issuedBy - Кто выдал бан (имя API-ключа)
+     * @param {number} ban.expiresAt - Окончание бана (Unix)
+     * @returns {Promise<number>} ID записи
+     */
+    async create({ loginRealm, login, reason = null, issuedBy, expiresAt }) {
+        try {
+            const now = Math.floor(Date.now() / 1000);
+
+            await this.closeActive({ loginRealm, login, unbannedBy: issuedBy, reason: REPLACED_REASON });
+
+            const [banId] = await masterDb.query(
+                `INSERT INTO account_bans (login_realm, login, reason, issued_by, banned_at, expires_at)
+                 VALUES (?, ?, ?, ?, ?, ?)`,
+                {
+                    replacements: [loginRealm, login, reason, issuedBy, now, expiresAt],
+                    type: QueryTypes.INSERT
+                }
+            );
+
+            return banId;
+        } catch (error) {
+            logger.error(`Ошибка при записи бана аккаунта ${login}: ${error.message}`);
+            throw error;
+        }
+    },
+
+    /**
+     * Отмечает действующие баны аккаунта снятыми
+     * @param {Object} unban - Данные снятия бана
+     * @param {string} unban.loginRealm - База логинов
+     * @param {string} unban.login - Логин
+     * @param {string} unban.unbannedBy - Кто снял бан (имя API-ключа)
+     * @param {string|null} unban.reason - Причина снятия бана
+     * @returns {Promise<number>} Количество закрытых записей
+     */
+    async closeActive({ loginRealm, login, unbannedBy, reason = null }) {
+        try {
+            const now = Math.floor(Date.now() / 1000);
+
+            const [, affectedRows] = await masterDb.query(
+                `UPDATE account_bans
+                 SET unbanned_at = ?, unbanned_by = ?, unban_reason = ?
+                 WHERE login_realm = ? AND login = ? AND unbanned_at IS NULL AND expires_at > ?`,
+                {
+                    replacements: [now, unbannedBy, reason, loginRealm, login, now],
+                    type: QueryTypes.UPDATE
+                }
+            );
+
+            return affectedRows;
+        } catch (error) {
+            logger.error(`Ошибка при записи снятия бана аккаунта ${login}: ${error.message}`);
+            throw error;
+        }
+    },
+
+    /**
+     * Закрывает баны, срок которых истек, от имени системы.
+     * Каждая запись закрывается отдельным запросом, поэтому при нескольких экземплярах API
+     * бан попадает в результат только у того экземпляра, который его закрыл
+     * @param {Object} options - Параметры
+     * @param {number} options.limit - Максимальное количество банов за один вызов
+     * @returns {Promise<Object[]>} Закрытые баны ({ id, loginRealm, login, reason, expiresAt })
+     */
+    async closeExpired({ limit = 500 } = {}) {
+        try {
+            const now = Math.floor(Date.now() / 1000);
+
+            const rows = await masterDb.query(
+                `SELECT id, login_realm, login, reason, expires_at FROM account_bans
+                 WHERE unbanned_at IS NULL AND expires_at <= ?
+                 ORDER BY expires_at, id
+                 LIMIT ?`,
+                {
+                    replacements: [now, limit],
+                    type: QueryTypes.SELECT
+                }
+            );
+
+            const closed = [];
+
+            for (const row of rows) {
+                const [, affectedRows] = await masterDb.query(
+                    `UPDATE account_bans
+                     SET unbanned_at = expires_at, unbanned_by = ?, unban_reason = ?
+                     WHERE id = ? AND unbanned_at IS NULL`,
+                    {
+                        replacements: [SYSTEM_ACTOR, EXPIRED_REASON, row.id],
+                        type: QueryTypes.UPDATE
+                    }
+                );
+
+                if (affectedRows > 0) {
+                    closed.push({
+                        id: row.id,
+                        loginRealm: row.login_realm,
+                        login: row.login,
+                        reason: row.reason,
+                        expiresAt: row.expires_at
+                    });
+                }
+            }
+
+            return closed;
+        } catch (error) {
+            logger.error(`Ошибка при закрытии истекших банов: ${error.message}`);
+            throw error;
+        }
+    },
+
+    /**
+     * Получает историю банов аккаунта с пагинацией
+     * @param {string} loginRealm - База логинов
+     * @param {string} login - Логин
+     * @param {Object} options - Параметры запроса
+     * @param {number} options.page - Номер страницы
+     * @param {number} options.limit - Количество записей на странице
+     * @returns {Promise<Object>} Баны (новые первыми) и метаданные пагинации
+     */
+    async listByLogin(loginRealm, login, { page = 1, limit = 10 } = {}) {
+        try {
+            const offset = (page - 1) * limit;
+
+            const [countResult] = await masterDb.query(
+                "SELECT COUNT(*) as total FROM account_bans WHERE login_realm = ? AND login = ?",
+                {
+                    replacements: [loginRealm, login],
+                    type: QueryTypes.SELECT
+                }
+            );
+
+            const rows = await masterDb.query(
+                `SELECT * FROM account_bans
+                 WHERE login_realm = ? AND login = ?
+                 ORDER BY banned_at DESC, id DESC
+                 LIMIT ? OFFSET ?`,
+                {
+                    replacements: [loginRealm, login, limit, offset],
+                    type: QueryTypes.SELECT
+                }
+            );
+
+            const total = parseInt(countResult.total, 10);
+
+            return {
+                bans: rows.map(mapBanRow),
+                pagination: {
+                    total,
+                    page: parseInt(page, 10),
+                    limit: parseInt(limit, 10),
+                    totalPages: Math.ceil(total / limit)
+                }
+            };
+        } catch (error) {
+            logger.error(`Ошибка при получении истории банов аккаунта ${login}: ${error.message}`);
+            throw error;
+        }
+    },
+
+    /**
+     * Получает действующие баны аккаунтов
+     * @param {string} loginRealm - База логинов
+     * @param {string[]} logins - Логины
+     * @returns {Promise<Map<string, Object>>} Последний действующий бан по логину
+     */
+    async getActiveByLogins(loginRealm, logins) {
+        try {
+            const activeBans = new Map();
+
+            if (logins.length === 0) {
+                return activeBans;
+            }
+
+            const now = Math.floor(Date.now() / 1000);
+
+            const rows = await masterDb.query(
+                `SELECT * FROM account_bans
+                 WHERE login_realm = ? AND login IN (?) AND unbanned_at IS NULL AND expires_at > ?
+                 ORDER BY banned_at DESC, id DESC`,
+                {
+                    replacements: [loginRealm, logins, now],
+                    type: QueryTypes.SELECT
+                }
+            );
+
+            rows.forEach((row) => {
+                if (!activeBans.has(row.login)) {
+                    activeBans.set(row.login, mapBanRow(row));
+                }
+            });
+
+            return activeBans;
+        } catch (error) {
+            logger.error(`Ошибка при получении действующих банов аккаунтов: ${error.message}`);
+            throw error;
+        }
+    }
+};
+
+module.exports = accountBansDb;
@@ -1,9 +1,8 @@
-const databases = require("../databases");
+const { forRealm } = require("../realmModules");
 const logger = require("../../utils/logger");
 const { QueryTypes, Op } = require("sequelize");
-
-// Получаем подключение к базе данных логинов
-const loginDb = databases.login;
+const { defaultAccessLevel } = require("../data/accessLevels");
+const { describeBan } = require("../../utils/banUtils");
 
 /**
  * Преобразует значение временной метки в формат для фильтрации
@@ -90,10 +89,82 @@ const buildWhereClause = (filters) => {
     };
 };
 
+// Источники наблюдений IP-адресов и HWID: история входов (account_log)
+// и данные последнего входа (accounts.lastIP, accounts.lastHWID)
+const OBSERVATION_SOURCES = [
+    { kind: "ip", table: "account_log", column: "ip", time: "time" },
+    { kind: "ip", table: "accounts", column: "lastIP", time: "lastactive" },
+    { kind: "hwid", table: "account_log", column: "hwid", time: "time" },
+    { kind: "hwid", table: "accounts", column: "lastHWID", time: "lastactive" }
+];
+
+/**
+ * Строит подзапрос наблюдений IP-адресов и HWID аккаунтов.
+ * Пустые значения не учитываются: по ним аккаунты не связаны
+ * @param {string} kinds - Какие наблюдения включать ("ip", "hwid" или "all")
+ * @param {Object} filter - Ограничение выборки, чтобы не просматривать всю историю входов
+ * @param {string} filter.login - Только наблюдения указанного аккаунта
+ * @param {Object} filter.values - Только указанные значения ({ ip: [...], hwid: [...] })
+ * @returns {Object} { sql, params } - SQL подзапрос со столбцами login, kind, value, time и его параметры
+ */
+const buildObservationsQuery = (kinds, { login, values } = {}) => {
+    const parts = [];
+    const params = [];
+
+    OBSERVATION_SOURCES
+        .filter((source) => kinds === "all" || kinds === source.kind)
+        .forEach((source) => {
+            let condition = `${source.column} IS NOT NULL AND ${source.column} <> ''`;
+            const sourceParams = [];
+
+            if (login !== undefined) {
+                condition += " AND login = ?";
+                sourceParams.push(login);
+            }
+
+            if (values) {
+                if (!values[source.kind] || values[source.kind].length === 0) return;
+                condition += ` AND ${source.column} IN (?)`;
+                sourceParams.push(values[source.kind]);
+            }
+
+            parts.push(`SELECT login, '${source.kind}' AS kind, ${source.column} AS value, ${source.time} AS time FROM ${source.table} WHERE ${condition}`);
+            params.push(...sourceParams);
+        });
+
+    return { sql: parts.join(" UNION ALL "), params };
+};
+
+/**
+ * Преобразует временную метку в ISO-строку
+ * @param {number} time - Временная метка Unix
+ * @returns {string|null} Дата или null для пустой метки
+ */
+const toDate = (time) => (time ? new Date(time * 1000).toISOString() : null);
+
+// Запросы массовых операций: каждый выполняется для всей группы логинов (последний параметр - массив логинов)
+const BULK_STATEMENTS = {
+    ban: [
+        { sql: "UPDATE accounts SET ban_expire = ? WHERE login IN (?)", values: ({ banExpire }) => [banExpire] }
+    ],
+    unban: [
+        { sql: "UPDATE accounts SET ban_expire = 0 WHERE login IN (?)", values: () => [] }
+    ],
+    "access-level": [
+        { sql: "UPDATE accounts SET accessLevel = ? WHERE login IN (?)", values: ({ accessLevel }) => [accessLevel] }
+    ],
+    delete: [
+        { sql: "DELETE FROM account_log WHERE login IN (?)", values: () => [] },
+        { sql: "DELETE FROM accounts WHERE login IN (?)", values: () => [] }
+    ]
+};
+
 /**
  * Модуль для работы с таблицей accounts
+ * @param {Sequelize} loginDb - Подключение к базе данных логинов игрового мира
+ * @returns {Object} Модуль, работающий с указанным подключением
  */
-const accountsDb = {
+const createAccountsDb = (loginDb) => ({
     /**
      * Проверяет существование аккаунта с указанным логином
      * @param {string} login - Логин для проверки
@@ -140,15 +211,15 @@ const accountsDb = {
 
             logger.info(`Создан новый аккаунт: ${login}`);
 
-            // Дополнительно устанавливаем accessLevel = 0 (и другие поля при необходимости)
+            // Дополнительно устанавливаем уровень доступа по умолчанию (и другие поля при необходимости)
             await this.update(login, {
                 password: passwordHash,  // Передаем тот же пароль для обновления
-                accessLevel: 0,
+                accessLevel: defaultAccessLevel.level,
                 lastactive: null,        // Явно указываем null для lastactive
                 email: email             // Добавляем email, если он был предоставлен
             });
 
-            logger.info(`Установлен accessLevel = 0 для аккаунта: ${login}`);
+            logger.info(`Установлен accessLevel = ${defaultAccessLevel.level} для аккаунта: ${login}`);
         } catch (error) {
             logger.error(`Ошибка при создании аккаунта: ${error.message}`);
             throw error;
@@ -248,6 +319,54 @@ const accountsDb = {
         }
     },
 
+    /**
+     * Загружает данные аккаунта, необходимые для авторизации
+     * @param {string} login - Логин
+     * @returns {Promise<Object|null>} Логин, хеш пароля, уровень доступа, дата окончания бана и HWID последнего входа или null
+     */
+    async getCredentials(login) {
+        try {
+            logger.debug(`Загрузка учетных данных аккаунта: ${login}`);
+
+            const [credentials] = await loginDb.query(
+                "SELECT login, password, accessLevel, ban_expire, lastHWID FROM accounts WHERE login = ?",
+                {
+                    replacements: [login],
+                    type: QueryTypes.SELECT
+                }
+            );
+
+            return credentials || null;
+        } catch (error) {
+            logger.error(`Ошибка при загрузке учетных данных аккаунта: ${error.message}`);
+            throw error;
+        }
+    },
+
+    /**
+     * Загружает сводные данные аккаунта: уровень доступа, бан и данные последнего входа
+     * @param {string} login - Логин
+     * @returns {Promise<Object|null>} Данные аккаунта или null, если аккаунт не найден
+     */
+    async getSummary(login) {
+        try {
+            const [account] = await loginDb.query(
+                `SELECT login, accessLevel, ban_expire, lastactive, lastIP, lastHWID, lastServerId, l2email
+                 FROM accounts
+                 WHERE login = ?`,
+                {
+                    replacements: [login],
+                    type: QueryTypes.SELECT
+                }
+            );
+
+            return account || null;
+        } catch (error) {
+            logger.error(`Ошибка при загрузке сводных данных аккаунта ${login}: ${error.message}`);
+            throw error;
+        }
+    },
+
     /**
      * Получает список аккаунтов с пагинацией и фильтрацией
      * @param {Object} options - Параметры запроса
@@ -326,10 +445,8 @@ const accountsDb = {
                     ...account,
                     // Преобразуем timestamp в удобный формат даты
                     lastactiveDate: account.lastactive ? new Date(account.lastactive * 1000).toISOString() : null,
-                    // Добавляем поле, показывающее, забанен ли аккаунт
-                    isBanned: account.ban_expire > now,
-                    // Если аккаунт забанен, добавляем дату истечения бана
-                    banExpireDate: account.ban_expire > now ? new Date(account.ban_expire * 1000).toISOString() : null
+                    // Добавляем состояние бана: забанен ли аккаунт, бессрочно ли, и дату истечения бана
+                    ...describeBan(account.ban_expire, now)
                 };
             });
 
@@ -351,6 +468,248 @@ const accountsDb = {
         }
     },
 
+    /**
+     * Получает количество аккаунтов, сгруппированное по префиксу и длине хеша пароля
+     * @returns {Promise<Object[]>} Список { prefix, length, count } - prefix = null для хешей без префикса
+     */
+    async getPasswordFormatStats() {
+        try {
+            const rows = await loginDb.query(
+                `SELECT
+                    IF(password LIKE '$%', SUBSTRING_INDEX(SUBSTRING_INDEX(password, '$', 2), '$', -1), NULL) as prefix,
+                    CHAR_LENGTH(password) as length,
+                    COUNT(*) as count
+                 FROM accounts
+                 GROUP BY prefix, length`,
+                {
+                    type: QueryTypes.SELECT
+                }
+            );
+
+            return rows.map(row => ({
+                prefix: row.prefix,
+                length: parseInt(row.length, 10),
+                count: parseInt(row.count, 10)
+            }));
+        } catch (error) {
+            logger.error(`Ошибка при получении статистики хешей паролей: ${error.message}`);
+            throw error;
+        }
+    },
+
+    /**
+     * Выбирает из указанных логинов аккаунты, которые не участвуют в рейтингах:
+     * заблокированные (действующий бан или отрицательный accessLevel) и служебные (accessLevel > 0 - GM, модераторы, администраторы)
+     * @param {string[]} logins - Проверяемые логины
+     * @returns {Promise<string[]>} Логины исключаемых аккаунтов
+     */
+    async getRankingExcludedLogins(logins) {
+        try {
+            if (logins.length === 0) {
+                return [];
+            }
+
+            const now = Math.floor(Date.now() / 1000);
+
+            const rows = await loginDb.query(
+                "SELECT login FROM accounts WHERE login IN (?) AND (ban_expire > ? OR accessLevel <> 0)",
+                {
+                    replacements: [logins, now],
+                    type: QueryTypes.SELECT
+                }
+            );
+
+            return rows.map(row => row.login);
+        } catch (error) {
+            logger.error(`Ошибка при получении аккаунтов, исключаемых из рейтингов: ${error.message}`);
+            throw error;
+        }
+    },
+
+    /**
+     * Находит аккаунты, которые когда-либо входили с тех же IP-адресов или HWID, что и указанный аккаунт
+     * @param {string} login - Логин
+     * @param {Object} options - Параметры
+     * @param {string} options.by - По каким данным искать связи ("ip", "hwid" или "all")
+     * @returns {Promise<Object[]>} Связанные аккаунты с общими значениями, количеством входов и периодами
+     */
+    async getLinkedAccounts(login, { by = "all" } = {}) {
+        try {
+            // Сначала загружаются IP-адреса и HWID самого аккаунта и период их использования
+            const ownObservations = buildObservationsQuery(by, { login });
+            const ownRows = await loginDb.query(
+                `SELECT kind, value, MIN(time) AS first_seen, MAX(time) AS last_seen
+                 FROM (${ownObservations.sql}) t
+                 GROUP BY kind, value`,
+                {
+                    replacements: ownObservations.params,
+                    type: QueryTypes.SELECT
+                }
+            );
+
+            if (ownRows.length === 0) {
+                return [];
+            }
+
+            // Значения сравниваются в базе без учета регистра, поэтому и ключи приводятся к нижнему регистру
+            const own = new Map(ownRows.map((row) => [`${row.kind}:${row.value.toLowerCase()}`, row]));
+            const values = {
+                ip: ownRows.filter((row) => row.kind === "ip").map((row) => row.value),
+                hwid: ownRows.filter((row) => row.kind === "hwid").map((row) => row.value)
+            };
+
+            // Затем входы других аккаунтов только с этими значениями
+            const observations = buildObservationsQuery(by, { values });
+            const rows = await loginDb.query(
+                `SELECT o.login, o.kind, o.value,
+                        COUNT(*) AS entries, MIN(o.time) AS first_seen, MAX(o.time) AS last_seen
+                 FROM (${observations.sql}) o
+                 WHERE o.login <> ?
+                 GROUP BY o.login, o.kind, o.value
+                 ORDER BY o.login, o.kind, o.value`,
+                {
+                    replacements: [...observations.params, login],
+                    type: QueryTypes.SELECT
+                }
+            );
+
+            const linked = new Map();
+
+            rows.forEach((row) => {
+                if (!linked.has(row.login)) {
+                    linked.set(row.login, {
+                        login: row.login,
+                        sharedIps: [],
+                        sharedHwids: [],
+                        overlapCount: 0,
+                        firstSeen: row.first_seen,
+                        lastSeen: row.last_seen
+                    });
+                }
+
+                const account = linked.get(row.login);
+                const entries = parseInt(row.entries, 10);
+                const ownRow = own.get(`${row.kind}:${row.value.toLowerCase()}`);
+
+                (row.kind === "ip" ? account.sharedIps : account.sharedHwids).push({
+                    value: row.value,
+                    entries,
+                    firstSeenDate: toDate(row.first_seen),
+                    lastSeenDate: toDate(row.last_seen),
+                    accountFirstSeenDate: ownRow ? toDate(ownRow.first_seen) : null,
+                    accountLastSeenDate: ownRow ? toDate(ownRow.last_seen) : null
+                });
+
+                account.overlapCount += entries;
+                account.firstSeen = Math.min(account.firstSeen, row.first_seen);
+                account.lastSeen = Math.max(account.lastSeen, row.last_seen);
+            });
+
+            // Сначала аккаунты с общим HWID, затем с наибольшим количеством общих входов
+            return Array.from(linked.values())
+                .map(({ firstSeen, lastSeen, ...account }) => ({
+                    ...account,
+                    firstSeenDate: toDate(firstSeen),
+                    lastSeenDate: toDate(lastSeen)
+                }))
+                .sort((a, b) =>
+                    b.sharedHwids.length - a.sharedHwids.length ||
+                    b.overlapCount - a.overlapCount ||
+                    a.login.localeCompare(b.login)
+                );
+        } catch (error) {
+            logger.error(`Ошибка при поиске связанных аккаунтов ${login}: ${error.message}`);
+            throw error;
+        }
+    },
+
+    /**
+     * Получает HWID, с которых входили больше указанного количества аккаунтов
+     * @param {Object} options - Параметры запроса
+     * @param {number} options.threshold - HWID попадает в отчет, если аккаунтов больше этого числа
+     * @param {number} options.page - Номер страницы
+     * @param {number} options.limit - Количество записей на странице
+     * @returns {Promise<Object>} HWID с аккаунтами и метаданные пагинации
+     */
+    async getSharedHwids({ threshold = 1, page = 1, limit = 10 } = {}) {
+        try {
+            const offset = (page - 1) * limit;
+            const observations = buildObservationsQuery("hwid").sql;
+
+            const [countResult] = await loginDb.query(
+                `SELECT COUNT(*) as total
+                 FROM (
+                     SELECT o.value
+                     FROM (${observations}) o
+                     GROUP BY o.value
+                     HAVING COUNT(DISTINCT o.login) > ?
+                 ) shared`,
+                {
+                    replacements: [threshold],
+                    type: QueryTypes.SELECT
+                }
+            );
+
+            const rows = await loginDb.query(
+                `SELECT o.value AS hwid,
+                        COUNT(DISTINCT o.login) AS account_count,
+                        MIN(o.time) AS first_seen, MAX(o.time) AS last_seen
+                 FROM (${observations}) o
+                 GROUP BY o.value
+                 HAVING account_count > ?
+                 ORDER BY account_count DESC, last_seen DESC
+                 LIMIT ? OFFSET ?`,
+                {
+                    replacements: [threshold, limit, offset],
+                    type: QueryTypes.SELECT
+                }
+            );
+
+            // Логины загружаются отдельным запросом: GROUP_CONCAT обрезается по group_concat_max_len
+            const loginsByHwid = new Map(rows.map((row) => [row.hwid.toLowerCase(), []]));
+
+            if (rows.length > 0) {
+                const pageObservations = buildObservationsQuery("hwid", { values: { hwid: rows.map((row) => row.hwid) } });
+                const loginRows = await loginDb.query(
+                    `SELECT DISTINCT o.value, o.login
+                     FROM (${pageObservations.sql}) o
+                     ORDER BY o.login`,
+                    {
+                        replacements: pageObservations.params,
+                        type: QueryTypes.SELECT
+                    }
+                );
+
+                loginRows.forEach((row) => {
+                    const logins = loginsByHwid.get(row.value.toLowerCase());
+                    if (logins && !logins.includes(row.login)) logins.push(row.login);
+                });
+            }
+
+            const total = parseInt(countResult.total, 10);
+
+            return {
+                threshold,
+                hwids: rows.map((row) => ({
+                    hwid: row.hwid,
+                    accountCount: parseInt(row.account_count, 10),
+                    logins: loginsByHwid.get(row.hwid.toLowerCase()),
+                    firstSeenDate: toDate(row.first_seen),
+                    lastSeenDate: toDate(row.last_seen)
+                })),
+                pagination: {
+                    total,
+                    page: parseInt(page, 10),
+                    limit: parseInt(limit, 10),
+                    totalPages: Math.ceil(total / limit)
+                }
+            };
+        } catch (error) {
+            logger.error(`Ошибка при получении отчета об общих HWID: ${error.message}`);
+            throw error;
+        }
+    },
+
     /**
      * Получает историю входов для аккаунта
      * @param {string} login - Логин аккаунта
@@ -424,7 +783,136 @@ const accountsDb = {
             logger.error(`Ошибка при получении истории входов аккаунта ${login}: ${error.message}`);
             throw error;
         }
+    },
+
+    /**
+     * Устанавливает уровень доступа аккаунта, если он не изменился с момента проверки
+     * @param {string} login - Логин
+     * @param {number} accessLevel - Новый уровень доступа
+     * @param {number} expectedLevel - Текущий уровень доступа, проверенный вызывающим кодом
+     * @returns {Promise<boolean>} true, если уровень изменен; false, если аккаунта нет или его уровень уже другой
+     */
+    async setAccessLevel(login, accessLevel, expectedLevel) {
+        try {
+            const [, affectedRows] = await loginDb.query(
+                "UPDATE accounts SET accessLevel = ? WHERE login = ? AND accessLevel = ?",
+                {
+                    replacements: [accessLevel, login, expectedLevel],
+                    type: QueryTypes.UPDATE
+                }
+            );
+
+            return affectedRows > 0;
+        } catch (error) {
+            logger.error(`Ошибка при изменении уровня доступа аккаунта ${login}: ${error.message}`);
+            throw error;
+        }
+    },
+
+    /**
+     * Находит аккаунты для массовой операции по списку логинов или по фильтрам списка аккаунтов
+     * @param {Object} selection - Выбор аккаунтов (указывается logins или filters)
+     * @param {string[]} selection.logins - Логины
+     * @param {Object} selection.filters - Фильтры (как в getAccounts)
+     * @param {Object} options - Параметры
+     * @param {number} options.limit - Максимальное количество аккаунтов
+     * @returns {Promise<Object[]>} Аккаунты ({ login, accessLevel, isBanned, isPermanentBan, banExpireDate })
+     */
+    async findBulkTargets({ logins, filters }, { limit = 1000 } = {}) {
+        try {
+            let whereClause = "WHERE login IN (?)";
+            let params = [logins];
+
+            if (!logins) {
+                ({ whereClause, params } = buildWhereClause(filters));
+            }
+
+            // Пустой фильтр выбрал бы все аккаунты
+            if (!whereClause) {
+                throw new Error("Не указаны условия выбора аккаунтов");
+            }
+
+            const rows = await loginDb.query(
+                `SELECT login, accessLevel, ban_expire
+                 FROM accounts
+                 ${whereClause}
+                 ORDER BY login
+                 LIMIT ?`,
+                {
+                    replacements: [...params, limit],
+                    type: QueryTypes.SELECT
+                }
+            );
+
+            const now = Math.floor(Date.now() / 1000);
+
+            return rows.map((row) => ({
+                login: row.login,
+                accessLevel: row.accessLevel,
+                ...describeBan(row.ban_expire, now)
+            }));
+        } catch (error) {
+            logger.error(`Ошибка при поиске аккаунтов для массовой операции: ${error.message}`);
+            throw error;
+        }
+    },
+
+    /**
+     * Применяет массовую операцию к группе аккаунтов в одной транзакции.
+     * Аккаунты блокируются на время транзакции; логины, которых уже нет, пропускаются
+     * @param {string} action - Операция (ban, unban, access-level, delete)
+     * @param {string[]} logins - Логины группы
+     * @param {Object} values - Значения операции
+     * @param {number} values.banExpire - Окончание бана (Unix) для ban
+     * @param {number} values.accessLevel - Уровень доступа для access-level
+     * @param {Object} options - Параметры
+     * @param {Function} options.accept - Проверка заблокированной строки ({ login, accessLevel }); отклоненные аккаунты не изменяются
+     * @returns {Promise<Object[]>} Заблокированные строки ({ login, accessLevel }) аккаунтов, к которым применена операция
+     */
+    async applyBulkBatch(action, logins, values = {}, { accept = () => true } = {}) {
+        try {
+            const statements = BULK_STATEMENTS[action];
+
+            if (!statements) {
+                throw new Error(`Неизвестная массовая операция: ${action}`);
+            }
+
+            return await loginDb.transaction(async (transaction) => {
+                const rows = await loginDb.query(
+                    "SELECT login, accessLevel FROM accounts WHERE login IN (?) FOR UPDATE",
+                    {
+                        replacements: [logins],
+                        type: QueryTypes.SELECT,
+                        transaction
+                    }
+                );
+
+                // Данные аккаунта могли измениться после предварительной выборки, поэтому проверяются заблокированные строки
+                const accepted = rows.filter(accept);
+
+                if (accepted.length === 0) {
+                    return accepted;
+                }
+
+                for (const statement of statements) {
+                    await loginDb.query(statement.sql, {
+                        replacements: [...statement.values(values), accepted.map((row) => row.login)],
+                        transaction
+                    });
+                }
+
+                return accepted;
+            });
+        } catch (error) {
+            logger.error(`Ошибка при массовой операции ${action} для ${logins.length} аккаунтов: ${error.message}`);
+            throw error;
+        }
     }
-};
+});
+
+// Модуль по умолчанию работает с databases.login, forRealm возвращает модуль для базы игрового мира
+const accountsDb = forRealm(createAccountsDb, "loginDb");
+
+accountsDb.BULK_ACTIONS = Object.keys(BULK_STATEMENTS);
 
-module.exports = accountsDb;
\ No newline at end of file
+module.exports = accountsDb;
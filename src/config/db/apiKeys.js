@@ -0,0 +1,234 @@
+const crypto = require("crypto");
+const databases = require("../databases");
+const logger = require("../../utils/logger");
+const { QueryTypes } = require("sequelize");
+
+// Реестр API-ключей хранится в мастер базе данных
+const masterDb = databases.master;
+
+/**
+ * Генерирует новый API-ключ
+ * @returns {string} API-ключ в открытом виде
+ */
+const generateKey = () => `elk_${crypto.randomBytes(32).toString("base64url")}`;
+
+/**
+ * Хеширует API-ключ для хранения и поиска в базе данных
+ * @param {string} key - API-ключ в открытом виде
+ * @returns {string} SHA-256 хеш ключа в hex формате
+ */
+const hashKey = (key) => crypto.createHash("sha256").update(key).digest("hex");
+
+/**
+ * Преобразует строку таблицы api_keys в объект для ответа
+ * @param {Object} row - Строка таблицы
+ * @returns {Object} Данные ключа без хеша
+ */
+const mapKeyRow = (row) => {
+    const now = Math.floor(Date.now() / 1000);
+
+    return {
+        id: row.id,
+        name: row.name,
+        keyPrefix: row.key_prefix,
+        scopes: JSON.parse(row.scopes),
+        expiresAt: row.expires_at,
+        expiresDate: row.expires_at ? new Date(row.expires_at * 1000).toISOString() : null,
+        isExpired: !!row.expires_at && row.expires_at <= now,
+        revoked: row.revoked === 1,
+        createdDate: new Date(row.created_at * 1000).toISOString(),
+        rotatedDate: row.rotated_at ? new Date(row.rotated_at * 1000).toISOString() : null,
+        revokedDate: row.revoked_at ? new Date(row.revoked_at * 1000).toISOString() : null,
+        lastUsedDate: row.last_used_at ? new Date(row.last_used_at * 1000).toISOString() : null
+    };
+};
+
+/**
+ * Модуль для работы с таблицей api_keys
+ */
+const apiKeysDb = {
+    /**
+     * Создает новый API-ключ
+     * @param {Object} keyData - Данные ключа
+     * @param {string} keyData.name - Название клиента (например, "website")
+     * @param {string[]} keyData.scopes - Разрешенные области доступа
+     * @param {number|null} keyData.expiresAt - Время истечения ключа (Unix timestamp) или null
+     * @returns {Promise<Object>} Данные созданного ключа и сам ключ в открытом виде
+     */
+    async create({ name, scopes, expiresAt = null }) {
+        try {
+            logger.debug(`Создание API-ключа: ${name}`);
+
+            const key = generateKey();
+            const now = Math.floor(Date.now() / 1000);
+
+            const [keyId] = await masterDb.query(
+                `INSERT INTO api_keys (name, key_prefix, key_hash, scopes, expires_at, created_at)
+                 VALUES (?, ?, ?, ?, ?, ?)`,
+                {
+                    replacements: [name, key.substring(0, 12), hashKey(key), JSON.stringify(scopes), expiresAt, now],
+                    type: QueryTypes.INSERT
+                }
+            );
+
+            logger.info(`Создан API-ключ ${keyId} (${name})`);
+
+            return {
+                ...(await this.getById(keyId)),
+                key
+            };
+        } catch (error) {
+            logger.error(`Ошибка при создании API-ключа: ${error.message}`);
+            throw error;
+        }
+    },
+
+    /**
+     * Загружает информацию о ключе по ID
+     * @param {number} keyId - ID ключа
+     * @returns {Promise<Object|null>} Данные ключа или null, если ключ не найден
+     */
+    async getById(keyId) {
+        try {
+            const [row] = await masterDb.query(
+                "SELECT * FROM api_keys WHERE id = ?",
+                {
+                    replacements: [keyId],
+                    type: QueryTypes.SELECT
+                }
+            );
+
+            return row ? mapKeyRow(row) : null;
+        } catch (error) {
+            logger.error(`Ошибка при загрузке API-ключа ${keyId}: ${error.message}`);
+            throw error;
+        }
+    },
+
+    /**
+     * Получает список всех ключей
+     * @param {Object} options - Параметры запроса
+     * @param {boolean} options.includeRevoked - Включать ли отозванные ключи
+     * @returns {Promise<Object[]>} Список ключей
+     */
+    async list({ includeRevoked = false } = {}) {
+        try {
+            const rows = await masterDb.query(
+                `SELECT * FROM api_keys ${includeRevoked ? "" : "WHERE revoked = 0"} ORDER BY id ASC`,
+                {
+                    type: QueryTypes.SELECT
+                }
+            );
+
+            return rows.map(mapKeyRow);
+        } catch (error) {
+            logger.error(`Ошибка при получении списка API-ключей: ${error.message}`);
+            throw error;
+        }
+    },
+
+    /**
+     * Находит действующий ключ по его значению
+     * @param {string} key - API-ключ в открытом виде
+     * @returns {Promise<Object|null>} Идентификатор клиента ({ id, name, scopes }) или null
+     */
+    async resolve(key) {
+        try {
+            const now = Math.floor(Date.now() / 1000);
+
+            const [row] = await masterDb.query(
+                `SELECT id, name, scopes
+                 FROM api_keys
+                 WHERE key_hash = ? AND revoked = 0 AND (expires_at IS NULL OR expires_at > ?)`,
+                {
+                    replacements: [hashKey(key), now],
+                    type: QueryTypes.SELECT
+                }
+            );
+
+            if (!row) {
+                return null;
+            }
+
+            // Время последнего использования обновляем без ожидания результата
+            masterDb.query("UPDATE api_keys SET last_used_at = ? WHERE id = ?", {
+                replacements: [now, row.id]
+            }).catch((error) => {
+                logger.warn(`Не удалось обновить время использования API-ключа ${row.id}: ${error.message}`);
+            });
+
+            return {
+                id: row.id,
+                name: row.name,
+                scopes: JSON.parse(row.scopes)
+            };
+        } catch (error) {
+            logger.error(`Ошибка при проверке API-ключа: ${error.message}`);
+            throw error;
+        }
+    },
+
+    /**
+     * Выпускает новое значение ключа, сохраняя его название и области доступа
+     * @param {number} keyId - ID ключа
+     * @returns {Promise<Object|null>} Данные ключа и новый ключ в открытом виде или null, если ключ не найден
+     */
+    async rotate(keyId) {
+        try {
+            const key = generateKey();
+            const now = Math.floor(Date.now() / 1000);
+
+            const [, affectedRows] = await masterDb.query(
+                "UPDATE api_keys SET key_prefix = ?, key_hash = ?, rotated_at = ? WHERE id = ? AND revoked = 0",
+                {
+                    replacements: [key.substring(0, 12), hashKey(key), now, keyId],
+                    type: QueryTypes.UPDATE
+                }
+            );
+
+            if (affectedRows === 0) {
+                return null;
+            }
+
+            logger.info(`Выпущено новое значение API-ключа ${keyId}`);
+
+            return {
+                ...(await this.getById(keyId)),
+                key
+            };
+        } catch (error) {
+            logger.error(`Ошибка при ротации API-ключа ${keyId}: ${error.message}`);
+            throw error;
+        }
+    },
+
+    /**
+     * Отзывает ключ
+     * @param {number} keyId - ID ключа
+     * @returns {Promise<boolean>} true, если ключ был отозван
+     */
+    async revoke(keyId) {
+        try {
+            const now = Math.floor(Date.now() / 1000);
+
+            const [, affectedRows] = await masterDb.query(
+                "UPDATE api_keys SET revoked = 1, revoked_at = ? WHERE id = ? AND revoked = 0",
+                {
+                    replacements: [now, keyId],
+                    type: QueryTypes.UPDATE
+                }
+            );
+
+            if (affectedRows > 0) {
+                logger.info(`Отозван API-ключ ${keyId}`);
+            }
+
+            return affectedRows > 0;
+        } catch (error) {
+            logger.error(`Ошибка при отзыве API-ключа ${keyId}: ${error.message}`);
+            throw error;
+        }
+    }
+};
+
+module.exports = apiKeysDb;
@@ -0,0 +1,46 @@
+const databases = require("../databases");
+const logger = require("../../utils/logger");
+const { QueryTypes } = require("sequelize");
+
+// Журнал действий хранится в мастер базе данных API
+const masterDb = databases.master;
+
+/**
+ * Модуль для работы с таблицей audit_log
+ */
+const auditLogDb = {
+    /**
+     * Записывает действие в журнал.
+     * Ошибка записи не прерывает уже выполненное действие, поэтому она только логируется
+     * @param {Object} entry - Запись журнала
+     * @param {string} entry.action - Действие (например, "delivery.create")
+     * @param {string|null} entry.realm - Игровой мир
+     * @param {string} entry.targetType - Тип объекта (character, account)
+     * @param {string|number} entry.targetId - ID объекта
+     * @param {string} entry.actor - Кто выполнил действие (имя API-ключа)
+     * @param {Object|null} entry.details - Подробности действия
+     * @returns {Promise<number|null>} ID записи или null, если запись не удалась
+     */
+    async record({ action, realm = null, targetType, targetId, actor, details = null }) {
+        try {
+            const now = Math.floor(Date.now() / 1000);
+
+            const [entryId] = await masterDb.query(
+                `INSERT INTO audit_log (action, realm, target_type, target_id, actor, details, created_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                {
+                    replacements: [action, realm, targetType, String(targetId), actor, details ? JSON.stringify(details) : null, now],
+                    type: QueryTypes.INSERT
+                }
+            );
+
+            logger.debug(`Записано действие ${action} для ${targetType}:${targetId} (${actor})`);
+            return entryId;
+        } catch (error) {
+            logger.error(`Ошибка при записи действия ${action} для ${targetType}:${targetId} в журнал: ${error.message}`);
+            return null;
+        }
+    }
+};
+
+module.exports = auditLogDb;
@@ -0,0 +1,194 @@
+const databases = require("../databases");
+const logger = require("../../utils/logger");
+const { QueryTypes } = require("sequelize");
+
+// Счетчики неудачных попыток входа хранятся в мастер базе данных API
+const masterDb = databases.master;
+
+/**
+ * Преобразует строку таблицы auth_lockouts в объект для ответа
+ * @param {Object} row - Строка таблицы
+ * @returns {Object} Данные блокировки
+ */
+const mapLockoutRow = (row) => {
+    const now = Math.floor(Date.now() / 1000);
+
+    return {
+        type: row.subject_type,
+        subject: row.subject,
+        failures: row.failures,
+        firstFailureDate: new Date(row.first_failure_at * 1000).toISOString(),
+        lastFailureDate: new Date(row.last_failure_at * 1000).toISOString(),
+        isLocked: row.locked_until > now,
+        lockedUntilDate: row.locked_until > now ? new Date(row.locked_until * 1000).toISOString() : null
+    };
+};
+
+/**
+ * Модуль для работы с таблицей auth_lockouts
+ */
+const authLockoutsDb = {
+    /**
+     * Загружает состояние счетчика
+     * @param {string} type - Тип субъекта ('login' или 'ip')
+     * @param {string} subject - Логин или IP-адрес
+     * @returns {Promise<Object|null>} Строка таблицы или null
+     */
+    async get(type, subject) {
+        try {
+            const [row] = await masterDb.query(
+                "SELECT * FROM auth_lockouts WHERE subject_type = ? AND subject = ?",
+                {
+                    replacements: [type, subject],
+                    type: QueryTypes.SELECT
+                }
+            );
+
+            return row || null;
+        } catch (error) {
+            logger.error(`Ошибка при загрузке счетчика попыток входа ${type}:${subject}: ${error.message}`);
+            throw error;
+        }
+    },
+
+    /**
+     * Увеличивает счетчик неудачных попыток.
+     * Если с последней неудачи прошло больше windowSeconds, счетчик начинается заново
+     * @param {string} type - Тип субъекта ('login' или 'ip')
+     * @param {string} subject - Логин или IP-адрес
+     * @param {number} windowSeconds - Окно учета неудачных попыток в секундах
+     * @returns {Promise<Object>} Обновленная строка таблицы
+     */
+    async registerFailure(type, subject, windowSeconds) {
+        try {
+            const now = Math.floor(Date.now() / 1000);
+
+            await masterDb.query(
+                `INSERT INTO auth_lockouts (subject_type, subject, failures, first_failure_at, last_failure_at)
+                 VALUES (?, ?, 1, ?, ?)
+                 ON DUPLICATE KEY UPDATE
+                    failures = IF(last_failure_at < ?, 1, failures + 1),
+                    first_failure_at = IF(last_failure_at < ?, VALUES(first_failure_at), first_failure_at),
+                    last_failure_at = VALUES(last_failure_at)`,
+                {
+                    replacements: [type, subject, now, now, now - windowSeconds, now - windowSeconds]
+                }
+            );
+
+            return this.get(type, subject);
+        } catch (error) {
+            logger.error(`Ошибка при учете неудачной попытки входа ${type}:${subject}: ${error.message}`);
+            throw error;
+        }
+    },
+
+    /**
+     * Устанавливает время окончания блокировки
+     * @param {string} type - Тип субъекта ('login' или 'ip')
+     * @param {string} subject - Логин или IP-адрес
+     * @param {number} lockedUntil - Время окончания блокировки (Unix timestamp)
+     * @returns {Promise<void>}
+     */
+    async lock(type, subject, lockedUntil) {
+        try {
+            await masterDb.query(
+                "UPDATE auth_lockouts SET locked_until = ? WHERE subject_type = ? AND subject = ?",
+                {
+                    replacements: [lockedUntil, type, subject]
+                }
+            );
+
+            logger.warn(`Вход для ${type}:${subject} заблокирован до ${new Date(lockedUntil * 1000).toISOString()}`);
+        } catch (error) {
+            logger.error(`Ошибка при блокировке входа ${type}:${subject}: ${error.message}`);
+            throw error;
+        }
+    },
+
+    /**
+     * Сбрасывает счетчик и снимает блокировку
+     * @param {string} type - Тип субъекта ('login' или 'ip')
+     * @param {string} subject - Логин или IP-адрес
+     * @returns {Promise<boolean>} true, если запись существовала
+     */
+    async reset(type, subject) {
+        try {
+            const affectedRows = await masterDb.query(
+                "DELETE FROM auth_lockouts WHERE subject_type = ? AND subject = ?",
+                {
+                    replacements: [type, subject],
+                    type: QueryTypes.BULKDELETE
+                }
+            );
+
+            return affectedRows > 0;
+        } catch (error) {
+            logger.error(`Ошибка при сбросе счетчика попыток входа ${type}:${subject}: ${error.message}`);
+            throw error;
+        }
+    },
+
+    /**
+     * Получает список счетчиков с пагинацией
+     * @param {Object} options - Параметры запроса
+     * @param {number} options.page - Номер страницы (начиная с 1)
+     * @param {number} options.limit - Количество записей на странице
+     * @param {string} options.type - Фильтр по типу субъекта (опционально)
+     * @param {boolean} options.activeOnly - Только действующие блокировки
+     * @returns {Promise<Object>} Список счетчиков и метаданные пагинации
+     */
+    async list({ page = 1, limit = 10, type = null, activeOnly = false } = {}) {
+        try {
+            const offset = (page - 1) * limit;
+            const now = Math.floor(Date.now() / 1000);
+
+            let whereClause = "";
+            const params = [];
+
+            if (type) {
+                whereClause += (whereClause ? " AND " : "") + "`subject_type` = ?";
+                params.push(type);
+            }
+
+            if (activeOnly) {
+                whereClause += (whereClause ? " AND " : "") + "`locked_until` > ?";
+                params.push(now);
+            }
+
+            whereClause = whereClause ? `WHERE ${whereClause}` : "";
+
+            const [countResult] = await masterDb.query(
+                `SELECT COUNT(*) as total FROM auth_lockouts ${whereClause}`,
+                {
+                    replacements: params,
+                    type: QueryTypes.SELECT
+                }
+            );
+
+            const total = parseInt(countResult.total, 10);
+
+            const rows = await masterDb.query(
+                `SELECT * FROM auth_lockouts ${whereClause} ORDER BY last_failure_at DESC LIMIT ? OFFSET ?`,
+                {
+                    replacements: [...params, limit, offset],
+                    type: QueryTypes.SELECT
+                }
+            );
+
+            return {
+                lockouts: rows.map(mapLockoutRow),
+                pagination: {
+                    total,
+                    page: parseInt(page, 10),
+                    limit: parseInt(limit, 10),
+                    totalPages: Math.ceil(total / limit)
+                }
+            };
+        } catch (error) {
+            logger.error(`Ошибка при получении списка блокировок входа: ${error.message}`);
+            throw error;
+        }
+    }
+};
+
+module.exports = authLockoutsDb;
@@ -0,0 +1,107 @@
+const databases = require("../databases");
+const logger = require("../../utils/logger");
+const { QueryTypes } = require("sequelize");
+
+// История переименований хранится в мастер базе данных API
+const masterDb = databases.master;
+
+/**
+ * Преобразует строку таблицы character_renames в объект для ответа
+ * @param {Object} row - Строка таблицы
+ * @returns {Object} Данные переименования
+ */
+const mapRenameRow = (row) => ({
+    id: row.id,
+    oldName: row.old_name,
+    newName: row.new_name,
+    actor: row.actor,
+    reason: row.reason,
+    createdDate: new Date(row.created_at * 1000).toISOString()
+});
+
+/**
+ * Модуль для работы с таблицей character_renames
+ */
+const characterRenamesDb = {
+    /**
+     * Записывает переименование персонажа в историю
+     * @param {Object} rename - Данные переименования
+     * @param {string} rename.realm - Игровой мир
+     * @param {number} rename.objId - ID персонажа (obj_Id)
+     * @param {string} rename.oldName - Прежнее имя
+     * @param {string} rename.newName - Новое имя
+     * @param {string} rename.actor - Кто выполнил переименование (имя API-ключа)
+     * @param {string|null} rename.reason - Причина переименования
+     * @returns {Promise<number>} ID записи
+     */
+    async record({ realm, objId, oldName, newName, actor, reason = null }) {
+        try {
+            const now = Math.floor(Date.now() / 1000);
+
+            const [renameId] = await masterDb.query(
+                `INSERT INTO character_renames (realm, char_obj_id, old_name, new_name, actor, reason, created_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                {
+                    replacements: [realm, objId, oldName, newName, actor, reason, now],
+                    type: QueryTypes.INSERT
+                }
+            );
+
+            return renameId;
+        } catch (error) {
+            logger.error(`Ошибка при записи переименования персонажа ${objId}: ${error.message}`);
+            throw error;
+        }
+    },
+
+    /**
+     * Получает историю переименований персонажа с пагинацией
+     * @param {string} realm - Игровой мир
+     * @param {number} objId - ID персонажа (obj_Id)
+     * @param {Object} options - Параметры запроса
+     * @param {number} options.page - Номер страницы
+     * @param {number} options.limit - Количество записей на странице
+     * @returns {Promise<Object>} Переименования (новые первыми) и метаданные пагинации
+     */
+    async listByCharacter(realm, objId, { page = 1, limit = 10 } = {}) {
+        try {
+            const offset = (page - 1) * limit;
+
+            const [countResult] = await masterDb.query(
+                "SELECT COUNT(*) as total FROM character_renames WHERE realm = ? AND char_obj_id = ?",
+                {
+                    replacements: [realm, objId],
+                    type: QueryTypes.SELECT
+                }
+            );
+
+            const rows = await masterDb.query(
+                `SELECT * FROM character_renames
+                 WHERE realm = ? AND char_obj_id = ?
+                 ORDER BY created_at DESC, id DESC
+                 LIMIT ? OFFSET ?`,
+                {
+                    replacements: [realm, objId, limit, offset],
+                    type: QueryTypes.SELECT
+                }
+            );
+
+            const total = parseInt(countResult.total, 10);
+
+            return {
+                renames: rows.map(mapRenameRow),
+                pagination: {
+                    total,
+                    page: parseInt(page, 10),
+                    limit: parseInt(limit, 10),
+                    totalPages: Math.ceil(total / limit)
+                }
+            };
+        } catch (error) {
+            logger.error(`Ошибка при получении истории переименований персонажа ${objId}: ${error.message}`);
+            throw error;
+        }
+    }
+};
+
+module.exports = characterRenamesDb;
@@ -0,0 +1,102 @@
+const databases = require("../databases");
+const logger = require("../../utils/logger");
+const { QueryTypes } = require("sequelize");
+
+// Время перемещений хранится в мастер базе данных API
+const masterDb = databases.master;
+
+/**
+ * Модуль для работы с таблицей character_unstucks (ограничение частоты перемещения в безопасное место)
+ */
+const characterUnstucksDb = {
+    /**
+     * Получает время последнего перемещения персонажа
+     * @param {string} realm - Игровой мир
+     * @param {number} objId - ID персонажа (obj_Id)
+     * @returns {Promise<number|null>} Время перемещения (Unix) или null, если персонаж не перемещался
+     */
+    async getLastUnstuck(realm, objId) {
+        try {
+            const [row] = await masterDb.query(
+                "SELECT last_unstuck_at FROM character_unstucks WHERE realm = ? AND char_obj_id = ?",
+                {
+                    replacements: [realm, objId],
+                    type: QueryTypes.SELECT
+                }
+            );
+
+            return row ? row.last_unstuck_at : null;
+        } catch (error) {
+            logger.error(`Ошибка при получении времени перемещения персонажа ${objId}: ${error.message}`);
+            throw error;
+        }
+    },
+
+    /**
+     * Занимает перемещение персонажа: записывает время, если с прошлого перемещения прошло cooldown секунд.
+     * Запись выполняется одним запросом, поэтому из параллельных запросов перемещение получает только один
+     * @param {string} realm - Игровой мир
+     * @param {number} objId - ID персонажа (obj_Id)
+     * @param {Object} options - Параметры
+     * @param {number} options.now - Время перемещения (Unix)
+     * @param {number} options.cooldown - Минимальный интервал между перемещениями (секунды)
+     * @param {boolean} options.ignoreCooldown - Записать время без проверки интервала
+     * @returns {Promise<boolean>} true, если перемещение разрешено и время записано
+     */
+    async claim(realm, objId, { now, cooldown, ignoreCooldown = false }) {
+        try {
+            const [, affectedRows] = await masterDb.query(
+                `INSERT INTO character_unstucks (realm, char_obj_id, last_unstuck_at)
+                 VALUES (?, ?, ?)
+                 ON DUPLICATE KEY UPDATE last_unstuck_at = IF(? OR last_unstuck_at <= ?, VALUES(last_unstuck_at), last_unstuck_at)`,
+                {
+                    replacements: [realm, objId, now, ignoreCooldown, now - cooldown],
+                    type: QueryTypes.INSERT
+                }
+            );
+
+            // Без проверки интервала время могло совпасть с уже записанным, тогда строка не изменяется
+            return ignoreCooldown || affectedRows > 0;
+        } catch (error) {
+            logger.error(`Ошибка при записи времени перемещения персонажа ${objId}: ${error.message}`);
+            throw error;
+        }
+    },
+
+    /**
+     * Возвращает прежнее время перемещения, если перемещение не состоялось
+     * @param {string} realm - Игровой мир
+     * @param {number} objId - ID персонажа (obj_Id)
+     * @param {Object} options - Параметры
+     * @param {number} options.claimedAt - Время, записанное claim
+     * @param {number|null} options.previousAt - Время предыдущего перемещения или null
+     * @returns {Promise<void>}
+     */
+    async release(realm, objId, { claimedAt, previousAt }) {
+        try {
+            if (previousAt === null) {
+                await masterDb.query(
+                    "DELETE FROM character_unstucks WHERE realm = ? AND char_obj_id = ? AND last_unstuck_at = ?",
+                    {
+                        replacements: [realm, objId, claimedAt],
+                        type: QueryTypes.BULKDELETE
+                    }
+                );
+                return;
+            }
+
+            await masterDb.query(
+                "UPDATE character_unstucks SET last_unstuck_at = ? WHERE realm = ? AND char_obj_id = ? AND last_unstuck_at = ?",
+                {
+                    replacements: [previousAt, realm, objId, claimedAt],
+                    type: QueryTypes.UPDATE
+                }
+            );
+        } catch (error) {
+            logger.error(`Ошибка при отмене времени перемещения персонажа ${objId}: ${error.message}`);
+            throw error;
+        }
+    }
+};
+
+module.exports = characterUnstucksDb;
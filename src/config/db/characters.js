@@ -1,9 +1,7 @@
-const databases = require("../databases");
+const { forRealm } = require("../realmModules");
 const logger = require("../../utils/logger");
 const { QueryTypes, Op } = require("sequelize");
-
-// Получаем подключение к игровой базе данных
-const gameDb = databases.gameMain;
+const { getClassName } = require("../data/classes");
 
 /**
  * Преобразует значение временной метки в формат для фильтрации
@@ -23,6 +21,27 @@ const parseTimestamp = (value) => {
     return isNaN(timestamp) ? null : timestamp;
 };
 
+// Присоединение активного сабкласса персонажа (уровень, класс, опыт, SP)
+const SUBCLASS_JOIN = "LEFT JOIN character_subclasses cs ON cs.char_obj_id = c.obj_Id AND cs.active = 1";
+
+// Допустимые поля сортировки списка персонажей и соответствующие им колонки
+const SORT_FIELDS = {
+    char_name: "c.char_name",
+    account_name: "c.account_name",
+    createtime: "c.createtime",
+    lastAccess: "c.lastAccess",
+    online: "c.online",
+    clanid: "c.clanid",
+    pvpkills: "c.pvpkills",
+    pkkills: "c.pkkills",
+    karma: "c.karma",
+    onlinetime: "c.onlinetime",
+    level: "cs.level",
+    class_id: "cs.class_id",
+    exp: "cs.exp",
+    sp: "cs.sp"
+};
+
 /**
  * Построение условий WHERE для фильтрации персонажей
  * @param {Object} filters - Объект с фильтрами
@@ -33,43 +52,65 @@ const buildWhereClause = (filters) => {
     const params = [];
 
     if (filters.char_name) {
-        whereClause += (whereClause ? " AND " : "") + "`char_name` LIKE ?";
+        whereClause += (whereClause ? " AND " : "") + "c.`char_name` LIKE ?";
         params.push(`%${filters.char_name}%`);
     }
 
     if (filters.account_name) {
-        whereClause += (whereClause ? " AND " : "") + "`account_name` LIKE ?";
+        whereClause += (whereClause ? " AND " : "") + "c.`account_name` LIKE ?";
         params.push(`%${filters.account_name}%`);
     }
 
     if (filters.clanid) {
-        whereClause += (whereClause ? " AND " : "") + "`clanid` = ?";
+        whereClause += (whereClause ? " AND " : "") + "c.`clanid` = ?";
         params.push(parseInt(filters.clanid, 10));
     }
 
     if (filters.online !== undefined) {
-        whereClause += (whereClause ? " AND " : "") + "`online` = ?";
+        whereClause += (whereClause ? " AND " : "") + "c.`online` = ?";
         params.push(filters.online === 'true' ? 1 : 0);
     }
 
+    // Уровень, класс, опыт и SP берутся из активного сабкласса (алиас cs, см. SUBCLASS_JOIN)
     if (filters.minLevel !== undefined) {
-        // Здесь требуется дополнительная логика для получения уровня персонажа
-        // Возможно, уровень хранится в другой таблице или требует JOIN
-        // Это заглушка, которую нужно адаптировать к вашей структуре БД
-        whereClause += (whereClause ? " AND " : "") + "`base_class_id` >= ?";
+        whereClause += (whereClause ? " AND " : "") + "cs.`level` >= ?";
         params.push(parseInt(filters.minLevel, 10));
     }
 
     if (filters.maxLevel !== undefined) {
-        // То же, что и выше
-        whereClause += (whereClause ? " AND " : "") + "`base_class_id` <= ?";
+        whereClause += (whereClause ? " AND " : "") + "cs.`level` <= ?";
         params.push(parseInt(filters.maxLevel, 10));
     }
 
+    if (filters.class_id !== undefined) {
+        whereClause += (whereClause ? " AND " : "") + "cs.`class_id` = ?";
+        params.push(parseInt(filters.class_id, 10));
+    }
+
+    if (filters.minExp !== undefined) {
+        whereClause += (whereClause ? " AND " : "") + "cs.`exp` >= ?";
+        params.push(parseInt(filters.minExp, 10));
+    }
+
+    if (filters.maxExp !== undefined) {
+        whereClause += (whereClause ? " AND " : "") + "cs.`exp` <= ?";
+        params.push(parseInt(filters.maxExp, 10));
+    }
+
+    if (filters.minSp !== undefined) {
+        whereClause += (whereClause ? " AND " : "") + "cs.`sp` >= ?";
+        params.push(parseInt(filters.minSp, 10));
+    }
+
+    if (filters.maxSp !== undefined) {
+        whereClause += (whereClause ? " AND " : "") + "cs.`sp` <= ?";
+        params.push(parseInt(filters.maxSp, 10));
+    }
+
     if (filters.createdAfter) {
         const timestamp = parseTimestamp(filters.createdAfter);
         if (timestamp) {
-            whereClause += (whereClause ? " AND " : "") + "`createtime` >= ?";
+            whereClause += (whereClause ? " AND " : "") + "c.`createtime` >= ?";
             params.push(timestamp);
         }
     }
@@ -77,7 +118,7 @@ const buildWhereClause = (filters) => {
     if (filters.createdBefore) {
         const timestamp = parseTimestamp(filters.createdBefore);
         if (timestamp) {
-            whereClause += (whereClause ? " AND " : "") + "`createtime` <= ?";
+            whereClause += (whereClause ? " AND " : "") + "c.`createtime` <= ?";
             params.push(timestamp);
         }
     }
@@ -85,7 +126,7 @@ const buildWhereClause = (filters) => {
     if (filters.lastAccessAfter) {
         const timestamp = parseTimestamp(filters.lastAccessAfter);
         if (timestamp) {
-            whereClause += (whereClause ? " AND " : "") + "`lastAccess` >= ?";
+            whereClause += (whereClause ? " AND " : "") + "c.`lastAccess` >= ?";
             params.push(timestamp);
         }
     }
@@ -93,21 +134,21 @@ const buildWhereClause = (filters) => {
     if (filters.lastAccessBefore) {
         const timestamp = parseTimestamp(filters.lastAccessBefore);
         if (timestamp) {
-            whereClause += (whereClause ? " AND " : "") + "`lastAccess` <= ?";
+            whereClause += (whereClause ? " AND " : "") + "c.`lastAccess` <= ?";
             params.push(timestamp);
         }
     }
 
     if (filters.sex !== undefined) {
-        whereClause += (whereClause ? " AND " : "") + "`sex` = ?";
+        whereClause += (whereClause ? " AND " : "") + "c.`sex` = ?";
         params.push(parseInt(filters.sex, 10));
     }
 
     if (filters.deletedOnly === 'true') {
-        whereClause += (whereClause ? " AND " : "") + "`deletetime` > 0";
+        whereClause += (whereClause ? " AND " : "") + "c.`deletetime` > 0";
     } else {
         // По умолчанию не показываем удаленных персонажей
-        whereClause += (whereClause ? " AND " : "") + "`deletetime` = 0";
+        whereClause += (whereClause ? " AND " : "") + "c.`deletetime` = 0";
     }
 
     return {
@@ -116,10 +157,23 @@ const buildWhereClause = (filters) => {
     };
 };
 
+// Диапазоны уровней для статистики (границы совпадают с получением профессий)
+const LEVEL_BUCKETS = [
+    { minLevel: 1, maxLevel: 19 },
+    { minLevel: 20, maxLevel: 39 },
+    { minLevel: 40, maxLevel: 61 },
+    { minLevel: 62, maxLevel: 75 },
+    { minLevel: 76, maxLevel: 79 },
+    { minLevel: 80, maxLevel: 85 },
+    { minLevel: 86, maxLevel: 999 }
+];
+
 /**
  * Модуль для работы с таблицей characters
+ * @param {Sequelize} gameDb - Подключение к игровой базе данных игрового мира
+ * @returns {Object} Модуль, работающий с указанным подключением
  */
-const charactersDb = {
+const createCharactersDb = (gameDb) => ({
     /**
      * Проверяет существование персонажа с указанным именем
      * @param {string} charName - Имя персонажа для проверки
@@ -230,6 +284,358 @@ const charactersDb = {
         }
     },
 
+    /**
+     * Загружает удаленного персонажа по ID объекта
+     * @param {number} objId - ID объекта персонажа
+     * @returns {Promise<Object|null>} Данные персонажа или null, если удаленный персонаж не найден
+     */
+    async loadDeletedById(objId) {
+        try {
+            const [character] = await gameDb.query(
+                `SELECT * FROM characters WHERE obj_Id = ? AND deletetime > 0`,
+                {
+                    replacements: [objId],
+                    type: QueryTypes.SELECT
+                }
+            );
+
+            return character ? this.enrichCharacterData(character) : null;
+        } catch (error) {
+            logger.error(`Ошибка при загрузке удаленного персонажа по ID: ${error.message}`);
+            throw error;
+        }
+    },
+
+    /**
+     * Считает неудаленных персонажей аккаунта
+     * @param {string} accountName - Имя аккаунта
+     * @returns {Promise<number>} Количество персонажей
+     */
+    async countByAccount(accountName) {
+        try {
+            const [results] = await gameDb.query(
+                "SELECT COUNT(*) as count FROM characters WHERE account_name = ? AND deletetime = 0",
+                {
+                    replacements: [accountName],
+                    type: QueryTypes.SELECT
+                }
+            );
+
+            return parseInt(results.count, 10);
+        } catch (error) {
+            logger.error(`Ошибка при подсчете персонажей аккаунта ${accountName}: ${error.message}`);
+            throw error;
+        }
+    },
+
+    /**
+     * Считает итоги по всем неудаленным персонажам аккаунта
+     * @param {string} accountName - Имя аккаунта
+     * @returns {Promise<Object>} { characterCount, onlineCount, onlineTime } - onlineTime в секундах
+     */
+    async getAccountTotals(accountName) {
+        try {
+            const [totals] = await gameDb.query(
+                `SELECT
+                    COUNT(*) as characterCount,
+                    SUM(online = 1) as onlineCount,
+                    SUM(onlinetime) as onlineTime
+                 FROM characters
+                 WHERE account_name = ? AND deletetime = 0`,
+                {
+                    replacements: [accountName],
+                    type: QueryTypes.SELECT
+                }
+            );
+
+            return {
+                characterCount: parseInt(totals.characterCount, 10),
+                onlineCount: parseInt(totals.onlineCount || 0, 10),
+                onlineTime: parseInt(totals.onlineTime || 0, 10)
+            };
+        } catch (error) {
+            logger.error(`Ошибка при подсчете итогов по персонажам аккаунта ${accountName}: ${error.message}`);
+            throw error;
+        }
+    },
+
+    /**
+     * Восстанавливает удаленного персонажа (сбрасывает deletetime)
+     * @param {number} objId - ID объекта персонажа
+     * @returns {Promise<boolean>} true, если персонаж восстановлен
+     */
+    async restore(objId) {
+        try {
+            const [, affectedRows] = await gameDb.query(
+                "UPDATE characters SET deletetime = 0 WHERE obj_Id = ? AND deletetime > 0",
+                {
+                    replacements: [objId],
+                    type: QueryTypes.UPDATE
+                }
+            );
+
+            if (affectedRows > 0) {
+                logger.info(`Персонаж ${objId} восстановлен`);
+            }
+
+            return affectedRows > 0;
+        } catch (error) {
+            logger.error(`Ошибка при восстановлении персонажа ${objId}: ${error.message}`);
+            throw error;
+        }
+    },
+
+    /**
+     * Переименовывает персонажа.
+     * Персонаж в игре не переименовывается: игровой сервер перезапишет имя при выходе
+     * @param {number} objId - ID объекта персонажа
+     * @param {string} newName - Новое имя
+     * @returns {Promise<boolean>} true, если имя изменено
+     */
+    async rename(objId, newName) {
+        try {
+            const [, affectedRows] = await gameDb.query(
+                "UPDATE characters SET char_name = ? WHERE obj_Id = ? AND deletetime = 0 AND online = 0",
+                {
+                    replacements: [newName, objId],
+                    type: QueryTypes.UPDATE
+                }
+            );
+
+            if (affectedRows > 0) {
+                logger.info(`Персонаж ${objId} переименован в ${newName}`);
+            }
+
+            return affectedRows > 0;
+        } catch (error) {
+            logger.error(`Ошибка при переименовании персонажа ${objId}: ${error.message}`);
+            throw error;
+        }
+    },
+
+    /**
+     * Переносит персонажа на другой аккаунт в транзакции.
+     * Строки персонажа и целевого аккаунта блокируются, поэтому условия переноса
+     * не могут измениться между проверкой и обновлением
+     * @param {number} objId - ID объекта персонажа
+     * @param {string} targetAccount - Аккаунт, на который переносится персонаж
+     * @param {Object} options - Параметры
+     * @param {number} options.maxCharacters - Максимальное количество персонажей на аккаунте
+     * @returns {Promise<Object>} Результат переноса ({ transferred, reason, fromAccount }).
+     * reason: not_found, online, clan_leader или no_slot
+     */
+    async transfer(objId, targetAccount, { maxCharacters }) {
+        try {
+            return await gameDb.transaction(async (transaction) => {
+                const [character] = await gameDb.query(
+                    "SELECT account_name, online FROM characters WHERE obj_Id = ? AND deletetime = 0 FOR UPDATE",
+                    {
+                        replacements: [objId],
+                        type: QueryTypes.SELECT,
+                        transaction
+                    }
+                );
+
+                if (!character) {
+                    return { transferred: false, reason: "not_found" };
+                }
+
+                if (character.online === 1) {
+                    return { transferred: false, reason: "online" };
+                }
+
+                const [leader] = await gameDb.query(
+                    "SELECT COUNT(*) as count FROM clan_subpledges WHERE leader_id = ? AND type = 0",
+                    {
+                        replacements: [objId],
+                        type: QueryTypes.SELECT,
+                        transaction
+                    }
+                );
+
+                if (parseInt(leader.count, 10) > 0) {
+                    return { transferred: false, reason: "clan_leader" };
+                }
+
+                const [target] = await gameDb.query(
+                    "SELECT COUNT(*) as count FROM characters WHERE account_name = ? AND deletetime = 0 FOR UPDATE",
+                    {
+                        replacements: [targetAccount],
+                        type: QueryTypes.SELECT,
+                        transaction
+                    }
+                );
+
+                if (parseInt(target.count, 10) >= maxCharacters) {
+                    return { transferred: false, reason: "no_slot" };
+                }
+
+                await gameDb.query(
+                    "UPDATE characters SET account_name = ? WHERE obj_Id = ?",
+                    {
+                        replacements: [targetAccount, objId],
+                        type: QueryTypes.UPDATE,
+                        transaction
+                    }
+                );
+
+                logger.info(`Персонаж ${objId} перенесен с аккаунта ${character.account_name} на аккаунт ${targetAccount}`);
+
+                return { transferred: true, reason: null, fromAccount: character.account_name };
+            });
+        } catch (error) {
+            logger.error(`Ошибка при переносе персонажа ${objId} на аккаунт ${targetAccount}: ${error.message}`);
+            throw error;
+        }
+    },
+
+    /**
+     * Перемещает персонажа, который не в игре, в указанные координаты
+     * @param {number} objId - ID объекта персонажа
+     * @param {Object} location - Координаты ({ x, y, z })
+     * @returns {Promise<boolean>} true, если координаты изменены
+     */
+    async teleport(objId, { x, y, z }) {
+        try {
+            const [, affectedRows] = await gameDb.query(
+                "UPDATE characters SET x = ?, y = ?, z = ? WHERE obj_Id = ? AND deletetime = 0 AND online = 0",
+                {
+                    replacements: [x, y, z, objId],
+                    type: QueryTypes.UPDATE
+                }
+            );
+
+            if (affectedRows > 0) {
+                logger.info(`Персонаж ${objId} перемещен в ${x}, ${y}, ${z}`);
+            }
+
+            return affectedRows > 0;
+        } catch (error) {
+            logger.error(`Ошибка при перемещении персонажа ${objId}: ${error.message}`);
+            throw error;
+        }
+    },
+
+    /**
+     * Получает умения персонажа, сгруппированные по индексу класса
+     * @param {number} objId - ID объекта персонажа
+     * @param {Object} filters - Фильтры
+     * @param {number} filters.classIndex - Индекс класса (class_index)
+     * @returns {Promise<Object[]>} Группы умений ({ classIndex, skills })
+     */
+    async getSkills(objId, filters = {}) {
+        try {
+            let whereClause = "WHERE char_obj_id = ?";
+            const params = [objId];
+
+            if (filters.classIndex !== undefined) {
+                whereClause += " AND class_index = ?";
+                params.push(filters.classIndex);
+            }
+
+            const rows = await gameDb.query(
+                `SELECT skill_id, skill_level, class_index
+                 FROM character_skills
+                 ${whereClause}
+                 ORDER BY class_index, skill_id`,
+                {
+                    replacements: params,
+                    type: QueryTypes.SELECT
+                }
+            );
+
+            const groups = new Map();
+
+            rows.forEach((row) => {
+                if (!groups.has(row.class_index)) {
+                    groups.set(row.class_index, { classIndex: row.class_index, skills: [] });
+                }
+
+                groups.get(row.class_index).skills.push({
+                    skillId: row.skill_id,
+                    level: row.skill_level
+                });
+            });
+
+            return Array.from(groups.values());
+        } catch (error) {
+            logger.error(`Ошибка при получении умений персонажа ${objId}: ${error.message}`);
+            throw error;
+        }
+    },
+
+    /**
+     * Получает сабклассы персонажа
+     * @param {number} objId - ID объекта персонажа
+     * @returns {Promise<Object[]>} Сабклассы с уровнем, опытом и SP
+     */
+    async getSubclasses(objId) {
+        try {
+            const rows = await gameDb.query(
+                `SELECT class_id, level, exp, sp, active, isBase
+                 FROM character_subclasses
+                 WHERE char_obj_id = ?
+                 ORDER BY isBase DESC, class_id`,
+                {
+                    replacements: [objId],
+                    type: QueryTypes.SELECT
+                }
+            );
+
+            return rows.map((row) => ({
+                classId: row.class_id,
+                className: getClassName(row.class_id),
+                level: row.level,
+                exp: row.exp,
+                sp: row.sp,
+                isActive: row.active === 1,
+                isBase: row.isBase === 1
+            }));
+        } catch (error) {
+            logger.error(`Ошибка при получении сабклассов персонажа ${objId}: ${error.message}`);
+            throw error;
+        }
+    },
+
+    /**
+     * Получает татуировки (хенны) персонажа
+     * @param {number} objId - ID объекта персонажа
+     * @param {Object} filters - Фильтры
+     * @param {number} filters.classIndex - Индекс класса (class_index)
+     * @returns {Promise<Object[]>} Хенны со слотом и индексом класса
+     */
+    async getHennas(objId, filters = {}) {
+        try {
+            let whereClause = "WHERE char_obj_id = ?";
+            const params = [objId];
+
+            if (filters.classIndex !== undefined) {
+                whereClause += " AND class_index = ?";
+                params.push(filters.classIndex);
+            }
+
+            const rows = await gameDb.query(
+                `SELECT symbol_id, slot, class_index
+                 FROM character_hennas
+                 ${whereClause}
+                 ORDER BY class_index, slot`,
+                {
+                    replacements: params,
+                    type: QueryTypes.SELECT
+                }
+            );
+
+            return rows.map((row) => ({
+                symbolId: row.symbol_id,
+                slot: row.slot,
+                classIndex: row.class_index
+            }));
+        } catch (error) {
+            logger.error(`Ошибка при получении хенн персонажа ${objId}: ${error.message}`);
+            throw error;
+        }
+    },
+
     /**
      * Обогащает данные персонажа дополнительной информацией
      * @param {Object} character - Базовые данные персонажа
@@ -247,7 +653,9 @@ const charactersDb = {
             isOnline: character.online === 1,
             isDeleted: character.deletetime > 0,
             gender: character.sex === 1 ? "male" : "female",
-            onlineTimeHours: Math.floor(character.onlinetime / 3600)
+            onlineTimeHours: Math.floor(character.onlinetime / 3600),
+            clanUrl: character.clanid > 0 ? `/api/game/clans/${character.clanid}` : null,
+            ...(character.class_id !== undefined && character.class_id !== null && { className: getClassName(character.class_id) })
         };
     },
 
@@ -277,8 +685,7 @@ const charactersDb = {
             const { whereClause, params } = buildWhereClause(filters);
 
             // Валидация поля сортировки для предотвращения SQL инъекций
-            const validSortFields = ['char_name', 'account_name', 'createtime', 'lastAccess', 'online', 'clanid', 'pvpkills', 'pkkills', 'karma', 'onlinetime'];
-            const sortField = validSortFields.includes(sortBy) ? sortBy : 'char_name';
+            const sortField = SORT_FIELDS[sortBy] || SORT_FIELDS.char_name;
 
             // Валидация порядка сортировки
             const order = sortOrder.toLowerCase() === 'desc' ? 'DESC' : 'ASC';
@@ -286,30 +693,36 @@ const charactersDb = {
             // Запрос для получения общего количества записей
             const countQuery = `
                 SELECT COUNT(*) as total 
-                FROM characters 
+                FROM characters c
+                ${SUBCLASS_JOIN}
                 ${whereClause}
             `;
 
             // Запрос для получения данных с пагинацией и сортировкой
             const dataQuery = `
                 SELECT 
-                    obj_Id,
-                    char_name,
-                    account_name,
-                    sex,
-                    createtime,
-                    deletetime,
-                    lastAccess,
-                    online,
-                    onlinetime,
-                    clanid,
-                    title,
-                    pvpkills,
-                    pkkills,
-                    karma,
-                    accesslevel,
-                    x, y, z
-                FROM characters 
+                    c.obj_Id,
+                    c.char_name,
+                    c.account_name,
+                    c.sex,
+                    c.createtime,
+                    c.deletetime,
+                    c.lastAccess,
+                    c.online,
+                    c.onlinetime,
+                    c.clanid,
+                    c.title,
+                    c.pvpkills,
+                    c.pkkills,
+                    c.karma,
+                    c.accesslevel,
+                    c.x, c.y, c.z,
+                    cs.class_id,
+                    cs.level,
+                    cs.exp,
+                    cs.sp
+                FROM characters c
+                ${SUBCLASS_JOIN}
                 ${whereClause} 
                 ORDER BY ${sortField} ${order}
                 LIMIT ? OFFSET ?
@@ -350,6 +763,218 @@ const charactersDb = {
         }
     },
 
+    /**
+     * Получает общую статистику персонажей
+     * @returns {Promise<Object>} { total, active, deleted, online, accounts, activeLast7Days }
+     */
+    async getTotalStats() {
+        try {
+            const weekAgo = Math.floor(Date.now() / 1000) - 7 * 24 * 3600;
+
+            const [stats] = await gameDb.query(
+                `SELECT
+                    COUNT(*) as total,
+                    SUM(deletetime = 0) as active,
+                    SUM(deletetime > 0) as deleted,
+                    SUM(deletetime = 0 AND online = 1) as online,
+                    COUNT(DISTINCT IF(deletetime = 0, account_name, NULL)) as accounts,
+                    SUM(deletetime = 0 AND lastAccess >= ?) as activeLast7Days
+                 FROM characters`,
+                {
+                    replacements: [weekAgo],
+                    type: QueryTypes.SELECT
+                }
+            );
+
+            return {
+                total: parseInt(stats.total, 10),
+                active: parseInt(stats.active || 0, 10),
+                deleted: parseInt(stats.deleted || 0, 10),
+                online: parseInt(stats.online || 0, 10),
+                accounts: parseInt(stats.accounts, 10),
+                activeLast7Days: parseInt(stats.activeLast7Days || 0, 10)
+            };
+        } catch (error) {
+            logger.error(`Ошибка при получении общей статистики персонажей: ${error.message}`);
+            throw error;
+        }
+    },
+
+    /**
+     * Получает статистику онлайна
+     * @returns {Promise<Object>} { online, total, onlinePercent, accounts }
+     */
+    async getOnlineStats() {
+        try {
+            const [stats] = await gameDb.query(
+                `SELECT
+                    COUNT(*) as total,
+                    SUM(online = 1) as online,
+                    COUNT(DISTINCT IF(online = 1, account_name, NULL)) as accounts
+                 FROM characters
+                 WHERE deletetime = 0`,
+                {
+                    type: QueryTypes.SELECT
+                }
+            );
+
+            const total = parseInt(stats.total, 10);
+            const online = parseInt(stats.online || 0, 10);
+
+            return {
+                online,
+                total,
+                onlinePercent: total > 0 ? Math.round((online / total) * 10000) / 100 : 0,
+                accounts: parseInt(stats.accounts, 10)
+            };
+        } catch (error) {
+            logger.error(`Ошибка при получении статистики онлайна: ${error.message}`);
+            throw error;
+        }
+    },
+
+    /**
+     * Получает распределение персонажей по классам (по активному сабклассу)
+     * @returns {Promise<Object>} { total, byClass: [{ classId, className, count }] }
+     */
+    async getCharactersByClass() {
+        try {
+            const rows = await gameDb.query(
+                `SELECT cs.class_id as classId, COUNT(*) as count
+                 FROM characters c
+                 JOIN character_subclasses cs ON cs.char_obj_id = c.obj_Id AND cs.active = 1
+                 WHERE c.deletetime = 0
+                 GROUP BY cs.class_id
+                 ORDER BY count DESC, cs.class_id ASC`,
+                {
+                    type: QueryTypes.SELECT
+                }
+            );
+
+            const byClass = rows.map(row => ({
+                classId: parseInt(row.classId, 10),
+                className: getClassName(parseInt(row.classId, 10)),
+                count: parseInt(row.count, 10)
+            }));
+
+            return {
+                total: byClass.reduce((sum, item) => sum + item.count, 0),
+                byClass
+            };
+        } catch (error) {
+            logger.error(`Ошибка при получении распределения персонажей по классам: ${error.message}`);
+            throw error;
+        }
+    },
+
+    /**
+     * Получает распределение персонажей по кланам
+     * @param {number} limit - Максимальное количество кланов в ответе
+     * @returns {Promise<Object>} { total, withClan, withoutClan, byClan: [{ clanId, clanName, count }] }
+     */
+    async getCharactersByClan(limit = 100) {
+        try {
+            const [totals] = await gameDb.query(
+                `SELECT COUNT(*) as total, SUM(clanid > 0) as withClan
+                 FROM characters
+                 WHERE deletetime = 0`,
+                {
+                    type: QueryTypes.SELECT
+                }
+            );
+
+            // Название клана хранится в основном подразделении (type = 0)
+            const rows = await gameDb.query(
+                `SELECT c.clanid as clanId, sp.name as clanName, COUNT(*) as count
+                 FROM characters c
+                 LEFT JOIN clan_subpledges sp ON sp.clan_id = c.clanid AND sp.type = 0
+                 WHERE c.deletetime = 0 AND c.clanid > 0
+                 GROUP BY c.clanid, sp.name
+                 ORDER BY count DESC, c.clanid ASC
+                 LIMIT ?`,
+                {
+                    replacements: [limit],
+                    type: QueryTypes.SELECT
+                }
+            );
+
+            const total = parseInt(totals.total, 10);
+            const withClan = parseInt(totals.withClan || 0, 10);
+
+            return {
+                total,
+                withClan,
+                withoutClan: total - withClan,
+                byClan: rows.map(row => ({
+                    clanId: parseInt(row.clanId, 10),
+                    clanName: row.clanName || null,
+                    count: parseInt(row.count, 10)
+                }))
+            };
+        } catch (error) {
+            logger.error(`Ошибка при получении распределения персонажей по кланам: ${error.message}`);
+            throw error;
+        }
+    },
+
+    /**
+     * Получает распределение персонажей по диапазонам уровней (по активному сабклассу)
+     * @returns {Promise<Object>} { total, byLevel: [{ levelRange, minLevel, maxLevel, count }] }
+     */
+    async getCharactersByLevel() {
+        try {
+            const rows = await gameDb.query(
+                `SELECT cs.level as level, COUNT(*) as count
+                 FROM characters c
+                 JOIN character_subclasses cs ON cs.char_obj_id = c.obj_Id AND cs.active = 1
+                 WHERE c.deletetime = 0
+                 GROUP BY cs.level`,
+                {
+                    type: QueryTypes.SELECT
+                }
+            );
+
+            const byLevel = LEVEL_BUCKETS.map(({ minLevel, maxLevel }) => ({
+                levelRange: maxLevel === 999 ? `${minLevel}+` : `${minLevel}-${maxLevel}`,
+                minLevel,
+                maxLevel: maxLevel === 999 ? null : maxLevel,
+                count: rows
+                    .filter(row => row.level >= minLevel && row.level <= maxLevel)
+                    .reduce((sum, row) => sum + parseInt(row.count, 10), 0)
+            }));
+
+            return {
+                total: rows.reduce((sum, row) => sum + parseInt(row.count, 10), 0),
+                byLevel
+            };
+        } catch (error) {
+            logger.error(`Ошибка при получении распределения персонажей по уровням: ${error.message}`);
+            throw error;
+        }
+    },
+
+    /**
+     * Получает статистику указанного типа
+     * @param {string} type - Тип статистики (total, online, by_class, by_clan, by_level)
+     * @returns {Promise<Object|null>} Статистика или null для неизвестного типа
+     */
+    async getStatsByType(type = 'total') {
+        switch (type) {
+            case 'total':
+                return this.getTotalStats();
+            case 'online':
+                return this.getOnlineStats();
+            case 'by_class':
+                return this.getCharactersByClass();
+            case 'by_clan':
+                return this.getCharactersByClan();
+            case 'by_level':
+                return this.getCharactersByLevel();
+            default:
+                return null;
+        }
+    },
+
     /**
      * Получает список персонажей для указанного аккаунта
      * @param {string} accountName - Имя аккаунта
@@ -367,39 +992,44 @@ const charactersDb = {
             const offset = (page - 1) * limit;
 
             // Базовое условие - персонажи принадлежат указанному аккаунту
-            let whereClause = "WHERE account_name = ?";
+            let whereClause = "WHERE c.account_name = ?";
             const params = [accountName];
 
             // Если не требуется включать удаленных персонажей
             if (!includDeleted) {
-                whereClause += " AND deletetime = 0";
+                whereClause += " AND c.deletetime = 0";
             }
 
             // Запрос для получения общего количества записей
             const countQuery = `
                 SELECT COUNT(*) as total 
-                FROM characters 
+                FROM characters c
                 ${whereClause}
             `;
 
             // Запрос для получения данных с пагинацией
             const dataQuery = `
                 SELECT 
-                    obj_Id,
-                    char_name,
-                    sex,
-                    createtime,
-                    deletetime,
-                    lastAccess,
-                    online,
-                    onlinetime,
-                    clanid,
-                    title,
-                    pvpkills,
-                    pkkills
-                FROM characters 
+                    c.obj_Id,
+                    c.char_name,
+                    c.sex,
+                    c.createtime,
+                    c.deletetime,
+                    c.lastAccess,
+                    c.online,
+                    c.onlinetime,
+                    c.clanid,
+                    c.title,
+                    c.pvpkills,
+                    c.pkkills,
+                    cs.class_id,
+                    cs.level,
+                    cs.exp,
+                    cs.sp
+                FROM characters c
+                ${SUBCLASS_JOIN}
                 ${whereClause} 
-                ORDER BY lastAccess DESC
+                ORDER BY c.lastAccess DESC
                 LIMIT ? OFFSET ?
             `;
 
@@ -438,6 +1068,9 @@ const charactersDb = {
             throw error;
         }
     }
-};
+});
+
+// Модуль по умолчанию работает с databases.gameMain, forRealm возвращает модуль для базы игрового мира
+const charactersDb = forRealm(createCharactersDb, "gameDb");
 
-module.exports = charactersDb;
\ No newline at end of file
+module.exports = charactersDb;
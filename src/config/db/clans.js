@@ -0,0 +1,299 @@
+const { forRealm } = require("../realmModules");
+const logger = require("../../utils/logger");
+const { QueryTypes } = require("sequelize");
+const { getClassName } = require("../data/classes");
+
+// Основное подразделение клана (clan_subpledges.type), в котором хранятся название клана и лидер
+const MAIN_SUBPLEDGE = 0;
+
+// Названия подразделений клана по pledge_type
+const PLEDGE_TYPES = {
+    "-1": "academy",
+    0: "main",
+    100: "royal_guard_1",
+    200: "royal_guard_2",
+    1001: "order_of_knights_1",
+    1002: "order_of_knights_2",
+    2001: "order_of_knights_3",
+    2002: "order_of_knights_4"
+};
+
+// Основные данные клана: название, лидер и альянс
+const CLAN_SELECT = `
+    SELECT
+        cd.clan_id,
+        sp.name AS clan_name,
+        cd.clan_level,
+        cd.reputation_score,
+        cd.hasCastle,
+        cd.ally_id,
+        ad.ally_name,
+        sp.leader_id,
+        leader.char_name AS leader_name,
+        (SELECT COUNT(*) FROM characters m WHERE m.clanid = cd.clan_id AND m.deletetime = 0) AS member_count
+    FROM clan_data cd
+    LEFT JOIN clan_subpledges sp ON sp.clan_id = cd.clan_id AND sp.type = ${MAIN_SUBPLEDGE}
+    LEFT JOIN characters leader ON leader.obj_Id = sp.leader_id
+    LEFT JOIN ally_data ad ON ad.ally_id = cd.ally_id
+`;
+
+/**
+ * Преобразует строку с данными клана в объект для ответа
+ * @param {Object} row - Строка результата CLAN_SELECT
+ * @returns {Object} Данные клана
+ */
+const mapClanRow = (row) => ({
+    clanId: row.clan_id,
+    name: row.clan_name,
+    level: row.clan_level,
+    reputation: row.reputation_score,
+    castleId: row.hasCastle || null,
+    hasCastle: row.hasCastle > 0,
+    alliance: row.ally_id ? { allyId: row.ally_id, name: row.ally_name } : null,
+    leader: row.leader_id ? { objId: row.leader_id, name: row.leader_name } : null,
+    memberCount: parseInt(row.member_count, 10)
+});
+
+/**
+ * Построение условий WHERE для фильтрации кланов
+ * @param {Object} filters - Объект с фильтрами
+ * @returns {Object} - Объект с SQL условиями и параметрами
+ */
+const buildWhereClause = (filters) => {
+    const conditions = [];
+    const params = [];
+
+    if (filters.name) {
+        conditions.push("sp.name LIKE ?");
+        params.push(`%${filters.name}%`);
+    }
+
+    if (filters.level !== undefined) {
+        conditions.push("cd.clan_level = ?");
+        params.push(filters.level);
+    }
+
+    if (filters.minLevel !== undefined) {
+        conditions.push("cd.clan_level >= ?");
+        params.push(filters.minLevel);
+    }
+
+    if (filters.allyId !== undefined) {
+        conditions.push("cd.ally_id = ?");
+        params.push(filters.allyId);
+    }
+
+    if (filters.hasCastle !== undefined) {
+        conditions.push(filters.hasCastle ? "cd.hasCastle > 0" : "cd.hasCastle = 0");
+    }
+
+    return {
+        whereClause: conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "",
+        params
+    };
+};
+
+/**
+ * Модуль для работы с кланами и альянсами (clan_data, clan_subpledges, ally_data, clan_wars)
+ * @param {Sequelize} gameDb - Подключение к игровой базе данных игрового мира
+ * @returns {Object} Модуль, работающий с указанным подключением
+ */
+const createClansDb = (gameDb) => ({
+    /**
+     * Получает список кланов с пагинацией и фильтрацией
+     * @param {Object} options - Параметры запроса
+     * @param {number} options.page - Номер страницы (начиная с 1)
+     * @param {number} options.limit - Количество записей на странице
+     * @param {Object} options.filters - Фильтры (name, level, minLevel, allyId, hasCastle)
+     * @returns {Promise<Object>} Кланы и метаданные пагинации
+     */
+    async getClans({ page = 1, limit = 10, filters = {} } = {}) {
+        try {
+            const offset = (page - 1) * limit;
+            const { whereClause, params } = buildWhereClause(filters);
+
+            const [countResult] = await gameDb.query(
+                `SELECT COUNT(*) as total
+                 FROM clan_data cd
+                 LEFT JOIN clan_subpledges sp ON sp.clan_id = cd.clan_id AND sp.type = ${MAIN_SUBPLEDGE}
+                 ${whereClause}`,
+                {
+                    replacements: params,
+                    type: QueryTypes.SELECT
+                }
+            );
+
+            const rows = await gameDb.query(
+                `${CLAN_SELECT}
+                 ${whereClause}
+                 ORDER BY cd.clan_level DESC, cd.reputation_score DESC, cd.clan_id
+                 LIMIT ? OFFSET ?`,
+                {
+                    replacements: [...params, limit, offset],
+                    type: QueryTypes.SELECT
+                }
+            );
+
+            const total = parseInt(countResult.total, 10);
+
+            return {
+                clans: rows.map(mapClanRow),
+                pagination: {
+                    total,
+                    page: parseInt(page, 10),
+                    limit: parseInt(limit, 10),
+                    totalPages: Math.ceil(total / limit)
+                }
+            };
+        } catch (error) {
+            logger.error(`Ошибка при получении списка кланов: ${error.message}`);
+            throw error;
+        }
+    },
+
+    /**
+     * Получает клан по ID
+     * @param {number} clanId - ID клана
+     * @returns {Promise<Object|null>} Данные клана или null, если клан не найден
+     */
+    async getById(clanId) {
+        try {
+            const [row] = await gameDb.query(
+                `${CLAN_SELECT}
+                 WHERE cd.clan_id = ?`,
+                {
+                    replacements: [clanId],
+                    type: QueryTypes.SELECT
+                }
+            );
+
+            return row ? mapClanRow(row) : null;
+        } catch (error) {
+            logger.error(`Ошибка при получении клана ${clanId}: ${error.message}`);
+            throw error;
+        }
+    },
+
+    /**
+     * Получает участников клана
+     * @param {number} clanId - ID клана
+     * @returns {Promise<Object[]>} Участники с онлайн-статусом, подразделением и рангом
+     */
+    async getMembers(clanId) {
+        try {
+            const rows = await gameDb.query(
+                `SELECT c.obj_Id, c.char_name, c.title, c.online, c.lastAccess, c.pledge_type, c.pledge_rank,
+                        cs.class_id, cs.level
+                 FROM characters c
+                 LEFT JOIN character_subclasses cs ON cs.char_obj_id = c.obj_Id AND cs.active = 1
+                 WHERE c.clanid = ? AND c.deletetime = 0
+                 ORDER BY c.online DESC, c.pledge_type, c.pledge_rank, c.char_name`,
+                {
+                    replacements: [clanId],
+                    type: QueryTypes.SELECT
+                }
+            );
+
+            return rows.map((row) => ({
+                objId: row.obj_Id,
+                name: row.char_name,
+                title: row.title,
+                isOnline: row.online === 1,
+                lastAccessDate: row.lastAccess ? new Date(row.lastAccess * 1000).toISOString() : null,
+                pledgeType: row.pledge_type,
+                pledge: PLEDGE_TYPES[row.pledge_type] || "unknown",
+                rank: row.pledge_rank,
+                classId: row.class_id,
+                className: row.class_id !== null ? getClassName(row.class_id) : null,
+                level: row.level
+            }));
+        } catch (error) {
+            logger.error(`Ошибка при получении участников клана ${clanId}: ${error.message}`);
+            throw error;
+        }
+    },
+
+    /**
+     * Получает войны клана
+     * @param {number} clanId - ID клана
+     * @returns {Promise<Object>} Объявленные и полученные войны ({ declared, received })
+     */
+    async getWars(clanId) {
+        try {
+            const rows = await gameDb.query(
+                `SELECT w.clan1_id, w.clan2_id, sp.name AS enemy_name,
+                        EXISTS (
+                            SELECT 1 FROM clan_wars r WHERE r.clan1_id = w.clan2_id AND r.clan2_id = w.clan1_id
+                        ) AS is_mutual
+                 FROM clan_wars w
+                 LEFT JOIN clan_subpledges sp
+                     ON sp.clan_id = IF(w.clan1_id = ?, w.clan2_id, w.clan1_id) AND sp.type = ${MAIN_SUBPLEDGE}
+                 WHERE w.clan1_id = ? OR w.clan2_id = ?`,
+                {
+                    replacements: [clanId, clanId, clanId],
+                    type: QueryTypes.SELECT
+                }
+            );
+
+            const mapWar = (row, enemyId) => ({
+                clanId: enemyId,
+                name: row.enemy_name,
+                isMutual: parseInt(row.is_mutual, 10) === 1
+            });
+
+            return {
+                declared: rows.filter((row) => row.clan1_id === clanId).map((row) => mapWar(row, row.clan2_id)),
+                received: rows.filter((row) => row.clan2_id === clanId).map((row) => mapWar(row, row.clan1_id))
+            };
+        } catch (error) {
+            logger.error(`Ошибка при получении войн клана ${clanId}: ${error.message}`);
+            throw error;
+        }
+    },
+
+    /**
+     * Получает альянс и входящие в него кланы
+     * @param {number} allyId - ID альянса
+     * @returns {Promise<Object|null>} Данные альянса или null, если альянс не найден
+     */
+    async getAlliance(allyId) {
+        try {
+            const [ally] = await gameDb.query(
+                "SELECT ally_id, ally_name, leader_id FROM ally_data WHERE ally_id = ?",
+                {
+                    replacements: [allyId],
+                    type: QueryTypes.SELECT
+                }
+            );
+
+            if (!ally) {
+                return null;
+            }
+
+            const clans = await gameDb.query(
+                `${CLAN_SELECT}
+                 WHERE cd.ally_id = ?
+                 ORDER BY cd.clan_level DESC, cd.clan_id`,
+                {
+                    replacements: [allyId],
+                    type: QueryTypes.SELECT
+                }
+            );
+
+            return {
+                allyId: ally.ally_id,
+                name: ally.ally_name,
+                leaderClanId: ally.leader_id,
+                clans: clans.map(mapClanRow)
+            };
+        } catch (error) {
+            logger.error(`Ошибка при получении альянса ${allyId}: ${error.message}`);
+            throw error;
+        }
+    }
+});
+
+// Модуль по умолчанию работает с databases.gameMain, forRealm возвращает модуль для базы игрового мира
+const clansDb = forRealm(createClansDb, "gameDb");
+
+module.exports = clansDb;
@@ -0,0 +1,260 @@
+const databases = require("../databases");
+const logger = require("../../utils/logger");
+const { QueryTypes } = require("sequelize");
+
+// Баны клиентов хранятся в мастер базе данных API
+const masterDb = databases.master;
+
+// Условие действующего бана: не снят и не истек (expires_at = NULL - бессрочный)
+const ACTIVE_CONDITION = "lifted_at IS NULL AND (expires_at IS NULL OR expires_at > ?)";
+
+/**
+ * Преобразует строку таблицы client_bans в объект для ответа
+ * @param {Object} row - Строка таблицы
+ * @returns {Object} Данные бана
+ */
+const mapClientBanRow = (row) => {
+    const now = Math.floor(Date.now() / 1000);
+    const isExpired = row.expires_at !== null && row.expires_at <= now;
+
+    return {
+        id: row.id,
+        type: row.type,
+        value: row.value,
+        reason: row.reason,
+        issuedBy: row.issued_by,
+        status: row.lifted_at ? "lifted" : (isExpired ? "expired" : "active"),
+        createdDate: new Date(row.created_at * 1000).toISOString(),
+        expireDate: row.expires_at !== null ? new Date(row.expires_at * 1000).toISOString() : null,
+        hits: row.hits,
+        lastHitDate: row.last_hit_at ? new Date(row.last_hit_at * 1000).toISOString() : null,
+        liftedDate: row.lifted_at ? new Date(row.lifted_at * 1000).toISOString() : null,
+        liftedBy: row.lifted_by
+    };
+};
+
+/**
+ * Модуль для работы с таблицей client_bans
+ */
+const clientBansDb = {
+    /**
+     * Создает бан клиента
+     * @param {Object} ban - Данные бана
+     * @param {string} ban.loginRealm - База логинов
+     * @param {string} ban.type - Тип (hwid или ip)
+     * @param {string} ban.value - HWID, IP-адрес или диапазон CIDR
+     * @param {string} ban.reason - Причина бана
+     * @param {string} ban.issuedBy - Кто выдал бан (имя API-ключа)
+     * @param {number|null} ban.expiresAt - Окончание бана (Unix) или null для бессрочного бана
+     * @returns {Promise<Object>} Данные созданного бана
+     */
+    async create({ loginRealm, type, value, reason, issuedBy, expiresAt = null }) {
+        try {
+            const now = Math.floor(Date.now() / 1000);
+
+            const [banId] = await masterDb.query(
+                `INSERT INTO client_bans (login_realm, type, value, reason, issued_by, created_at, expires_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                {
+                    replacements: [loginRealm, type, value, reason, issuedBy, now, expiresAt],
+                    type: QueryTypes.INSERT
+                }
+            );
+
+            logger.info(`Создан бан клиента ${type}:${value} (${loginRealm}, ${issuedBy})`);
+
+            return this.getById(banId);
+        } catch (error) {
+            logger.error(`Ошибка при создании бана клиента ${type}:${value}: ${error.message}`);
+            throw error;
+        }
+    },
+
+    /**
+     * Получает бан клиента по ID
+     * @param {number} banId - ID бана
+     * @returns {Promise<Object|null>} Данные бана (с полем loginRealm) или null
+     */
+    async getById(banId) {
+        try {
+            const [row] = await masterDb.query(
+                "SELECT * FROM client_bans WHERE id = ?",
+                {
+                    replacements: [banId],
+                    type: QueryTypes.SELECT
+                }
+            );
+
+            return row ? { ...mapClientBanRow(row), loginRealm: row.login_realm } : null;
+        } catch (error) {
+            logger.error(`Ошибка при получении бана клиента ${banId}: ${error.message}`);
+            throw error;
+        }
+    },
+
+    /**
+     * Ищет действующий бан с тем же типом и значением
+     * @param {string} loginRealm - База логинов
+     * @param {string} type - Тип (hwid или ip)
+     * @param {string} value - Значение
+     * @returns {Promise<Object|null>} Данные бана или null
+     */
+    async findActive(loginRealm, type, value) {
+        try {
+            const now = Math.floor(Date.now() / 1000);
+
+            const [row] = await masterDb.query(
+                `SELECT * FROM client_bans
+                 WHERE login_realm = ? AND type = ? AND value = ? AND ${ACTIVE_CONDITION}
+                 LIMIT 1`,
+                {
+                    replacements: [loginRealm, type, value, now],
+                    type: QueryTypes.SELECT
+                }
+            );
+
+            return row ? mapClientBanRow(row) : null;
+        } catch (error) {
+            logger.error(`Ошибка при поиске бана клиента ${type}:${value}: ${error.message}`);
+            throw error;
+        }
+    },
+
+    /**
+     * Получает действующие баны базы логинов для проверки клиента
+     * @param {string} loginRealm - База логинов
+     * @returns {Promise<Object[]>} Строки таблицы
+     */
+    async listActiveRules(loginRealm) {
+        try {
+            const now = Math.floor(Date.now() / 1000);
+
+            return await masterDb.query(
+                `SELECT id, type, value, reason, expires_at FROM client_bans
+                 WHERE login_realm = ? AND ${ACTIVE_CONDITION}`,
+                {
+                    replacements: [loginRealm, now],
+                    type: QueryTypes.SELECT
+                }
+            );
+        } catch (error) {
+            logger.error(`Ошибка при загрузке банов клиентов ${loginRealm}: ${error.message}`);
+            throw error;
+        }
+    },
+
+    /**
+     * Получает баны клиентов с пагинацией
+     * @param {string} loginRealm - База логинов
+     * @param {Object} options - Параметры запроса
+     * @param {string} options.type - Фильтр по типу (hwid или ip)
+     * @param {boolean} options.activeOnly - Только действующие баны
+     * @param {number} options.page - Номер страницы
+     * @param {number} options.limit - Количество записей на странице
+     * @returns {Promise<Object>} Баны и метаданные пагинации
+     */
+    async list(loginRealm, { type, activeOnly = false, page = 1, limit = 10 } = {}) {
+        try {
+            const offset = (page - 1) * limit;
+            let whereClause = "WHERE login_realm = ?";
+            const params = [loginRealm];
+
+            if (type) {
+                whereClause += " AND type = ?";
+                params.push(type);
+            }
+
+            if (activeOnly) {
+                whereClause += ` AND ${ACTIVE_CONDITION}`;
+                params.push(Math.floor(Date.now() / 1000));
+            }
+
+            const [countResult] = await masterDb.query(
+                `SELECT COUNT(*) as total FROM client_bans ${whereClause}`,
+                {
+                    replacements: params,
+                    type: QueryTypes.SELECT
+                }
+            );
+
+            const rows = await masterDb.query(
+                `SELECT * FROM client_bans
+                 ${whereClause}
+                 ORDER BY created_at DESC, id DESC
+                 LIMIT ? OFFSET ?`,
+                {
+                    replacements: [...params, limit, offset],
+                    type: QueryTypes.SELECT
+                }
+            );
+
+            const total = parseInt(countResult.total, 10);
+
+            return {
+                bans: rows.map(mapClientBanRow),
+                pagination: {
+                    total,
+                    page: parseInt(page, 10),
+                    limit: parseInt(limit, 10),
+                    totalPages: Math.ceil(total / limit)
+                }
+            };
+        } catch (error) {
+            logger.error(`Ошибка при получении списка банов клиентов: ${error.message}`);
+            throw error;
+        }
+    },
+
+    /**
+     * Учитывает срабатывание бана
+     * @param {number} banId - ID бана
+     * @returns {Promise<void>}
+     */
+    async registerHit(banId) {
+        try {
+            const now = Math.floor(Date.now() / 1000);
+
+            await masterDb.query(
+                "UPDATE client_bans SET hits = hits + 1, last_hit_at = ? WHERE id = ?",
+                {
+                    replacements: [now, banId],
+                    type: QueryTypes.UPDATE
+                }
+            );
+        } catch (error) {
+            logger.error(`Ошибка при учете срабатывания бана клиента ${banId}: ${error.message}`);
+            throw error;
+        }
+    },
+
+    /**
+     * Снимает бан клиента
+     * @param {number} banId - ID бана
+     * @param {string} liftedBy - Кто снял бан (имя API-ключа)
+     * @returns {Promise<boolean>} true, если бан снят
+     */
+    async lift(banId, liftedBy) {
+        try {
+            const now = Math.floor(Date.now() / 1000);
+
+            const [, affectedRows] = await masterDb.query(
+                "UPDATE client_bans SET lifted_at = ?, lifted_by = ? WHERE id = ? AND lifted_at IS NULL",
+                {
+                    replacements: [now, liftedBy, banId],
+                    type: QueryTypes.UPDATE
+                }
+            );
+
+            if (affectedRows > 0) {
+                logger.info(`Снят бан клиента ${banId} (${liftedBy})`);
+            }
+
+            return affectedRows > 0;
+        } catch (error) {
+            logger.error(`Ошибка при снятии бана клиента ${banId}: ${error.message}`);
+            throw error;
+        }
+    }
+};
+
+module.exports = clientBansDb;
@@ -0,0 +1,175 @@
+const { forRealm } = require("../realmModules");
+const logger = require("../../utils/logger");
+const { QueryTypes } = require("sequelize");
+const { getItemName } = require("../data/items");
+
+// Статусы отложенной выдачи: 0 - ожидает входа персонажа, 1 - выдано игровым сервером
+const DELIVERY_STATUSES = {
+    pending: 0,
+    delivered: 1
+};
+
+/**
+ * Преобразует строку таблицы items_delayed в объект для ответа
+ * @param {Object} row - Строка таблицы
+ * @returns {Object} Данные выдачи с названием предмета из каталога
+ */
+const mapDeliveryRow = (row) => ({
+    paymentId: row.payment_id,
+    ownerId: row.owner_id,
+    itemId: row.item_id,
+    name: getItemName(row.item_id),
+    count: row.count,
+    enchantLevel: row.enchant_level,
+    status: row.payment_status === DELIVERY_STATUSES.delivered ? "delivered" : "pending",
+    description: row.description
+});
+
+/**
+ * Модуль для работы с таблицей items_delayed (отложенная выдача предметов игровым сервером)
+ * @param {Sequelize} gameDb - Подключение к игровой базе данных игрового мира
+ * @returns {Object} Модуль, работающий с указанным подключением
+ */
+const createDeliveriesDb = (gameDb) => ({
+    /**
+     * Ставит предмет в очередь выдачи персонажу
+     * @param {Object} delivery - Данные выдачи
+     * @param {number} delivery.ownerId - ID персонажа (obj_Id)
+     * @param {number} delivery.itemId - ID предмета
+     * @param {number} delivery.count - Количество
+     * @param {number} delivery.enchantLevel - Уровень заточки
+     * @param {string} delivery.description - Причина выдачи
+     * @returns {Promise<Object>} Данные созданной выдачи
+     */
+    async create({ ownerId, itemId, count, enchantLevel = 0, description }) {
+        try {
+            const [paymentId] = await gameDb.query(
+                `INSERT INTO items_delayed (owner_id, item_id, count, enchant_level, payment_status, description)
+                 VALUES (?, ?, ?, ?, ?, ?)`,
+                {
+                    replacements: [ownerId, itemId, count, enchantLevel, DELIVERY_STATUSES.pending, description],
+                    type: QueryTypes.INSERT
+                }
+            );
+
+            logger.info(`Предмет ${itemId} x${count} поставлен в очередь выдачи персонажу ${ownerId} (payment_id ${paymentId})`);
+
+            return this.getById(paymentId);
+        } catch (error) {
+            logger.error(`Ошибка при постановке предмета в очередь выдачи персонажу ${ownerId}: ${error.message}`);
+            throw error;
+        }
+    },
+
+    /**
+     * Получает выдачу по ID
+     * @param {number} paymentId - ID выдачи
+     * @returns {Promise<Object|null>} Данные выдачи или null
+     */
+    async getById(paymentId) {
+        try {
+            const [row] = await gameDb.query(
+                `SELECT payment_id, owner_id, item_id, count, enchant_level, payment_status, description
+                 FROM items_delayed
+                 WHERE payment_id = ?`,
+                {
+                    replacements: [paymentId],
+                    type: QueryTypes.SELECT
+                }
+            );
+
+            return row ? mapDeliveryRow(row) : null;
+        } catch (error) {
+            logger.error(`Ошибка при получении выдачи ${paymentId}: ${error.message}`);
+            throw error;
+        }
+    },
+
+    /**
+     * Получает выдачи персонажа с пагинацией
+     * @param {number} ownerId - ID персонажа (obj_Id)
+     * @param {Object} options - Параметры запроса
+     * @param {string} options.status - Фильтр по статусу (pending, delivered или all)
+     * @param {number} options.page - Номер страницы
+     * @param {number} options.limit - Количество записей на странице
+     * @returns {Promise<Object>} Выдачи и метаданные пагинации
+     */
+    async listByOwner(ownerId, { status = "all", page = 1, limit = 10 } = {}) {
+        try {
+            const offset = (page - 1) * limit;
+            let whereClause = "WHERE owner_id = ?";
+            const params = [ownerId];
+
+            if (status in DELIVERY_STATUSES) {
+                whereClause += " AND payment_status = ?";
+                params.push(DELIVERY_STATUSES[status]);
+            }
+
+            const [countResult] = await gameDb.query(
+                `SELECT COUNT(*) as total FROM items_delayed ${whereClause}`,
+                {
+                    replacements: params,
+                    type: QueryTypes.SELECT
+                }
+            );
+
+            const rows = await gameDb.query(
+                `SELECT payment_id, owner_id, item_id, count, enchant_level, payment_status, description
+                 FROM items_delayed
+                 ${whereClause}
+                 ORDER BY payment_id DESC
+                 LIMIT ? OFFSET ?`,
+                {
+                    replacements: [...params, limit, offset],
+                    type: QueryTypes.SELECT
+                }
+            );
+
+            const total = parseInt(countResult.total, 10);
+
+            return {
+                deliveries: rows.map(mapDeliveryRow),
+                pagination: {
+                    total,
+                    page: parseInt(page, 10),
+                    limit: parseInt(limit, 10),
+                    totalPages: Math.ceil(total / limit)
+                }
+            };
+        } catch (error) {
+            logger.error(`Ошибка при получении выдач персонажа ${ownerId}: ${error.message}`);
+            throw error;
+        }
+    },
+
+    /**
+     * Отменяет выдачу, которую игровой сервер еще не выполнил
+     * @param {number} paymentId - ID выдачи
+     * @returns {Promise<boolean>} true, если выдача удалена из очереди
+     */
+    async cancel(paymentId) {
+        try {
+            const affectedRows = await gameDb.query(
+                "DELETE FROM items_delayed WHERE payment_id = ? AND payment_status = ?",
+                {
+                    replacements: [paymentId, DELIVERY_STATUSES.pending],
+                    type: QueryTypes.BULKDELETE
+                }
+            );
+
+            if (affectedRows > 0) {
+                logger.info(`Выдача ${paymentId} отменена`);
+            }
+
+            return affectedRows > 0;
+        } catch (error) {
+            logger.error(`Ошибка при отмене выдачи ${paymentId}: ${error.message}`);
+            throw error;
+        }
+    }
+});
+
+// Модуль по умолчанию работает с databases.gameMain, forRealm возвращает модуль для базы игрового мира
+const deliveriesDb = forRealm(createDeliveriesDb, "gameDb");
+
+module.exports = deliveriesDb;
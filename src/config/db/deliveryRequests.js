@@ -0,0 +1,110 @@
+const databases = require("../databases");
+const logger = require("../../utils/logger");
+const { QueryTypes } = require("sequelize");
+
+// Ключи идемпотентности хранятся в мастер базе данных API
+const masterDb = databases.master;
+
+/**
+ * Модуль для работы с таблицей delivery_requests (ключи идемпотентности выдачи предметов).
+ * Ключ принадлежит клиенту (имени API-ключа) в пределах игрового мира
+ */
+const deliveryRequestsDb = {
+    /**
+     * Занимает ключ идемпотентности до создания выдачи.
+     * Запись выполняется одним запросом, поэтому из параллельных запросов ключ получает только один
+     * @param {string} realm - Игровой мир
+     * @param {string} actor - Клиент (имя API-ключа)
+     * @param {string} key - Ключ идемпотентности
+     * @param {number} objId - ID персонажа (obj_Id)
+     * @returns {Promise<boolean>} true, если ключ занят этим запросом
+     */
+    async claim(realm, actor, key, objId) {
+        try {
+            const [, affectedRows] = await masterDb.query(
+                `INSERT IGNORE INTO delivery_requests (realm, actor, idempotency_key, char_obj_id, created_at)
+                 VALUES (?, ?, ?, ?, ?)`,
+                {
+                    replacements: [realm, actor, key, objId, Math.floor(Date.now() / 1000)],
+                    type: QueryTypes.INSERT
+                }
+            );
+
+            return affectedRows > 0;
+        } catch (error) {
+            logger.error(`Ошибка при записи ключа идемпотентности выдачи ${key}: ${error.message}`);
+            throw error;
+        }
+    },
+
+    /**
+     * Получает запрос выдачи по ключу идемпотентности
+     * @param {string} realm - Игровой мир
+     * @param {string} actor - Клиент (имя API-ключа)
+     * @param {string} key - Ключ идемпотентности
+     * @returns {Promise<Object|null>} { charObjId, paymentId } (paymentId равен null, пока выдача создается) или null
+     */
+    async get(realm, actor, key) {
+        try {
+            const [row] = await masterDb.query(
+                "SELECT char_obj_id, payment_id FROM delivery_requests WHERE realm = ? AND actor = ? AND idempotency_key = ?",
+                {
+                    replacements: [realm, actor, key],
+                    type: QueryTypes.SELECT
+                }
+            );
+
+            return row ? { charObjId: row.char_obj_id, paymentId: row.payment_id } : null;
+        } catch (error) {
+            logger.error(`Ошибка при получении ключа идемпотентности выдачи ${key}: ${error.message}`);
+            throw error;
+        }
+    },
+
+    /**
+     * Связывает ключ идемпотентности с созданной выдачей
+     * @param {string} realm - Игровой мир
+     * @param {string} actor - Клиент (имя API-ключа)
+     * @param {string} key - Ключ идемпотентности
+     * @param {number} paymentId - ID выдачи
+     * @returns {Promise<void>}
+     */
+    async complete(realm, actor, key, paymentId) {
+        try {
+            await masterDb.query(
+                "UPDATE delivery_requests SET payment_id = ? WHERE realm = ? AND actor = ? AND idempotency_key = ?",
+                {
+                    replacements: [paymentId, realm, actor, key],
+                    type: QueryTypes.UPDATE
+                }
+            );
+        } catch (error) {
+            logger.error(`Ошибка при сохранении выдачи ${paymentId} для ключа идемпотентности ${key}: ${error.message}`);
+            throw error;
+        }
+    },
+
+    /**
+     * Освобождает ключ идемпотентности, если выдача не была создана
+     * @param {string} realm - Игровой мир
+     * @param {string} actor - Клиент (имя API-ключа)
+     * @param {string} key - Ключ идемпотентности
+     * @returns {Promise<void>}
+     */
+    async release(realm, actor, key) {
+        try {
+            await masterDb.query(
+                "DELETE FROM delivery_requests WHERE realm = ? AND actor = ? AND idempotency_key = ? AND payment_id IS NULL",
+                {
+                    replacements: [realm, actor, key],
+                    type: QueryTypes.BULKDELETE
+                }
+            );
+        } catch (error) {
+            logger.error(`Ошибка при освобождении ключа идемпотентности выдачи ${key}: ${error.message}`);
+            throw error;
+        }
+    }
+};
+
+module.exports = deliveryRequestsDb;
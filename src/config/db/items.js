@@ -0,0 +1,83 @@
+const { forRealm } = require("../realmModules");
+const logger = require("../../utils/logger");
+const { QueryTypes } = require("sequelize");
+const { getItemName } = require("../data/items");
+
+// Места хранения предметов, доступные для просмотра
+const ITEM_LOCATIONS = ["INVENTORY", "PAPERDOLL", "WAREHOUSE", "FREIGHT"];
+
+/**
+ * Преобразует строку таблицы items в объект для ответа
+ * @param {Object} row - Строка таблицы
+ * @returns {Object} Данные предмета с названием из каталога
+ */
+const mapItemRow = (row) => ({
+    objectId: row.object_id,
+    itemId: row.item_id,
+    name: getItemName(row.item_id),
+    count: row.count,
+    enchantLevel: row.enchant_level,
+    location: row.loc,
+    slot: row.loc_data
+});
+
+/**
+ * Модуль для работы с таблицей items
+ * @param {Sequelize} gameDb - Подключение к игровой базе данных игрового мира
+ * @returns {Object} Модуль, работающий с указанным подключением
+ */
+const createItemsDb = (gameDb) => ({
+    /**
+     * Получает предметы персонажа, сгруппированные по месту хранения
+     * @param {number} ownerId - ID персонажа (obj_Id)
+     * @param {Object} filters - Фильтры
+     * @param {number} filters.itemId - ID предмета
+     * @param {string} filters.location - Место хранения (INVENTORY, PAPERDOLL, WAREHOUSE, FREIGHT)
+     * @returns {Promise<Object>} Предметы по местам хранения и их количество
+     */
+    async getCharacterItems(ownerId, filters = {}) {
+        try {
+            const locations = filters.location ? [filters.location] : ITEM_LOCATIONS;
+            let whereClause = "WHERE owner_id = ? AND loc IN (?)";
+            const params = [ownerId, locations];
+
+            if (filters.itemId !== undefined) {
+                whereClause += " AND item_id = ?";
+                params.push(filters.itemId);
+            }
+
+            const rows = await gameDb.query(
+                `SELECT object_id, item_id, count, enchant_level, loc, loc_data
+                 FROM items
+                 ${whereClause}
+                 ORDER BY loc, loc_data, object_id`,
+                {
+                    replacements: params,
+                    type: QueryTypes.SELECT
+                }
+            );
+
+            // Все запрошенные места хранения присутствуют в ответе, даже если они пусты
+            const items = Object.fromEntries(locations.map((location) => [location, []]));
+            rows.forEach((row) => items[row.loc].push(mapItemRow(row)));
+
+            const totals = Object.fromEntries(locations.map((location) => [location, items[location].length]));
+
+            return {
+                items,
+                totals,
+                total: rows.length
+            };
+        } catch (error) {
+            logger.error(`Ошибка при получении предметов персонажа ${ownerId}: ${error.message}`);
+            throw error;
+        }
+    }
+});
+
+// Модуль по умолчанию работает с databases.gameMain, forRealm возвращает модуль для базы игрового мира
+const itemsDb = forRealm(createItemsDb, "gameDb");
+
+itemsDb.ITEM_LOCATIONS = ITEM_LOCATIONS;
+
+module.exports = itemsDb;
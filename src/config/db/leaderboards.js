@@ -0,0 +1,156 @@
+const { forRealm } = require("../realmModules");
+const logger = require("../../utils/logger");
+const { QueryTypes } = require("sequelize");
+const { getClassName } = require("../data/classes");
+
+// ID адены в таблице items
+const ADENA_ITEM_ID = 57;
+
+// Во сколько раз больше размера рейтинга выбирается кандидатов за один запрос,
+// чтобы после исключения заблокированных аккаунтов рейтинг обычно оставался полным
+const CANDIDATE_FACTOR = 2;
+
+// Рейтинги персонажей: выражение для значения и порядок сортировки
+const CHARACTER_BOARDS = {
+    pvp: {
+        value: "c.pvpkills",
+        orderBy: "c.pvpkills DESC"
+    },
+    pk: {
+        value: "c.pkkills",
+        orderBy: "c.pkkills DESC"
+    },
+    online: {
+        value: "c.onlinetime",
+        orderBy: "c.onlinetime DESC"
+    },
+    level: {
+        value: "cs.level",
+        orderBy: "cs.level DESC, cs.exp DESC"
+    },
+    adena: {
+        value: "adena.total",
+        orderBy: "adena.total DESC",
+        // Адена в инвентаре и на складе персонажа
+        join: `JOIN (
+            SELECT owner_id, SUM(count) AS total
+            FROM items
+            WHERE item_id = ${ADENA_ITEM_ID} AND loc IN ('INVENTORY', 'WAREHOUSE')
+            GROUP BY owner_id
+        ) adena ON adena.owner_id = c.obj_Id`
+    }
+};
+
+/**
+ * Модуль для построения рейтингов персонажей и кланов.
+ * Возвращает только публичные данные: без ID объектов и имен аккаунтов
+ * @param {Sequelize} gameDb - Подключение к игровой базе данных игрового мира
+ * @returns {Object} Модуль, работающий с указанным подключением
+ */
+const createLeaderboardsDb = (gameDb) => ({
+    /**
+     * Строит рейтинг персонажей.
+     * Персонажи GM (accesslevel > 0), персонажи служебных (accessLevel аккаунта > 0) и заблокированных аккаунтов не учитываются
+     * @param {string} board - Рейтинг (pvp, pk, online, level, adena)
+     * @param {Object} options - Параметры
+     * @param {number} options.limit - Размер рейтинга
+     * @param {Function} options.findExcludedAccounts - Выбирает из имен аккаунтов кандидатов те, персонажи которых исключаются:
+     * async (accountNames) => accountNames
+     * @returns {Promise<Object[]>} Позиции рейтинга
+     */
+    async getCharacterBoard(board, { limit = 100, findExcludedAccounts = async () => [] } = {}) {
+        try {
+            const definition = CHARACTER_BOARDS[board];
+
+            if (!definition) {
+                throw new Error(`Неизвестный рейтинг: ${board}`);
+            }
+
+            const batchSize = limit * CANDIDATE_FACTOR;
+            const rows = [];
+
+            // Кандидаты выбираются с запасом, а заблокированные аккаунты проверяются только среди них
+            for (let offset = 0; rows.length < limit; offset += batchSize) {
+                const candidates = await gameDb.query(
+                    `SELECT c.account_name, c.char_name, sp.name AS clan_name, cs.class_id, cs.level, ${definition.value} AS value
+                     FROM characters c
+                     LEFT JOIN character_subclasses cs ON cs.char_obj_id = c.obj_Id AND cs.active = 1
+                     LEFT JOIN clan_subpledges sp ON sp.clan_id = c.clanid AND sp.type = 0
+                     ${definition.join || ""}
+                     WHERE c.deletetime = 0 AND c.accesslevel = 0
+                     ORDER BY ${definition.orderBy}, c.obj_Id
+                     LIMIT ? OFFSET ?`,
+                    {
+                        replacements: [batchSize, offset],
+                        type: QueryTypes.SELECT
+                    }
+                );
+
+                // Логины сравниваются без учета регистра, как в базе логинов
+                const accountNames = [...new Set(candidates.map((row) => row.account_name))];
+                const excluded = new Set((await findExcludedAccounts(accountNames)).map((login) => login.toLowerCase()));
+
+                rows.push(...candidates.filter((row) => !excluded.has(row.account_name.toLowerCase())));
+
+                if (candidates.length < batchSize) {
+                    break;
+                }
+            }
+
+            return rows.slice(0, limit).map((row, index) => ({
+                rank: index + 1,
+                name: row.char_name,
+                clanName: row.clan_name || null,
+                className: row.class_id !== null ? getClassName(row.class_id) : null,
+                level: row.level,
+                value: row.value
+            }));
+        } catch (error) {
+            logger.error(`Ошибка при построении рейтинга ${board}: ${error.message}`);
+            throw error;
+        }
+    },
+
+    /**
+     * Строит рейтинг кланов по репутации
+     * @param {Object} options - Параметры
+     * @param {number} options.limit - Размер рейтинга
+     * @returns {Promise<Object[]>} Позиции рейтинга
+     */
+    async getClanBoard({ limit = 100 } = {}) {
+        try {
+            const rows = await gameDb.query(
+                `SELECT sp.name AS clan_name, cd.clan_level, cd.reputation_score, ad.ally_name, leader.char_name AS leader_name
+                 FROM clan_data cd
+                 JOIN clan_subpledges sp ON sp.clan_id = cd.clan_id AND sp.type = 0
+                 LEFT JOIN characters leader ON leader.obj_Id = sp.leader_id
+                 LEFT JOIN ally_data ad ON ad.ally_id = cd.ally_id
+                 ORDER BY cd.reputation_score DESC, cd.clan_level DESC, cd.clan_id
+                 LIMIT ?`,
+                {
+                    replacements: [limit],
+                    type: QueryTypes.SELECT
+                }
+            );
+
+            return rows.map((row, index) => ({
+                rank: index + 1,
+                name: row.clan_name,
+                level: row.clan_level,
+                allianceName: row.ally_name || null,
+                leaderName: row.leader_name || null,
+                value: row.reputation_score
+            }));
+        } catch (error) {
+            logger.error(`Ошибка при построении рейтинга кланов: ${error.message}`);
+            throw error;
+        }
+    }
+});
+
+// Модуль по умолчанию работает с databases.gameMain, forRealm возвращает модуль для базы игрового мира
+const leaderboardsDb = forRealm(createLeaderboardsDb, "gameDb");
+
+leaderboardsDb.CHARACTER_BOARDS = Object.keys(CHARACTER_BOARDS);
+
+module.exports = leaderboardsDb;
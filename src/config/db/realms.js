@@ -0,0 +1,260 @@
+const databases = require("../databases");
+const logger = require("../../utils/logger");
+const { QueryTypes } = require("sequelize");
+
+// Реестр игровых миров хранится в мастер базе данных
+const masterDb = databases.master;
+
+/**
+ * Преобразует строку таблицы realms в объект для ответа (без пароля подключения)
+ * @param {Object} row - Строка таблицы
+ * @returns {Object} Данные игрового мира
+ */
+const mapRealmRow = (row) => ({
+    id: row.id,
+    name: row.name,
+    type: row.type,
+    title: row.title,
+    host: row.host,
+    port: row.port,
+    user: row.db_user,
+    database: row.db_name,
+    hasPassword: !!row.db_password,
+    loginRealm: row.login_realm,
+    enabled: row.enabled === 1,
+    createdDate: new Date(row.created_at * 1000).toISOString(),
+    updatedDate: row.updated_at ? new Date(row.updated_at * 1000).toISOString() : null
+});
+
+/**
+ * Формирует настройки подключения из строки таблицы realms
+ * @param {Object} row - Строка таблицы
+ * @returns {Object} Настройки подключения ({ host, port, user, password, name })
+ */
+const mapConnection = (row) => ({
+    host: row.host,
+    port: row.port,
+    user: row.db_user,
+    password: row.db_password,
+    name: row.db_name
+});
+
+/**
+ * Модуль для работы с таблицей realms
+ */
+const realmsDb = {
+    /**
+     * Получает список игровых миров и баз логинов
+     * @returns {Promise<Object[]>} Список миров без паролей подключения
+     */
+    async list() {
+        try {
+            const rows = await masterDb.query(
+                "SELECT * FROM realms ORDER BY type, name",
+                {
+                    type: QueryTypes.SELECT
+                }
+            );
+
+            return rows.map(mapRealmRow);
+        } catch (error) {
+            logger.error(`Ошибка при получении списка игровых миров: ${error.message}`);
+            throw error;
+        }
+    },
+
+    /**
+     * Получает включенные миры вместе с настройками подключения
+     * @returns {Promise<Object[]>} Список миров с полем connection
+     */
+    async listEnabled() {
+        try {
+            const rows = await masterDb.query(
+                "SELECT * FROM realms WHERE enabled = 1 ORDER BY type, name",
+                {
+                    type: QueryTypes.SELECT
+                }
+            );
+
+            return rows.map((row) => ({
+                ...mapRealmRow(row),
+                connection: mapConnection(row)
+            }));
+        } catch (error) {
+            logger.error(`Ошибка при получении включенных игровых миров: ${error.message}`);
+            throw error;
+        }
+    },
+
+    /**
+     * Получает мир по типу и имени
+     * @param {string} type - Тип мира (login или game)
+     * @param {string} name - Имя мира
+     * @returns {Promise<Object|null>} Данные мира или null, если мир не найден
+     */
+    async get(type, name) {
+        try {
+            const [row] = await masterDb.query(
+                "SELECT * FROM realms WHERE type = ? AND name = ?",
+                {
+                    replacements: [type, name],
+                    type: QueryTypes.SELECT
+                }
+            );
+
+            return row ? mapRealmRow(row) : null;
+        } catch (error) {
+            logger.error(`Ошибка при получении игрового мира ${type}:${name}: ${error.message}`);
+            throw error;
+        }
+    },
+
+    /**
+     * Получает настройки подключения мира
+     * @param {string} type - Тип мира (login или game)
+     * @param {string} name - Имя мира
+     * @returns {Promise<Object|null>} Настройки подключения или null, если мир не найден
+     */
+    async getConnection(type, name) {
+        try {
+            const [row] = await masterDb.query(
+                "SELECT * FROM realms WHERE type = ? AND name = ?",
+                {
+                    replacements: [type, name],
+                    type: QueryTypes.SELECT
+                }
+            );
+
+            return row ? mapConnection(row) : null;
+        } catch (error) {
+            logger.error(`Ошибка при получении настроек подключения ${type}:${name}: ${error.message}`);
+            throw error;
+        }
+    },
+
+    /**
+     * Добавляет мир в реестр
+     * @param {Object} realmData - Данные мира
+     * @param {string} realmData.name - Имя мира
+     * @param {string} realmData.type - Тип мира (login или game)
+     * @param {string|null} realmData.title - Название мира
+     * @param {Object} realmData.connection - Настройки подключения ({ host, port, user, password, name })
+     * @param {string|null} realmData.loginRealm - База логинов игрового мира (только для type = game)
+     * @returns {Promise<Object>} Данные созданного мира
+     */
+    async create({ name, type, title = null, connection, loginRealm = null }) {
+        try {
+            logger.debug(`Добавление игрового мира ${type}:${name}`);
+
+            const now = Math.floor(Date.now() / 1000);
+
+            await masterDb.query(
+                `INSERT INTO realms (name, type, title, host, port, db_user, db_password, db_name, login_realm, created_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                {
+                    replacements: [
+                        name,
+                        type,
+                        title,
+                        connection.host,
+                        connection.port,
+                        connection.user,
+                        connection.password || "",
+                        connection.name,
+                        type === "game" ? loginRealm : null,
+                        now
+                    ],
+                    type: QueryTypes.INSERT
+                }
+            );
+
+            logger.info(`Добавлен игровой мир ${type}:${name}`);
+
+            return this.get(type, name);
+        } catch (error) {
+            logger.error(`Ошибка при добавлении игрового мира ${type}:${name}: ${error.message}`);
+            throw error;
+        }
+    },
+
+    /**
+     * Включает или отключает мир
+     * @param {string} type - Тип мира (login или game)
+     * @param {string} name - Имя мира
+     * @param {boolean} enabled - Новое состояние
+     * @returns {Promise<boolean>} true, если мир найден
+     */
+    async setEnabled(type, name, enabled) {
+        try {
+            const now = Math.floor(Date.now() / 1000);
+
+            const [, affectedRows] = await masterDb.query(
+                "UPDATE realms SET enabled = ?, updated_at = ? WHERE type = ? AND name = ?",
+                {
+                    replacements: [enabled ? 1 : 0, now, type, name],
+                    type: QueryTypes.UPDATE
+                }
+            );
+
+            if (affectedRows > 0) {
+                logger.info(`Игровой мир ${type}:${name} ${enabled ? "включен" : "отключен"}`);
+            }
+
+            return affectedRows > 0;
+        } catch (error) {
+            logger.error(`Ошибка при изменении состояния игрового мира ${type}:${name}: ${error.message}`);
+            throw error;
+        }
+    },
+
+    /**
+     * Удаляет мир
+     * @param {string} type - Тип мира (login или game)
+     * @param {string} name - Имя мира
+     * @returns {Promise<boolean>} true, если мир найден и удален
+     */
+    async remove(type, name) {
+        try {
+            const affectedRows = await masterDb.query(
+                "DELETE FROM realms WHERE type = ? AND name = ?",
+                {
+                    replacements: [type, name],
+                    type: QueryTypes.BULKDELETE
+                }
+            );
+
+            if (affectedRows > 0) {
+                logger.info(`Удален игровой мир ${type}:${name}`);
+            }
+
+            return affectedRows > 0;
+        } catch (error) {
+            logger.error(`Ошибка при удалении игрового мира ${type}:${name}: ${error.message}`);
+            throw error;
+        }
+    },
+
+    /**
+     * Получает включенные игровые миры, использующие указанную базу логинов
+     * @param {string} loginRealm - Имя базы логинов
+     * @returns {Promise<string[]>} Имена игровых миров
+     */
+    async getGameRealmsByLogin(loginRealm) {
+        try {
+            const rows = await masterDb.query(
+                "SELECT name FROM realms WHERE type = 'game' AND login_realm = ? AND enabled = 1",
+                {
+                    replacements: [loginRealm],
+                    type: QueryTypes.SELECT
+                }
+            );
+
+            return rows.map((row) => row.name);
+        } catch (error) {
+            logger.error(`Ошибка при получении игровых миров базы логинов ${loginRealm}: ${error.message}`);
+            throw error;
+        }
+    }
+};
+
+module.exports = realmsDb;
@@ -0,0 +1,145 @@
+const databases = require("../databases");
+const logger = require("../../utils/logger");
+const { QueryTypes } = require("sequelize");
+
+// Сессии хранятся в мастер базе данных API
+const masterDb = databases.master;
+
+/**
+ * Модуль для работы с таблицей api_sessions
+ */
+const sessionsDb = {
+    /**
+     * Создает новую сессию
+     * @param {Object} sessionData - Данные сессии
+     * @param {string} sessionData.login - Логин аккаунта
+     * @param {string} sessionData.realm - Игровой мир, в котором выполнен вход
+     * @param {string} sessionData.refreshTokenHash - Хеш refresh-токена
+     * @param {number} sessionData.expiresAt - Время истечения сессии (Unix timestamp)
+     * @param {string|null} sessionData.ip - IP-адрес клиента
+     * @param {string|null} sessionData.userAgent - User-Agent клиента
+     * @returns {Promise<number>} ID созданной сессии
+     */
+    async create({ login, realm, refreshTokenHash, expiresAt, ip = null, userAgent = null }) {
+        try {
+            logger.debug(`Создание сессии для аккаунта: ${login}`);
+
+            const now = Math.floor(Date.now() / 1000);
+
+            const [sessionId] = await masterDb.query(
+                `INSERT INTO api_sessions (login, realm, refresh_token_hash, ip, user_agent, created_at, expires_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                {
+                    replacements: [login, realm, refreshTokenHash, ip, userAgent ? userAgent.substring(0, 255) : null, now, expiresAt],
+                    type: QueryTypes.INSERT
+                }
+            );
+
+            logger.info(`Создана сессия ${sessionId} для аккаунта: ${login}`);
+            return sessionId;
+        } catch (error) {
+            logger.error(`Ошибка при создании сессии: ${error.message}`);
+            throw error;
+        }
+    },
+
+    /**
+     * Находит активную сессию по хешу refresh-токена
+     * @param {string} refreshTokenHash - Хеш refresh-токена
+     * @returns {Promise<Object|null>} Данные сессии или null, если сессия не найдена или истекла
+     */
+    async findActiveByRefreshToken(refreshTokenHash) {
+        try {
+            const now = Math.floor(Date.now() / 1000);
+
+            const [session] = await masterDb.query(
+                `SELECT id, login, realm, created_at, expires_at
+                 FROM api_sessions
+                 WHERE refresh_token_hash = ? AND revoked_at IS NULL AND expires_at > ?`,
+                {
+                    replacements: [refreshTokenHash, now],
+                    type: QueryTypes.SELECT
+                }
+            );
+
+            return session || null;
+        } catch (error) {
+            logger.error(`Ошибка при поиске сессии по refresh-токену: ${error.message}`);
+            throw error;
+        }
+    },
+
+    /**
+     * Проверяет, что сессия с указанным ID активна
+     * @param {number} sessionId - ID сессии
+     * @returns {Promise<boolean>} true, если сессия не отозвана и не истекла
+     */
+    async isActive(sessionId) {
+        try {
+            const now = Math.floor(Date.now() / 1000);
+
+            const [results] = await masterDb.query(
+                `SELECT COUNT(*) as count
+                 FROM api_sessions
+                 WHERE id = ? AND revoked_at IS NULL AND expires_at > ?`,
+                {
+                    replacements: [sessionId, now],
+                    type: QueryTypes.SELECT
+                }
+            );
+
+            return results.count > 0;
+        } catch (error) {
+            logger.error(`Ошибка при проверке сессии ${sessionId}: ${error.message}`);
+            throw error;
+        }
+    },
+
+    /**
+     * Заменяет refresh-токен сессии (ротация токена)
+     * @param {number} sessionId - ID сессии
+     * @param {string} refreshTokenHash - Хеш нового refresh-токена
+     * @param {number} expiresAt - Новое время истечения сессии (Unix timestamp)
+     * @returns {Promise<void>}
+     */
+    async rotate(sessionId, refreshTokenHash, expiresAt) {
+        try {
+            await masterDb.query(
+                "UPDATE api_sessions SET refresh_token_hash = ?, expires_at = ? WHERE id = ?",
+                {
+                    replacements: [refreshTokenHash, expiresAt, sessionId]
+                }
+            );
+
+            logger.debug(`Обновлен refresh-токен сессии ${sessionId}`);
+        } catch (error) {
+            logger.error(`Ошибка при обновлении сессии ${sessionId}: ${error.message}`);
+            throw error;
+        }
+    },
+
+    /**
+     * Отзывает сессию
+     * @param {number} sessionId - ID сессии
+     * @returns {Promise<void>}
+     */
+    async revoke(sessionId) {
+        try {
+            const now = Math.floor(Date.now() / 1000);
+
+            await masterDb.query(
+                "UPDATE api_sessions SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL",
+                {
+                    replacements: [now, sessionId]
+                }
+            );
+
+            logger.info(`Отозвана сессия ${sessionId}`);
+        } catch (error) {
+            logger.error(`Ошибка при отзыве сессии ${sessionId}: ${error.message}`);
+            throw error;
+        }
+    }
+};
+
+module.exports = sessionsDb;
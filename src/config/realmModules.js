@@ -0,0 +1,37 @@
+const databases = require("./databases");
+
+// Подключения по умолчанию для модулей, работающих с базами игровых миров
+const DEFAULT_DATABASES = {
+    gameDb: databases.gameMain,
+    loginDb: databases.login
+};
+
+/**
+ * Создает модуль базы данных для подключения по умолчанию и добавляет ему метод forRealm.
+ * Экземпляры модуля для подключений игровых миров создаются при первом обращении и переиспользуются
+ * @param {Function} factory - Фабрика модуля (loginDb или gameDb) => модуль
+ * @param {string} key - Подключение игрового мира, с которым работает модуль (gameDb или loginDb)
+ * @returns {Object} Модуль, работающий с подключением по умолчанию (databases.gameMain или databases.login)
+ */
+const forRealm = (factory, key) => {
+    const instances = new WeakMap();
+
+    const defaultModule = factory(DEFAULT_DATABASES[key]);
+    instances.set(DEFAULT_DATABASES[key], defaultModule);
+
+    /**
+     * Возвращает модуль для базы данных указанного игрового мира
+     * @param {Object} realm - Игровой мир (req.realm)
+     * @returns {Object} Модуль, работающий с базой данных мира
+     */
+    defaultModule.forRealm = (realm) => {
+        if (!instances.has(realm[key])) {
+            instances.set(realm[key], factory(realm[key]));
+        }
+        return instances.get(realm[key]);
+    };
+
+    return defaultModule;
+};
+
+module.exports = { forRealm };
@@ -0,0 +1,233 @@
+const databases = require("./databases");
+const realmsDb = require("./db/realms");
+const logger = require("../utils/logger");
+require("dotenv").config();
+
+// Игровой мир, используемый, если клиент не указал его явно
+const DEFAULT_REALM = process.env.DEFAULT_REALM || "main";
+
+// Зарегистрированные игровые миры и базы логинов
+const registry = new Map();
+const loginRegistry = new Map();
+
+/**
+ * Формирует имя подключения в объекте databases для мира из реестра
+ * @param {string} type - Тип мира (login или game)
+ * @param {string} name - Имя мира
+ * @returns {string} Имя подключения
+ */
+const getDatabaseName = (type, name) => `realm_${type}_${name}`;
+
+/**
+ * Реестр игровых миров.
+ *
+ * Игровой мир связывает игровую базу данных (персонажи) с базой логинов (аккаунты):
+ *   name    - идентификатор мира, который клиент передает в заголовке X-Realm
+ *   title   - название для документации и ответов API
+ *   gameDb  - подключение Sequelize к игровой базе данных
+ *   loginDb - подключение Sequelize к базе логинов
+ *   loginRealm - идентификатор базы логинов (общий для миров с одной базой логинов)
+ *   source  - env для миров из переменных окружения, database для миров из таблицы realms
+ *
+ * Базы логинов регистрируются отдельно и могут использоваться несколькими игровыми мирами.
+ */
+const realms = {
+    DEFAULT_REALM,
+
+    /**
+     * Регистрирует игровой мир
+     * @param {string} name - Идентификатор мира
+     * @param {Object} realm - Описание мира ({ title, gameDb, loginDb, loginRealm, source })
+     */
+    register: (name, { title, gameDb, loginDb, loginRealm = name, source = "env" }) => {
+        if (registry.has(name)) {
+            logger.warn(`Игровой мир ${name} уже зарегистрирован и будет заменен`);
+        }
+
+        registry.set(name, { name, title: title || name, gameDb, loginDb, loginRealm, source });
+    },
+
+    /**
+     * Регистрирует базу логинов
+     * @param {string} name - Идентификатор базы логинов
+     * @param {Object} loginRealm - Описание базы логинов ({ title, db, source })
+     */
+    registerLogin: (name, { title, db, source = "env" }) => {
+        if (loginRegistry.has(name)) {
+            logger.warn(`База логинов ${name} уже зарегистрирована и будет заменена`);
+        }
+
+        loginRegistry.set(name, { name, title: title || name, db, source });
+    },
+
+    /**
+     * Возвращает игровой мир по идентификатору
+     * @param {string} name - Идентификатор мира
+     * @returns {Object|null} Описание мира или null, если мир не зарегистрирован
+     */
+    get: (name) => {
+        return registry.get(name) || null;
+    },
+
+    /**
+     * Возвращает базу логинов по идентификатору
+     * @param {string} name - Идентификатор базы логинов
+     * @returns {Object|null} Описание базы логинов или null, если она не зарегистрирована
+     */
+    getLogin: (name) => {
+        return loginRegistry.get(name) || null;
+    },
+
+    /**
+     * Возвращает список зарегистрированных миров
+     * @returns {Object[]} Идентификатор, название и признак мира по умолчанию
+     */
+    list: () => Array.from(registry.values()).map((realm) => ({
+        name: realm.name,
+        title: realm.title,
+        isDefault: realm.name === DEFAULT_REALM
+    })),
+
+    /**
+     * Возвращает игровые миры, использующие указанную базу логинов.
+     * Аккаунт из этой базы может иметь персонажей в каждом из них
+     * @param {Sequelize} loginDb - Подключение к базе логинов
+     * @returns {Object[]} Описания игровых миров
+     */
+    listByLoginDb: (loginDb) => Array.from(registry.values()).filter((realm) => realm.loginDb === loginDb),
+
+    /**
+     * Возвращает список зарегистрированных миров и баз логинов с источником конфигурации
+     * @returns {Object[]} Имя, тип, название и источник каждого мира
+     */
+    listActive: () => [
+        ...Array.from(loginRegistry.values()).map((realm) => ({
+            name: realm.name,
+            type: "login",
+            title: realm.title,
+            source: realm.source
+        })),
+        ...Array.from(registry.values()).map((realm) => ({
+            name: realm.name,
+            type: "game",
+            title: realm.title,
+            source: realm.source
+        }))
+    ],
+
+    /**
+     * Возвращает подключение Sequelize зарегистрированного мира
+     * @param {string} type - Тип мира (login или game)
+     * @param {string} name - Имя мира
+     * @returns {Sequelize|null} Подключение или null, если мир не зарегистрирован
+     */
+    getConnection: (type, name) => {
+        const realm = type === "login" ? loginRegistry.get(name) : registry.get(name);
+
+        if (!realm) return null;
+        return type === "login" ? realm.db : realm.gameDb;
+    },
+
+    /**
+     * Подключает мир из таблицы realms
+     * @param {Object} realm - Мир из realmsDb.listEnabled() (с полем connection)
+     * @throws {Error} Если для игрового мира не найдена база логинов
+     */
+    activate: (realm) => {
+        if (realm.type === "login") {
+            const db = databases.addDatabase(getDatabaseName("login", realm.name), realm.connection);
+            realms.registerLogin(realm.name, { title: realm.title, db, source: "database" });
+            return;
+        }
+
+        const loginRealm = loginRegistry.get(realm.loginRealm);
+
+        if (!loginRealm) {
+            throw new Error(`База логинов ${realm.loginRealm} для игрового мира ${realm.name} не подключена`);
+        }
+
+        const gameDb = databases.addDatabase(getDatabaseName("game", realm.name), realm.connection);
+        realms.register(realm.name, {
+            title: realm.title,
+            gameDb,
+            loginDb: loginRealm.db,
+            loginRealm: loginRealm.name,
+            source: "database"
+        });
+    },
+
+    /**
+     * Отключает мир из таблицы realms и закрывает его подключение
+     * @param {string} type - Тип мира (login или game)
+     * @param {string} name - Имя мира
+     * @returns {Promise<void>}
+     */
+    deactivate: async (type, name) => {
+        const targetRegistry = type === "login" ? loginRegistry : registry;
+        const realm = targetRegistry.get(name);
+
+        if (!realm || realm.source !== "database") {
+            return;
+        }
+
+        targetRegistry.delete(name);
+        await databases.removeDatabase(getDatabaseName(type, name));
+    },
+
+    /**
+     * Загружает включенные миры из мастер базы данных.
+     * Сначала подключаются базы логинов, затем использующие их игровые миры
+     * @returns {Promise<void>}
+     */
+    load: async () => {
+        try {
+            const enabledRealms = await realmsDb.listEnabled();
+            const ordered = [
+                ...enabledRealms.filter((realm) => realm.type === "login"),
+                ...enabledRealms.filter((realm) => realm.type === "game")
+            ];
+
+            ordered.forEach((realm) => {
+                try {
+                    realms.activate(realm);
+                    logger.info(`Подключен игровой мир ${realm.type}:${realm.name} из реестра`);
+                } catch (error) {
+                    logger.error(`Ошибка при подключении игрового мира ${realm.type}:${realm.name}: ${error.message}`);
+                }
+            });
+        } catch (error) {
+            logger.error(`Ошибка при загрузке реестра игровых миров: ${error.message}`);
+        }
+
+        if (!registry.has(DEFAULT_REALM)) {
+            logger.error(`Ошибка конфигурации: игровой мир по умолчанию ${DEFAULT_REALM} не зарегистрирован`);
+        }
+    }
+};
+
+// Базы логинов и миры, подключения к которым описаны в переменных окружения
+realms.registerLogin("main", {
+    title: "Основная база логинов",
+    db: databases.login
+});
+
+realms.registerLogin("test", {
+    title: "Тестовая база логинов",
+    db: databases.loginTest
+});
+
+realms.register("main", {
+    title: "Основной сервер",
+    gameDb: databases.gameMain,
+    loginDb: databases.login,
+    loginRealm: "main"
+});
+
+realms.register("test", {
+    title: "Тестовый сервер",
+    gameDb: databases.gameTest,
+    loginDb: databases.loginTest,
+    loginRealm: "test"
+});
+
+module.exports = realms;
@@ -0,0 +1,69 @@
+const logger = require("../utils/logger");
+const eventBus = require("../utils/eventBus");
+const accountBansDb = require("../config/db/accountBans");
+require("dotenv").config();
+
+// Период проверки истекших банов (секунды)
+const CHECK_SECONDS = parseInt(process.env.BAN_EXPIRY_CHECK_SECONDS || "60", 10);
+
+// Событие, которое публикуется для каждого истекшего бана
+const BAN_EXPIRED_EVENT = "account.ban.expired";
+
+let timer = null;
+let running = false;
+
+/**
+ * Модуль периодической обработки истекших банов аккаунтов.
+ * Закрывает баны в истории банов и публикует событие account.ban.expired.
+ * Поле ban_expire в базе логинов не изменяется: игровой сервер сам перестает считать аккаунт забаненным
+ */
+const banExpiryJob = {
+    BAN_EXPIRED_EVENT,
+
+    /**
+     * Закрывает истекшие баны и публикует события о них
+     * @returns {Promise<number>} Количество обработанных банов
+     */
+    async checkExpired() {
+        if (running) return 0;
+        running = true;
+
+        try {
+            const expiredBans = await accountBansDb.closeExpired();
+
+            expiredBans.forEach((ban) => {
+                logger.info(`Истек бан ${ban.id} аккаунта ${ban.login} (${ban.loginRealm})`);
+
+                eventBus.publish(BAN_EXPIRED_EVENT, {
+                    loginRealm: ban.loginRealm,
+                    login: ban.login,
+                    banId: ban.id,
+                    reason: ban.reason,
+                    expiredAt: new Date(ban.expiresAt * 1000).toISOString()
+                });
+            });
+
+            return expiredBans.length;
+        } catch (error) {
+            logger.error(`Ошибка при обработке истекших банов: ${error.message}`);
+            return 0;
+        } finally {
+            running = false;
+        }
+    },
+
+    /**
+     * Запускает периодическую проверку истекших банов
+     */
+    start() {
+        if (timer) return;
+
+        banExpiryJob.checkExpired();
+        timer = setInterval(() => banExpiryJob.checkExpired(), CHECK_SECONDS * 1000);
+        timer.unref();
+
+        logger.info(`Проверка истекших банов запущена (каждые ${CHECK_SECONDS} с)`);
+    }
+};
+
+module.exports = banExpiryJob;
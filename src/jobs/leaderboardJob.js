@@ -0,0 +1,118 @@
+const logger = require("../utils/logger");
+const realms = require("../config/realms");
+const accountsDb = require("../config/db/accounts");
+const leaderboardsDb = require("../config/db/leaderboards");
+require("dotenv").config();
+
+// Настройки рейтингов
+const REFRESH_SECONDS = parseInt(process.env.LEADERBOARD_REFRESH_SECONDS || "600", 10);  // Период пересчета
+const LEADERBOARD_SIZE = parseInt(process.env.LEADERBOARD_SIZE || "100", 10);           // Количество позиций в рейтинге
+
+// Доступные рейтинги
+const LEADERBOARDS = {
+    pvp: "PvP-убийства",
+    pk: "PK-убийства",
+    online: "Время в игре (секунды)",
+    level: "Уровень",
+    adena: "Адена",
+    clans: "Репутация кланов"
+};
+
+// Рассчитанные рейтинги по игровым мирам: { updatedAt, boards }
+const cache = new Map();
+
+// Выполняющиеся пересчеты по игровым мирам
+const inFlight = new Map();
+
+let timer = null;
+
+/**
+ * Пересчитывает все рейтинги игрового мира
+ * @param {Object} realm - Игровой мир
+ * @returns {Promise<Object>} Рассчитанные рейтинги
+ */
+const computeRealm = async (realm) => {
+    const startedAt = Date.now();
+    const leaderboards = leaderboardsDb.forRealm(realm);
+    const accounts = accountsDb.forRealm(realm);
+    const findExcludedAccounts = (accountNames) => accounts.getRankingExcludedLogins(accountNames);
+
+    const boards = {};
+
+    for (const board of leaderboardsDb.CHARACTER_BOARDS) {
+        boards[board] = await leaderboards.getCharacterBoard(board, { limit: LEADERBOARD_SIZE, findExcludedAccounts });
+    }
+
+    boards.clans = await leaderboards.getClanBoard({ limit: LEADERBOARD_SIZE });
+
+    const result = {
+        updatedAt: Math.floor(Date.now() / 1000),
+        boards
+    };
+
+    cache.set(realm.name, result);
+    logger.debug(`Рейтинги мира ${realm.name} пересчитаны за ${Date.now() - startedAt} мс`);
+
+    return result;
+};
+
+/**
+ * Модуль периодического пересчета публичных рейтингов
+ */
+const leaderboardJob = {
+    LEADERBOARDS,
+    LEADERBOARD_SIZE,
+
+    /**
+     * Пересчитывает рейтинги игрового мира. Параллельные вызовы для одного мира ожидают один пересчет
+     * @param {Object} realm - Игровой мир
+     * @returns {Promise<Object>} Рассчитанные рейтинги
+     */
+    refreshRealm(realm) {
+        if (!inFlight.has(realm.name)) {
+            inFlight.set(realm.name, computeRealm(realm).finally(() => inFlight.delete(realm.name)));
+        }
+        return inFlight.get(realm.name);
+    },
+
+    /**
+     * Пересчитывает рейтинги всех подключенных игровых миров
+     * @returns {Promise<void>}
+     */
+    async refreshAll() {
+        for (const { name } of realms.list()) {
+            const realm = realms.get(name);
+
+            try {
+                await leaderboardJob.refreshRealm(realm);
+            } catch (error) {
+                logger.error(`Ошибка при пересчете рейтингов мира ${name}: ${error.message}`);
+            }
+        }
+    },
+
+    /**
+     * Возвращает рейтинги игрового мира из кэша.
+     * Если рейтинги еще не рассчитаны, рассчитывает их
+     * @param {Object} realm - Игровой мир
+     * @returns {Promise<Object>} Рейтинги ({ updatedAt, boards })
+     */
+    async get(realm) {
+        return cache.get(realm.name) || leaderboardJob.refreshRealm(realm);
+    },
+
+    /**
+     * Запускает периодический пересчет рейтингов
+     */
+    start() {
+        if (timer) return;
+
+        leaderboardJob.refreshAll();
+        timer = setInterval(() => leaderboardJob.refreshAll(), REFRESH_SECONDS * 1000);
+        timer.unref();
+
+        logger.info(`Пересчет рейтингов запущен (каждые ${REFRESH_SECONDS} с)`);
+    }
+};
+
+module.exports = leaderboardJob;
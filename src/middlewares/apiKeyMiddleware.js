@@ -1,24 +1,93 @@
+const crypto = require("crypto");
 const logger = require("../utils/logger");
+const apiKeysDb = require("../config/db/apiKeys");
 require("dotenv").config();
 
-const apiKeyMiddleware = (req, res, next) => {
-    const apiKeyHeader = process.env.API_KEY_HEADER || 'X-API-Key';
-    const expectedApiKey = process.env.API_KEY;
+// Маршруты, которые не требуют API-ключа: личный кабинет (защищен учетными данными
+// игрока или токеном сессии) и публичные данные сайта.
+// prefix: true - маршрут открыт вместе со всеми вложенными путями
+const publicRoutes = [
+    { method: "POST", path: "/login/account/login" },
+    { method: "POST", path: "/login/account/refresh" },
+    { method: "POST", path: "/login/account/logout" },
+    { method: "GET", path: "/login/account/me" },
+    { method: "GET", path: "/game/leaderboards", prefix: true }
+];
 
-    // Получаем API-ключ из заголовка
-    const providedApiKey = req.get(apiKeyHeader);
+const isPublicRoute = (req) => publicRoutes.some(
+    (route) => route.method === req.method &&
+        (route.path === req.path || (route.prefix && req.path.startsWith(`${route.path}/`)))
+);
 
-    // Проверяем наличие и соответствие API-ключа
-    if (!providedApiKey || providedApiKey !== expectedApiKey) {
-        logger.warn(`Неудачная попытка доступа к API. Предоставленный ключ: ${providedApiKey}`);
-        return res.status(401).json({
-            error: 'Неавторизованный доступ',
-            message: 'Требуется действительный API-ключ'
-        });
+// Маршруты, доступные игроку из личного кабинета по токену сессии вместо API-ключа.
+// Токен и права игрока проверяет сам маршрут
+const sessionRoutes = [
+    { method: "POST", pattern: /^\/game\/characters\/\d+\/unstuck$/ }
+];
+
+const isSessionRequest = (req, apiKeyHeader) =>
+    !req.get(apiKeyHeader) &&
+    (req.get("Authorization") || "").startsWith("Bearer ") &&
+    sessionRoutes.some((route) => route.method === req.method && route.pattern.test(req.path));
+
+/**
+ * Проверяет ключ из переменной окружения API_KEY.
+ * Этот ключ имеет полный доступ и нужен для первоначальной настройки реестра ключей
+ * @param {string} providedApiKey - Предоставленный ключ
+ * @returns {boolean} true, если ключ совпадает с API_KEY
+ */
+const isBootstrapKey = (providedApiKey) => {
+    const bootstrapKey = process.env.API_KEY;
+    if (!bootstrapKey) return false;
+
+    const provided = Buffer.from(providedApiKey);
+    const expected = Buffer.from(bootstrapKey);
+    return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+};
+
+const apiKeyMiddleware = async (req, res, next) => {
+    if (isPublicRoute(req)) {
+        return next();
     }
 
-    // Если ключ верен, пропускаем запрос далее
-    next();
+    try {
+        const apiKeyHeader = process.env.API_KEY_HEADER || 'X-API-Key';
+
+        if (isSessionRequest(req, apiKeyHeader)) {
+            return next();
+        }
+
+        // Получаем API-ключ из заголовка
+        const providedApiKey = req.get(apiKeyHeader);
+
+        // Ищем ключ в реестре, а ключ из окружения используем как мастер-ключ
+        let apiKey = null;
+        if (providedApiKey) {
+            apiKey = isBootstrapKey(providedApiKey)
+                ? { id: null, name: 'bootstrap', scopes: ['*'] }
+                : await apiKeysDb.resolve(providedApiKey);
+        }
+
+        if (!apiKey) {
+            logger.warn(`Неудачная попытка доступа к API. Предоставленный ключ: ${providedApiKey ? `${providedApiKey.substring(0, 12)}...` : providedApiKey}`);
+            return res.status(401).json({
+                error: 'Неавторизованный доступ',
+                message: 'Требуется действительный API-ключ'
+            });
+        }
+
+        // Сохраняем информацию о клиенте для обработчиков и логов
+        req.apiKey = apiKey;
+        logger.debug(`Запрос ${req.method} ${req.originalUrl} от API-ключа ${apiKey.name}`);
+
+        next();
+    } catch (error) {
+        logger.error(`Ошибка при проверке API-ключа: ${error.message}`);
+        res.status(500).json({
+            error: 'Ошибка при проверке API-ключа',
+            details: error.message
+        });
+    }
 };
 
 module.exports = apiKeyMiddleware;
\ No newline at end of file
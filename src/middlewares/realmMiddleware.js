@@ -0,0 +1,24 @@
+const logger = require("../utils/logger");
+const realms = require("../config/realms");
+
+/**
+ * Определяет игровой мир запроса по заголовку X-Realm (или параметру realm)
+ * и добавляет его в req.realm. Без указания мира используется DEFAULT_REALM
+ */
+const realmMiddleware = (req, res, next) => {
+    const name = req.get("X-Realm") || req.query.realm || realms.DEFAULT_REALM;
+    const realm = realms.get(name);
+
+    if (!realm) {
+        logger.warn(`Запрос к неизвестному игровому миру: ${name}`);
+        return res.status(400).json({
+            error: "Неверный формат данных",
+            details: `Неизвестный игровой мир: ${name}. Доступные миры: ${realms.list().map((item) => item.name).join(", ")}`
+        });
+    }
+
+    req.realm = realm;
+    next();
+};
+
+module.exports = realmMiddleware;
@@ -0,0 +1,40 @@
+const logger = require("../utils/logger");
+
+/**
+ * Проверяет, покрывает ли набор областей доступа требуемую область.
+ * Поддерживаются шаблоны "*" (полный доступ) и "accounts:*" (все действия ресурса)
+ * @param {string[]} grantedScopes - Области доступа API-ключа
+ * @param {string} requiredScope - Требуемая область доступа (например, "accounts:read")
+ * @returns {boolean} true, если доступ разрешен
+ */
+const hasScope = (grantedScopes = [], requiredScope) => {
+    const [resource] = requiredScope.split(":");
+
+    return grantedScopes.some((scope) =>
+        scope === "*" || scope === requiredScope || scope === `${resource}:*`
+    );
+};
+
+/**
+ * Создает middleware, пропускающий только API-ключи с указанной областью доступа
+ * @param {string} requiredScope - Требуемая область доступа
+ * @returns {Function} Express middleware
+ */
+const requireScope = (requiredScope) => (req, res, next) => {
+    const apiKey = req.apiKey;
+
+    if (!apiKey || !hasScope(apiKey.scopes, requiredScope)) {
+        logger.warn(`Отказ в доступе для API-ключа ${apiKey ? apiKey.name : "-"}: требуется ${requiredScope} (${req.method} ${req.originalUrl})`);
+        return res.status(403).json({
+            error: "Доступ запрещен",
+            message: `API-ключу требуется область доступа ${requiredScope}`
+        });
+    }
+
+    next();
+};
+
+module.exports = {
+    hasScope,
+    requireScope
+};
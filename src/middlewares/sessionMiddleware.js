@@ -0,0 +1,43 @@
+const logger = require("../utils/logger");
+const tokenUtils = require("../utils/tokenUtils");
+const sessionsDb = require("../config/db/sessions");
+
+/**
+ * Проверяет access-токен из заголовка Authorization: Bearer <token>
+ * и добавляет данные сессии в req.session
+ */
+const sessionMiddleware = async (req, res, next) => {
+    try {
+        const authHeader = req.get("Authorization") || "";
+        const [scheme, token] = authHeader.split(" ");
+
+        if (scheme !== "Bearer" || !token) {
+            return res.status(401).json({
+                error: "Неавторизованный доступ",
+                message: "Требуется access-токен сессии"
+            });
+        }
+
+        const payload = tokenUtils.verifyAccessToken(token);
+
+        // Токен должен быть валидным, а сессия - не отозванной
+        if (!payload || !(await sessionsDb.isActive(payload.sessionId))) {
+            logger.warn(`Недействительный access-токен сессии`);
+            return res.status(401).json({
+                error: "Неавторизованный доступ",
+                message: "Access-токен недействителен или истек"
+            });
+        }
+
+        req.session = payload;
+        next();
+    } catch (error) {
+        logger.error(`Ошибка при проверке сессии: ${error.message}`);
+        res.status(500).json({
+            error: "Ошибка при проверке сессии",
+            details: error.message
+        });
+    }
+};
+
+module.exports = sessionMiddleware;
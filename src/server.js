@@ -1,12 +1,21 @@
 const logger = require("./utils/logger"); // Исправлен путь к модулю
 const app = require("./app");
+const realms = require("./config/realms");
+const leaderboardJob = require("./jobs/leaderboardJob");
+const banExpiryJob = require("./jobs/banExpiryJob");
 require("dotenv").config(); // Подключаем переменные окружения
 
 const PORT = process.env.PORT || 3000;
 
-app.listen(PORT, () => {
-    logger.info(`API-сервер запущен: http://localhost:${PORT}`);
-    logger.debug(`Режим отладки активирован`);
-    logger.warn(`Предупреждение: проверка конфигурации`);
-    logger.error(`Тестовое сообщение об ошибке`);
+// Подключаем игровые миры из реестра до приема запросов
+realms.load().then(() => {
+    leaderboardJob.start();
+    banExpiryJob.start();
+
+    app.listen(PORT, () => {
+        logger.info(`API-сервер запущен: http://localhost:${PORT}`);
+        logger.debug(`Режим отладки активирован`);
+        logger.warn(`Предупреждение: проверка конфигурации`);
+        logger.error(`Тестовое сообщение об ошибке`);
+    });
 });
\ No newline at end of file
@@ -0,0 +1,96 @@
+// Окончание бессрочного бана: максимальное значение ban_expire (INT) в таблице accounts
+const PERMANENT_BAN_EXPIRE = 2147483647;
+
+// Единицы длительности бана в секундах
+const DURATION_UNITS = {
+    m: 60,
+    h: 3600,
+    d: 86400,
+    w: 604800
+};
+
+/**
+ * Разбирает длительность бана вида "30m", "12h", "7d", "2w"
+ * @param {*} duration - Длительность из запроса
+ * @returns {number|null} Длительность в секундах или null, если формат неверный
+ */
+const parseDuration = (duration) => {
+    const match = typeof duration === "string" && duration.trim().match(/^(\d+)([mhdw])$/);
+
+    if (!match) return null;
+
+    const seconds = parseInt(match[1], 10) * DURATION_UNITS[match[2]];
+    return seconds > 0 ? seconds : null;
+};
+
+/**
+ * Вычисляет окончание бана по одному из способов: дата, длительность или бессрочный бан
+ * @param {Object} options - Параметры бана из запроса
+ * @param {string} options.banExpire - Дата окончания бана
+ * @param {string} options.duration - Длительность бана ("7d", "12h")
+ * @param {boolean} options.permanent - Бессрочный бан
+ * @returns {Object} { expiresAt } (Unix) или { error } с описанием ошибки
+ */
+const resolveBanExpire = ({ banExpire, duration, permanent }) => {
+    const specified = [banExpire, duration, permanent].filter((value) => value !== undefined && value !== null && value !== false);
+
+    if (specified.length !== 1) {
+        return { error: "Укажите ровно один из параметров: banExpire, duration или permanent" };
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+
+    if (permanent !== undefined && permanent !== null && permanent !== false) {
+        return permanent === true ? { expiresAt: PERMANENT_BAN_EXPIRE } : { error: "Параметр permanent должен быть логическим значением" };
+    }
+
+    if (duration !== undefined && duration !== null) {
+        const seconds = parseDuration(duration);
+
+        if (!seconds || now + seconds >= PERMANENT_BAN_EXPIRE) {
+            return { error: "Длительность бана должна быть в формате <число><m|h|d|w>, например 12h или 7d" };
+        }
+
+        return { expiresAt: now + seconds };
+    }
+
+    const expiresAt = Math.floor(new Date(banExpire).getTime() / 1000);
+
+    if (isNaN(expiresAt) || expiresAt <= now) {
+        return { error: "Дата окончания бана должна быть корректной датой в будущем" };
+    }
+
+    return { expiresAt: Math.min(expiresAt, PERMANENT_BAN_EXPIRE) };
+};
+
+/**
+ * Проверяет, является ли бан бессрочным
+ * @param {number} banExpire - Окончание бана (Unix)
+ * @returns {boolean} true для бессрочного бана
+ */
+const isPermanentBan = (banExpire) => banExpire >= PERMANENT_BAN_EXPIRE;
+
+/**
+ * Описывает состояние бана аккаунта для ответов API
+ * @param {number} banExpire - Окончание бана (Unix)
+ * @param {number} now - Текущее время (Unix)
+ * @returns {Object} { isBanned, isPermanentBan, banExpireDate } - banExpireDate равен null, если бана нет или он бессрочный
+ */
+const describeBan = (banExpire, now = Math.floor(Date.now() / 1000)) => {
+    const isBanned = banExpire > now;
+    const permanent = isBanned && isPermanentBan(banExpire);
+
+    return {
+        isBanned,
+        isPermanentBan: permanent,
+        banExpireDate: isBanned && !permanent ? new Date(banExpire * 1000).toISOString() : null
+    };
+};
+
+module.exports = {
+    PERMANENT_BAN_EXPIRE,
+    parseDuration,
+    resolveBanExpire,
+    isPermanentBan,
+    describeBan
+};
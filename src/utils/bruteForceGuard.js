@@ -0,0 +1,93 @@
+const logger = require("./logger");
+const authLockoutsDb = require("../config/db/authLockouts");
+require("dotenv").config();
+
+// Настройки защиты от перебора паролей
+const LOGIN_THRESHOLD = parseInt(process.env.LOCKOUT_LOGIN_THRESHOLD || "5", 10);   // Неудачных попыток на логин до блокировки
+const IP_THRESHOLD = parseInt(process.env.LOCKOUT_IP_THRESHOLD || "20", 10);        // Неудачных попыток с одного IP до блокировки
+const BASE_SECONDS = parseInt(process.env.LOCKOUT_BASE_SECONDS || "60", 10);        // Длительность первой блокировки
+const MAX_SECONDS = parseInt(process.env.LOCKOUT_MAX_SECONDS || "3600", 10);        // Максимальная длительность блокировки
+const WINDOW_SECONDS = parseInt(process.env.LOCKOUT_WINDOW_SECONDS || "900", 10);   // Через сколько секунд без ошибок счетчик сбрасывается
+
+/**
+ * Вычисляет длительность блокировки: каждая следующая неудача после порога удваивает время
+ * @param {number} failures - Количество неудачных попыток
+ * @param {number} threshold - Порог блокировки
+ * @returns {number} Длительность блокировки в секундах (0 - без блокировки)
+ */
+const getLockDuration = (failures, threshold) => {
+    if (failures < threshold) return 0;
+    return Math.min(BASE_SECONDS * Math.pow(2, failures - threshold), MAX_SECONDS);
+};
+
+/**
+ * Формирует список субъектов для проверки
+ * @param {Object} client - Данные клиента
+ * @param {string} client.login - Логин
+ * @param {string} client.ip - IP-адрес
+ * @returns {Object[]} Субъекты с порогами блокировки
+ */
+const getSubjects = ({ login, ip }) => [
+    login && { type: "login", subject: login.toLowerCase(), threshold: LOGIN_THRESHOLD },
+    ip && { type: "ip", subject: ip, threshold: IP_THRESHOLD }
+].filter(Boolean);
+
+/**
+ * Модуль защиты проверки пароля от перебора
+ */
+const bruteForceGuard = {
+    /**
+     * Проверяет, заблокирован ли вход для логина или IP-адреса
+     * @param {Object} client - Данные клиента ({ login, ip })
+     * @returns {Promise<Object>} { locked, type, retryAfter } - retryAfter в секундах
+     */
+    async check(client) {
+        const now = Math.floor(Date.now() / 1000);
+
+        for (const { type, subject } of getSubjects(client)) {
+            const state = await authLockoutsDb.get(type, subject);
+
+            if (state && state.locked_until > now) {
+                return {
+                    locked: true,
+                    type,
+                    retryAfter: state.locked_until - now
+                };
+            }
+        }
+
+        return { locked: false };
+    },
+
+    /**
+     * Учитывает неудачную попытку входа и при превышении порога блокирует вход
+     * @param {Object} client - Данные клиента ({ login, ip })
+     * @returns {Promise<void>}
+     */
+    async registerFailure(client) {
+        const now = Math.floor(Date.now() / 1000);
+
+        for (const { type, subject, threshold } of getSubjects(client)) {
+            const state = await authLockoutsDb.registerFailure(type, subject, WINDOW_SECONDS);
+            const duration = getLockDuration(state.failures, threshold);
+
+            if (duration > 0) {
+                await authLockoutsDb.lock(type, subject, now + duration);
+            } else {
+                logger.debug(`Неудачная попытка входа ${type}:${subject} (${state.failures} из ${threshold})`);
+            }
+        }
+    },
+
+    /**
+     * Сбрасывает счетчик логина после успешного входа.
+     * Счетчик IP-адреса не сбрасывается, чтобы один верный пароль не обнулял перебор с этого адреса
+     * @param {Object} client - Данные клиента ({ login })
+     * @returns {Promise<void>}
+     */
+    async registerSuccess({ login }) {
+        await authLockoutsDb.reset("login", login.toLowerCase());
+    }
+};
+
+module.exports = bruteForceGuard;
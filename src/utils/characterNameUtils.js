@@ -0,0 +1,44 @@
+require("dotenv").config();
+
+// Правила имени персонажа. Должны совпадать с настройками игрового сервера (CnameTemplate)
+const NAME_PATTERN = new RegExp(process.env.CHARACTER_NAME_PATTERN || "^[A-Za-z0-9]+$");  // Допустимые символы имени
+const NAME_MIN_LENGTH = parseInt(process.env.CHARACTER_NAME_MIN_LENGTH || "2", 10);          // Минимальная длина имени
+const NAME_MAX_LENGTH = parseInt(process.env.CHARACTER_NAME_MAX_LENGTH || "16", 10);         // Максимальная длина имени
+
+// Запрещенные слова через запятую. Имя не может содержать их в любом регистре
+const FORBIDDEN_WORDS = (process.env.CHARACTER_NAME_FORBIDDEN_WORDS || "")
+    .split(",")
+    .map((word) => word.trim().toLowerCase())
+    .filter(Boolean);
+
+/**
+ * Проверяет имя персонажа по длине, шаблону и списку запрещенных слов
+ * @param {*} name - Имя из запроса
+ * @returns {string|null} Описание ошибки или null, если имя допустимо
+ */
+const validateCharacterName = (name) => {
+    if (typeof name !== "string" || name.length === 0) {
+        return "Имя персонажа обязательно";
+    }
+
+    if (name.length < NAME_MIN_LENGTH || name.length > NAME_MAX_LENGTH) {
+        return `Имя персонажа должно содержать от ${NAME_MIN_LENGTH} до ${NAME_MAX_LENGTH} символов`;
+    }
+
+    if (!NAME_PATTERN.test(name)) {
+        return "Имя персонажа содержит недопустимые символы";
+    }
+
+    const lowerName = name.toLowerCase();
+    const forbiddenWord = FORBIDDEN_WORDS.find((word) => lowerName.includes(word));
+
+    if (forbiddenWord) {
+        return `Имя персонажа содержит запрещенное слово: ${forbiddenWord}`;
+    }
+
+    return null;
+};
+
+module.exports = {
+    validateCharacterName
+};
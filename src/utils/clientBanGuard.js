@@ -0,0 +1,138 @@
+const net = require("net");
+const logger = require("./logger");
+const clientBansDb = require("../config/db/clientBans");
+
+// Минимальная длина префикса CIDR: более широкий диапазон заблокирует слишком много игроков
+const MIN_PREFIX = { 4: 8, 6: 32 };
+
+/**
+ * Приводит IPv4-адрес в виде IPv6 (::ffff:1.2.3.4) к обычному IPv4
+ * @param {string} ip - IP-адрес
+ * @returns {string} IP-адрес
+ */
+const normalizeIp = (ip) => (ip.startsWith("::ffff:") && net.isIPv4(ip.slice(7)) ? ip.slice(7) : ip);
+
+/**
+ * Разбирает IP-адрес или диапазон CIDR
+ * @param {string} value - Адрес ("1.2.3.4") или диапазон ("1.2.3.0/24")
+ * @returns {Object|null} { address, prefix, family } или null, если значение некорректно
+ */
+const parseIpRange = (value) => {
+    const [rawAddress, rawPrefix, ...rest] = value.trim().split("/");
+    const address = normalizeIp(rawAddress);
+    const family = net.isIP(address);
+
+    if (!family || rest.length > 0) return null;
+
+    const maxPrefix = family === 4 ? 32 : 128;
+
+    if (rawPrefix === undefined) {
+        return { address, prefix: maxPrefix, family };
+    }
+
+    const prefix = Number(rawPrefix);
+
+    if (!/^\d+$/.test(rawPrefix) || prefix > maxPrefix) return null;
+
+    return { address, prefix, family };
+};
+
+/**
+ * Проверяет, входит ли IP-адрес в диапазон
+ * @param {string} ip - IP-адрес клиента
+ * @param {string} range - Адрес или диапазон CIDR из бана
+ * @returns {boolean} true, если адрес входит в диапазон
+ */
+const ipInRange = (ip, range) => {
+    const parsed = parseIpRange(range);
+    const address = normalizeIp(ip);
+
+    if (!parsed || net.isIP(address) !== parsed.family) return false;
+
+    const type = parsed.family === 4 ? "ipv4" : "ipv6";
+    const blockList = new net.BlockList();
+    blockList.addSubnet(parsed.address, parsed.prefix, type);
+
+    return blockList.check(address, type);
+};
+
+/**
+ * Модуль проверки клиентов по банам HWID и IP-адресов
+ */
+const clientBanGuard = {
+    /**
+     * Проверяет значение бана и приводит его к виду для хранения
+     * @param {string} type - Тип бана (hwid или ip)
+     * @param {*} value - Значение из запроса
+     * @returns {Object} { value } или { error } с описанием ошибки
+     */
+    normalizeRule(type, value) {
+        if (typeof value !== "string" || value.trim() === "") {
+            return { error: "Значение бана обязательно" };
+        }
+
+        if (type === "hwid") {
+            const hwid = value.trim();
+            return hwid.length > 64 ? { error: "HWID не должен превышать 64 символа" } : { value: hwid };
+        }
+
+        const parsed = parseIpRange(value);
+
+        if (!parsed) {
+            return { error: "Значение должно быть IP-адресом или диапазоном CIDR (например, 10.0.0.0/24)" };
+        }
+
+        if (parsed.prefix < MIN_PREFIX[parsed.family]) {
+            return { error: `Длина префикса диапазона должна быть не меньше ${MIN_PREFIX[parsed.family]}` };
+        }
+
+        const maxPrefix = parsed.family === 4 ? 32 : 128;
+        return { value: parsed.prefix === maxPrefix ? parsed.address : `${parsed.address}/${parsed.prefix}` };
+    },
+
+    /**
+     * Проверяет клиента по действующим банам базы логинов и учитывает срабатывание бана
+     * @param {Object} client - Данные клиента
+     * @param {string} client.loginRealm - База логинов
+     * @param {string} client.ip - IP-адрес
+     * @param {Array<string|null>} client.hwids - Известные HWID клиента: переданный клиентом и сохраненный в аккаунте.
+     * Клиенту нельзя доверять, поэтому переданный HWID не заменяет сохраненный, а проверяется вместе с ним
+     * @returns {Promise<Object>} { banned, ban } - ban содержит id, type, reason и expireDate
+     */
+    async check({ loginRealm, ip, hwids = [] }) {
+        const rules = await clientBansDb.listActiveRules(loginRealm);
+        const clientHwids = hwids
+            .filter((hwid) => typeof hwid === "string" && hwid.trim() !== "")
+            .map((hwid) => hwid.trim().toLowerCase());
+
+        const rule = rules.find((item) =>
+            (item.type === "hwid" && clientHwids.includes(item.value.toLowerCase())) ||
+            (item.type === "ip" && ip && ipInRange(ip, item.value))
+        );
+
+        if (!rule) {
+            return { banned: false };
+        }
+
+        // Ошибка счетчика не должна пропускать забаненного клиента
+        try {
+            await clientBansDb.registerHit(rule.id);
+        } catch (error) {
+            logger.warn(`Не удалось учесть срабатывание бана клиента ${rule.id}: ${error.message}`);
+        }
+
+        logger.warn(`Клиент отклонен баном ${rule.type}:${rule.value} (ip ${ip || "-"}, hwid ${clientHwids.join(", ") || "-"})`);
+
+        return {
+            banned: true,
+            ban: {
+                id: rule.id,
+                type: rule.type,
+                reason: rule.reason,
+                expireDate: rule.expires_at !== null ? new Date(rule.expires_at * 1000).toISOString() : null
+            }
+        };
+    }
+};
+
+module.exports = clientBanGuard;
@@ -0,0 +1,29 @@
+const { EventEmitter } = require("events");
+const logger = require("./logger");
+
+/**
+ * Шина событий API. Модули публикуют события (например, "account.ban.expired")
+ * через eventBus.publish(), а интеграции (уведомления, вебхуки) подписываются на них через eventBus.on()
+ */
+const eventBus = new EventEmitter();
+
+/**
+ * Публикует событие. В отличие от emit(), ошибка одного обработчика логируется
+ * и не мешает вызову остальных обработчиков и публикации следующих событий
+ * @param {string} event - Название события
+ * @param {Object} payload - Данные события
+ */
+eventBus.publish = (event, payload) => {
+    eventBus.rawListeners(event).forEach((listener) => {
+        try {
+            // Асинхронный обработчик может завершиться ошибкой уже после возврата из publish()
+            Promise.resolve(listener(payload)).catch((error) => {
+                logger.error(`Ошибка в обработчике события ${event}: ${error.message}`);
+            });
+        } catch (error) {
+            logger.error(`Ошибка в обработчике события ${event}: ${error.message}`);
+        }
+    });
+};
+
+module.exports = eventBus;
@@ -0,0 +1,231 @@
+const crypto = require("crypto");
+const { Whirlpool, encoders } = require("whirlpool-hash");
+
+/**
+ * Реестр алгоритмов хеширования паролей.
+ *
+ * Каждый алгоритм описывается объектом:
+ *   name        - имя алгоритма (значение DEFAULT_PASSWORD_HASH / LEGACY_PASSWORD_HASH)
+ *   prefixed    - true, если хеш хранится в самоописываемом формате "$<name>$<параметры>$<соль>$<хеш>"
+ *   isAvailable - проверяет, что алгоритм поддерживается текущей сборкой Node.js
+ *   hash        - возвращает хеш пароля в формате хранения
+ *   verify      - проверяет пароль по сохраненному хешу
+ *
+ * Хеши Jacksum (sha1, whirlpool2 и т.д.) хранятся без префикса, так как их читает логин-сервер L2.
+ */
+
+/**
+ * Сравнивает строки за постоянное время
+ * @param {string} a - Первая строка
+ * @param {string} b - Вторая строка
+ * @returns {boolean} true, если строки совпадают
+ */
+const safeEqual = (a, b) => {
+    const bufferA = Buffer.from(a);
+    const bufferB = Buffer.from(b);
+    return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+/**
+ * Разбирает хеш в формате "$<name>$<параметры>$<соль>$<хеш>", где параметры - список "имя=число" через запятую
+ * @param {string} stored - Сохраненный хеш
+ * @returns {Object|null} { params, salt, key } или null, если формат хеша нарушен
+ */
+const parsePrefixedHash = (stored) => {
+    const parts = stored.split("$");
+    if (parts.length !== 5 || parts[0] !== "") return null;
+
+    const [, , params, salt, key] = parts;
+    if (!params || !salt || !key) return null;
+
+    const values = {};
+    for (const pair of params.split(",")) {
+        const [name, value] = pair.split("=");
+        if (!/^[1-9]\d{0,9}$/.test(value || "")) return null;
+        values[name] = parseInt(value, 10);
+    }
+
+    const expected = Buffer.from(key, "base64");
+    if (expected.length === 0) return null;
+
+    return { params: values, salt: Buffer.from(salt, "base64"), key: expected };
+};
+
+/**
+ * Создает алгоритм, совместимый с Jacksum (несоленый дайджест в Base64)
+ * @param {string} name - Имя алгоритма
+ * @param {string} cryptoAlgorithm - Имя алгоритма в модуле crypto
+ * @returns {Object} Описание алгоритма
+ */
+const createJacksumHasher = (name, cryptoAlgorithm) => {
+    // В OpenSSL 3 whirlpool перенесен в legacy-провайдер и обычно недоступен,
+    // поэтому используем JS-реализацию из пакета whirlpool-hash
+    const useWhirlpoolFallback = cryptoAlgorithm === "whirlpool" && !crypto.getHashes().includes("whirlpool");
+
+    const hasher = {
+        name,
+        prefixed: false,
+        isAvailable: () => useWhirlpoolFallback || crypto.getHashes().includes(cryptoAlgorithm),
+        hash: (password) => {
+            if (useWhirlpoolFallback) {
+                const binaryPassword = Buffer.from(password, "utf8").toString("binary");
+                return encoders.toBase64(new Whirlpool().getHash(binaryPassword));
+            }
+            return crypto.createHash(cryptoAlgorithm).update(password).digest("base64");
+        },
+        // Сравнение без учета регистра сохранено для совместимости с ранее записанными хешами
+        verify: (password, stored) => safeEqual(hasher.hash(password).toLowerCase(), stored.toLowerCase())
+    };
+
+    return hasher;
+};
+
+// Параметры scrypt (N - стоимость, r - размер блока, p - параллелизм)
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const SCRYPT_KEY_LENGTH = 64;
+
+// Предельные параметры scrypt в сохраненном хеше: хеш с большими значениями считается некорректным
+const SCRYPT_MAX_PARAMS = { N: 1048576, r: 32, p: 16 };
+
+/**
+ * Алгоритм scrypt с солью: $scrypt$N=16384,r=8,p=1$<соль>$<хеш>
+ */
+const scryptHasher = {
+    name: "scrypt",
+    prefixed: true,
+    isAvailable: () => typeof crypto.scryptSync === "function",
+    hash: (password) => {
+        const salt = crypto.randomBytes(16);
+        const key = crypto.scryptSync(password, salt, SCRYPT_KEY_LENGTH, SCRYPT_PARAMS);
+        const params = `N=${SCRYPT_PARAMS.N},r=${SCRYPT_PARAMS.r},p=${SCRYPT_PARAMS.p}`;
+        return `$scrypt$${params}$${salt.toString("base64")}$${key.toString("base64")}`;
+    },
+    verify: (password, stored) => {
+        const parsed = parsePrefixedHash(stored);
+        if (!parsed) return false;
+
+        const { params: options, salt, key: expected } = parsed;
+        const validParams = ["N", "r", "p"].every((name) => options[name] <= SCRYPT_MAX_PARAMS[name]);
+
+        // N должен быть степенью двойки больше 1, иначе scryptSync выбрасывает ошибку
+        if (!validParams || options.N < 2 || (options.N & (options.N - 1)) !== 0) return false;
+
+        const actual = crypto.scryptSync(password, salt, expected.length, {
+            N: options.N,
+            r: options.r,
+            p: options.p,
+            maxmem: 256 * options.N * options.r
+        });
+
+        return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    }
+};
+
+// Параметры PBKDF2
+const PBKDF2_ITERATIONS = 210000;
+const PBKDF2_KEY_LENGTH = 64;
+
+// Предельное количество итераций PBKDF2 в сохраненном хеше
+const PBKDF2_MAX_ITERATIONS = 10000000;
+
+/**
+ * Алгоритм PBKDF2-SHA512 с солью: $pbkdf2-sha512$i=210000$<соль>$<хеш>
+ */
+const pbkdf2Hasher = {
+    name: "pbkdf2-sha512",
+    prefixed: true,
+    isAvailable: () => crypto.getHashes().includes("sha512"),
+    hash: (password) => {
+        const salt = crypto.randomBytes(16);
+        const key = crypto.pbkdf2Sync(password, salt, PBKDF2_ITERATIONS, PBKDF2_KEY_LENGTH, "sha512");
+        return `$pbkdf2-sha512$i=${PBKDF2_ITERATIONS}$${salt.toString("base64")}$${key.toString("base64")}`;
+    },
+    verify: (password, stored) => {
+        const parsed = parsePrefixedHash(stored);
+        if (!parsed) return false;
+
+        const { params: { i: iterations }, salt, key: expected } = parsed;
+        if (!iterations || iterations > PBKDF2_MAX_ITERATIONS) return false;
+
+        const actual = crypto.pbkdf2Sync(password, salt, iterations, expected.length, "sha512");
+
+        return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    }
+};
+
+// Зарегистрированные алгоритмы
+const registry = new Map();
+
+/**
+ * Модуль реестра алгоритмов хеширования паролей
+ */
+const passwordHashers = {
+    /**
+     * Регистрирует алгоритм хеширования
+     * @param {Object} hasher - Описание алгоритма
+     */
+    register: (hasher) => {
+        registry.set(hasher.name, hasher);
+    },
+
+    /**
+     * Возвращает доступный алгоритм по имени.
+     * Неизвестные имена, поддерживаемые модулем crypto, регистрируются как алгоритмы Jacksum
+     * @param {string} name - Имя алгоритма
+     * @returns {Object} Описание алгоритма
+     * @throws {Error} Если алгоритм неизвестен или недоступен
+     */
+    get: (name) => {
+        const normalizedName = String(name).toLowerCase();
+
+        if (!registry.has(normalizedName) && crypto.getHashes().includes(normalizedName)) {
+            passwordHashers.register(createJacksumHasher(normalizedName, normalizedName));
+        }
+
+        const hasher = registry.get(normalizedName);
+
+        if (!hasher) {
+            throw new Error(`Неизвестный алгоритм хеширования паролей: ${name}`);
+        }
+
+        if (!hasher.isAvailable()) {
+            throw new Error(`Алгоритм хеширования паролей ${name} недоступен в текущей сборке Node.js`);
+        }
+
+        return hasher;
+    },
+
+    /**
+     * Определяет алгоритм по префиксу сохраненного хеша
+     * @param {string} stored - Сохраненный хеш
+     * @returns {string|null} Имя алгоритма из префикса или null для хешей без префикса
+     */
+    getPrefixName: (stored) => {
+        if (!stored || !stored.startsWith("$")) return null;
+        return stored.split("$")[1] || null;
+    },
+
+    /**
+     * Возвращает список зарегистрированных алгоритмов
+     * @returns {Object[]} Имя, формат и доступность каждого алгоритма
+     */
+    list: () => Array.from(registry.values()).map((hasher) => ({
+        name: hasher.name,
+        prefixed: hasher.prefixed,
+        available: hasher.isAvailable()
+    }))
+};
+
+// Алгоритмы Jacksum, используемые логин-сервером L2
+passwordHashers.register(createJacksumHasher("sha1", "sha1"));
+passwordHashers.register(createJacksumHasher("sha256", "sha256"));
+passwordHashers.register(createJacksumHasher("sha512", "sha512"));
+passwordHashers.register(createJacksumHasher("md5", "md5"));
+passwordHashers.register(createJacksumHasher("whirlpool", "whirlpool"));
+passwordHashers.register(createJacksumHasher("whirlpool2", "whirlpool"));
+
+// Современные алгоритмы с солью
+passwordHashers.register(scryptHasher);
+passwordHashers.register(pbkdf2Hasher);
+
+module.exports = passwordHashers;
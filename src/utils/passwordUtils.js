@@ -1,62 +1,129 @@
 const crypto = require("crypto");
 const logger = require("./logger");
+const passwordHashers = require("./passwordHashers");
 
 // Конфигурация из сервера L2
-const DEFAULT_PASSWORD_HASH = process.env.DEFAULT_PASSWORD_HASH || "sha1";
-const LEGACY_PASSWORD_HASH = process.env.LEGACY_PASSWORD_HASH || "whirlpool2";
+const DEFAULT_PASSWORD_HASH = (process.env.DEFAULT_PASSWORD_HASH || "sha1").toLowerCase();
+const LEGACY_PASSWORD_HASH = (process.env.LEGACY_PASSWORD_HASH || "whirlpool2").toLowerCase();
+
+// LEGACY_PASSWORD_HASH может содержать несколько алгоритмов через запятую (например, "whirlpool2,sha1")
+const LEGACY_PASSWORD_HASHES = LEGACY_PASSWORD_HASH.split(",").map((name) => name.trim()).filter(Boolean);
+
+// Проверяем настроенные алгоритмы при запуске, чтобы ошибка конфигурации была видна сразу
+[DEFAULT_PASSWORD_HASH, ...LEGACY_PASSWORD_HASHES].forEach((algorithm) => {
+    try {
+        passwordHashers.get(algorithm);
+    } catch (error) {
+        logger.error(`Ошибка конфигурации хеширования паролей: ${error.message}`);
+    }
+});
 
 /**
  * Модуль для работы с паролями
  */
 const passwordUtils = {
+    DEFAULT_PASSWORD_HASH,
+    LEGACY_PASSWORD_HASH,
+
     /**
      * Генерирует хеш пароля в формате, совместимом с Jacksum
      * @param {string} password - Исходный пароль
      * @param {string} algorithm - Алгоритм хеширования
      * @returns {string} Хеш пароля в Base64 формате
+     * @throws {Error} Если алгоритм недоступен или не является алгоритмом Jacksum
      */
     jacksumHash: (password, algorithm) => {
-        try {
-            // Преобразуем имя алгоритма в формат для crypto
-            let cryptoAlgorithm;
-
-            // Особая обработка для whirlpool2 - в Node.js нет "whirlpool2"
-            if (algorithm === "whirlpool2") {
-                cryptoAlgorithm = "whirlpool";
-            } else {
-                cryptoAlgorithm = algorithm.toLowerCase();
-            }
+        const hasher = passwordHashers.get(algorithm);
 
-            // Создаем хеш
-            const hash = crypto.createHash(cryptoAlgorithm).update(password).digest("base64");
+        if (hasher.prefixed) {
+            throw new Error(`Алгоритм ${algorithm} не совместим с Jacksum`);
+        }
 
-            logger.debug(`Сгенерирован хеш ${algorithm} для пароля: ${hash}`);
-            return hash;
-        } catch (error) {
-            logger.error(`Ошибка при использовании алгоритма ${algorithm}: ${error.message}`);
+        const hash = hasher.hash(password);
+        logger.debug(`Сгенерирован хеш ${algorithm} для пароля: ${hash}`);
+        return hash;
+    },
 
-            // Если указанный алгоритм не поддерживается, используем SHA-1
-            logger.warn(`Использование SHA-1 в качестве резервного варианта хеширования вместо ${algorithm}`);
-            return crypto.createHash("sha1").update(password).digest("base64");
-        }
+    /**
+     * Генерирует хеш пароля указанным алгоритмом в формате хранения
+     * @param {string} password - Исходный пароль
+     * @param {string} algorithm - Алгоритм хеширования
+     * @returns {string} Хеш пароля (для алгоритмов с солью - с префиксом "$<алгоритм>$")
+     * @throws {Error} Если алгоритм неизвестен или недоступен
+     */
+    hashWith: (password, algorithm) => {
+        return passwordHashers.get(algorithm).hash(password);
     },
 
     /**
-     * Генерирует хеш пароля с использованием DEFAULT_PASSWORD_HASH (sha1)
+     * Генерирует хеш пароля с использованием DEFAULT_PASSWORD_HASH
      * @param {string} password - Исходный пароль
-     * @returns {string} Хеш пароля в Base64 формате
+     * @returns {string} Хеш пароля в формате хранения
      */
     defaultHash: (password) => {
-        return passwordUtils.jacksumHash(password, DEFAULT_PASSWORD_HASH);
+        return passwordUtils.hashWith(password, DEFAULT_PASSWORD_HASH);
     },
 
     /**
-     * Генерирует хеш пароля с использованием LEGACY_PASSWORD_HASH (whirlpool2)
+     * Генерирует хеш пароля с использованием LEGACY_PASSWORD_HASH (первого из списка)
      * @param {string} password - Исходный пароль
-     * @returns {string} Хеш пароля в Base64 формате
+     * @returns {string} Хеш пароля в формате хранения
      */
     legacyHash: (password) => {
-        return passwordUtils.jacksumHash(password, LEGACY_PASSWORD_HASH);
+        return passwordUtils.hashWith(password, LEGACY_PASSWORD_HASHES[0]);
+    },
+
+    /**
+     * Проверяет пароль и определяет, каким алгоритмом получен сохраненный хеш.
+     * Хеш с префиксом проверяется только указанным в префиксе алгоритмом,
+     * хеш без префикса - алгоритмами Jacksum из DEFAULT_PASSWORD_HASH и LEGACY_PASSWORD_HASH
+     * @param {string} password - Пароль в открытом виде
+     * @param {string} hash - Хеш пароля
+     * Хеш с неизвестным или недоступным алгоритмом в префиксе (например, $2a$) считается несовпавшим
+     * @returns {Object} { valid, algorithm, needsRehash } - needsRehash = true, если хеш не в формате по умолчанию
+     * @throws {Error} Если алгоритм из DEFAULT_PASSWORD_HASH или LEGACY_PASSWORD_HASH неизвестен или недоступен
+     */
+    verifyPassword: (password, hash) => {
+        const invalid = { valid: false, algorithm: null, needsRehash: false };
+
+        if (!hash) {
+            return invalid;
+        }
+
+        const prefixName = passwordHashers.getPrefixName(hash);
+
+        if (prefixName) {
+            let hasher;
+
+            try {
+                hasher = passwordHashers.get(prefixName);
+            } catch (error) {
+                logger.warn(`Хеш пароля не проверен: ${error.message}`);
+                return invalid;
+            }
+
+            if (!hasher.prefixed || !hasher.verify(password, hash)) {
+                return invalid;
+            }
+
+            // Хеш с солью не переводим на несоленый алгоритм Jacksum, даже если он выбран по умолчанию
+            const needsRehash = hasher.name !== DEFAULT_PASSWORD_HASH && passwordHashers.get(DEFAULT_PASSWORD_HASH).prefixed;
+
+            return { valid: true, algorithm: hasher.name, needsRehash };
+        }
+
+        // Пробуем сначала DEFAULT_PASSWORD_HASH, затем LEGACY_PASSWORD_HASH
+        const candidates = [...new Set([DEFAULT_PASSWORD_HASH, ...LEGACY_PASSWORD_HASHES])];
+
+        for (const algorithm of candidates) {
+            const hasher = passwordHashers.get(algorithm);
+
+            if (!hasher.prefixed && hasher.verify(password, hash)) {
+                return { valid: true, algorithm: hasher.name, needsRehash: hasher.name !== DEFAULT_PASSWORD_HASH };
+            }
+        }
+
+        return invalid;
     },
 
     /**
@@ -66,15 +133,37 @@ const passwordUtils = {
      * @returns {boolean} true, если пароль соответствует хешу
      */
     comparePassword: (password, hash) => {
-        // Пробуем сначала DEFAULT_PASSWORD_HASH
-        const defaultHash = passwordUtils.defaultHash(password);
-        if (defaultHash.toLowerCase() === hash.toLowerCase()) {
-            return true;
+        return passwordUtils.verifyPassword(password, hash).valid;
+    },
+
+    /**
+     * Определяет формат сохраненного хеша.
+     * Хеши с префиксом определяются по префиксу, хеши Jacksum - по длине Base64 строки
+     * @param {Object} hashInfo - Описание хеша
+     * @param {string|null} hashInfo.prefix - Имя алгоритма из префикса или null
+     * @param {number} hashInfo.length - Длина хеша
+     * @returns {string} Имя алгоритма или "unknown"
+     */
+    identifyHashFormat: ({ prefix, length }) => {
+        if (prefix) {
+            const known = passwordHashers.list().some((hasher) => hasher.prefixed && hasher.name === prefix);
+            return known ? prefix : "unknown";
+        }
+
+        const candidates = [...new Set([DEFAULT_PASSWORD_HASH, ...LEGACY_PASSWORD_HASHES])];
+
+        for (const algorithm of candidates) {
+            try {
+                const hasher = passwordHashers.get(algorithm);
+                if (!hasher.prefixed && hasher.hash("").length === length) {
+                    return hasher.name;
+                }
+            } catch (error) {
+                // Недоступный алгоритм не может быть определен
+            }
         }
 
-        // Если не совпало, пробуем LEGACY_PASSWORD_HASH
-        const legacyHash = passwordUtils.legacyHash(password);
-        return legacyHash.toLowerCase() === hash.toLowerCase();
+        return "unknown";
     },
 
     /**
@@ -1,4 +1,5 @@
 const swaggerJsDoc = require("swagger-jsdoc");
+const realms = require("../config/realms");
 
 const swaggerOptions = {
     swaggerDefinition: {
@@ -15,6 +16,11 @@ const swaggerOptions = {
                     type: 'apiKey',
                     in: 'header',
                     name: 'X-API-Key'
+                },
+                BearerAuth: {
+                    type: 'http',
+                    scheme: 'bearer',
+                    bearerFormat: 'JWT'
                 }
             }
         }
@@ -24,4 +30,32 @@ const swaggerOptions = {
 
 const specs = swaggerJsDoc(swaggerOptions);
 
-module.exports = specs;
\ No newline at end of file
+/**
+ * Возвращает документацию с актуальным списком игровых миров в параметре X-Realm.
+ * Миры могут подключаться без перезапуска API, поэтому параметр формируется при каждом запросе
+ * @returns {Object} Спецификация OpenAPI
+ */
+const getSwaggerDocs = () => {
+    const realmList = realms.list();
+    const realmDescription = realmList
+        .map((realm) => `${realm.name} - ${realm.title}${realm.isDefault ? " (по умолчанию)" : ""}`)
+        .join(", ");
+
+    specs.components.parameters = {
+        Realm: {
+            in: 'header',
+            name: 'X-Realm',
+            required: false,
+            schema: {
+                type: 'string',
+                enum: realmList.map((realm) => realm.name),
+                default: realms.DEFAULT_REALM
+            },
+            description: `Игровой мир запроса (также можно передать параметром realm). Доступные миры: ${realmDescription}`
+        }
+    };
+
+    return specs;
+};
+
+module.exports = getSwaggerDocs;
\ No newline at end of file
@@ -0,0 +1,78 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+require("dotenv").config();
+
+// Время жизни токенов в секундах
+const ACCESS_TOKEN_TTL = parseInt(process.env.ACCESS_TOKEN_TTL || "900", 10);        // 15 минут
+const REFRESH_TOKEN_TTL = parseInt(process.env.REFRESH_TOKEN_TTL || "2592000", 10);  // 30 дней
+
+/**
+ * Возвращает секрет для подписи токенов
+ * @returns {string} Секрет из переменной окружения SESSION_SECRET
+ */
+const getSecret = () => {
+    const secret = process.env.SESSION_SECRET;
+    if (!secret) {
+        throw new Error("Не задан SESSION_SECRET для подписи токенов сессии");
+    }
+    return secret;
+};
+
+/**
+ * Модуль для работы с токенами сессий личного кабинета
+ */
+const tokenUtils = {
+    ACCESS_TOKEN_TTL,
+    REFRESH_TOKEN_TTL,
+
+    /**
+     * Создает подписанный access-токен
+     * @param {string} login - Логин аккаунта
+     * @param {number} sessionId - ID сессии
+     * @param {string} realm - Игровой мир сессии
+     * @returns {string} JWT access-токен
+     */
+    signAccessToken: (login, sessionId, realm) => {
+        return jwt.sign(
+            { sid: sessionId, realm, type: "access" },
+            getSecret(),
+            { subject: login, expiresIn: ACCESS_TOKEN_TTL }
+        );
+    },
+
+    /**
+     * Проверяет access-токен
+     * @param {string} token - JWT access-токен
+     * @returns {Object|null} Данные токена ({ login, sessionId, realm }) или null, если токен недействителен
+     */
+    verifyAccessToken: (token) => {
+        try {
+            const payload = jwt.verify(token, getSecret());
+            if (payload.type !== "access" || !payload.sub || !payload.sid) {
+                return null;
+            }
+            return { login: payload.sub, sessionId: payload.sid, realm: payload.realm };
+        } catch (error) {
+            return null;
+        }
+    },
+
+    /**
+     * Генерирует случайный refresh-токен
+     * @returns {string} Refresh-токен
+     */
+    generateRefreshToken: () => {
+        return crypto.randomBytes(48).toString("base64url");
+    },
+
+    /**
+     * Хеширует refresh-токен для хранения в базе данных
+     * @param {string} token - Refresh-токен
+     * @returns {string} SHA-256 хеш токена в hex формате
+     */
+    hashRefreshToken: (token) => {
+        return crypto.createHash("sha256").update(token).digest("hex");
+    }
+};
+
+module.exports = tokenUtils;